@@ -3,16 +3,24 @@
  * Entry point for the PWA
  */
 
-import { initDB, getTimerState, clearTimerState } from './db.js';
-import { initRouter, registerRoute, navigate, setupNavigation, getInitialRoute } from './router.js';
+import { initDB, getTimerState, purgeExpiredTrash, loadActiveProfile } from './db.js';
+import { initRouter, registerRoute, navigate, refreshRoute, getCurrentRoute, setupNavigation, getInitialRoute } from './router.js';
 import { initModal, confirm } from './components/modal.js';
-import { setupVisibilityHandler, restoreTimer, stopTimer } from './timer.js';
+import { initProfileSwitcher } from './components/profile-switcher.js';
+import { setupVisibilityHandler } from './timer.js';
+import { restoreSession, discardSession, getSession, isSessionActive } from './workout-session.js';
+import { loadAudioSettings } from './audio.js';
+import { loadSpeechSettings } from './speech.js';
+import { loadWakeLockSettings } from './wake-lock.js';
+import { loadRepCounterSettings } from './rep-counter.js';
+import { loadRemoteControlSettings } from './remote-control.js';
 
 // Import screens
 import * as DashboardScreen from './screens/dashboard.js';
 import * as FullSimScreen from './screens/full-sim.js';
 import * as CustomScreen from './screens/custom.js';
 import * as HistoryScreen from './screens/history.js';
+import * as SettingsScreen from './screens/settings.js';
 
 /**
  * Initialize the application
@@ -25,9 +33,25 @@ async function init() {
         await initDB();
         console.log('Database initialized');
 
+        // Remove workouts that have been in the trash too long
+        await purgeExpiredTrash();
+
+        // Restore the athlete profile used last on this device
+        await loadActiveProfile();
+
+        // Load audio cue, announcement, screen, rep counter and remote control preferences
+        await loadAudioSettings();
+        await loadSpeechSettings();
+        await loadWakeLockSettings();
+        await loadRepCounterSettings();
+        await loadRemoteControlSettings();
+
         // Initialize modal system
         initModal();
 
+        // Set up the athlete switcher in the header
+        await initProfileSwitcher();
+
         // Set up timer visibility handler
         setupVisibilityHandler();
 
@@ -52,7 +76,13 @@ async function init() {
 
         registerRoute('history', {
             render: HistoryScreen.render,
-            onMount: HistoryScreen.onMount
+            onMount: HistoryScreen.onMount,
+            onUnmount: HistoryScreen.onUnmount
+        });
+
+        registerRoute('settings', {
+            render: SettingsScreen.render,
+            onMount: SettingsScreen.onMount
         });
 
         // Initialize router
@@ -61,6 +91,7 @@ async function init() {
 
         // Set up bottom navigation
         setupNavigation();
+        document.getElementById('btn-settings')?.addEventListener('click', () => navigate('settings'));
 
         // Navigate to initial route
         const initialRoute = await getInitialRoute();
@@ -97,11 +128,16 @@ async function checkForActiveWorkout() {
             resumeBtn?.addEventListener('click', async () => {
                 banner.classList.add('hidden');
 
-                // Navigate to the appropriate screen
-                if (timerState.mode === 'sim') {
-                    navigate('full-sim');
+                // A workout started since the banner appeared replaced the old one
+                const session = isSessionActive() ? getSession() : await restoreSession();
+                if (!session) return;
+
+                // Open the workout's screen, which rebuilds the active view
+                const route = session.mode === 'sim' ? 'full-sim' : 'custom';
+                if (getCurrentRoute() === route) {
+                    await refreshRoute();
                 } else {
-                    navigate('custom');
+                    navigate(route);
                 }
             });
 
@@ -114,7 +150,10 @@ async function checkForActiveWorkout() {
                 );
 
                 if (confirmed) {
-                    await stopTimer(true);
+                    // Leave alone a workout started since the banner appeared
+                    if (!isSessionActive()) {
+                        await discardSession();
+                    }
                     banner.classList.add('hidden');
                 }
             });
@@ -0,0 +1,158 @@
+/**
+ * Audio Cues
+ * Synthesized Web Audio tones for the start countdown, block changes,
+ * pause/resume, finishing and new PBs (nothing to download)
+ */
+
+import { getAudioSettings, saveAudioSettings } from './db.js';
+
+// Cue sounds: each tone is [frequency in Hz, duration in s, offset from cue start in s]
+export const AUDIO_CUES = {
+    countdown: { label: '3-2-1 start countdown', tones: [[440, 0.15, 0]] },
+    next: { label: 'Next block', tones: [[660, 0.12, 0], [990, 0.18, 0.14]] },
+    pause: { label: 'Pause', tones: [[523, 0.15, 0], [392, 0.25, 0.17]] },
+    resume: { label: 'Resume', tones: [[392, 0.15, 0], [523, 0.25, 0.17]] },
+    finish: { label: 'Finish', tones: [[523, 0.15, 0], [659, 0.15, 0.17], [784, 0.15, 0.34], [1047, 0.45, 0.51]] },
+    pb: { label: 'New PB for a block', tones: [[1047, 0.1, 0], [1319, 0.1, 0.12], [1568, 0.1, 0.24], [2093, 0.3, 0.36]] }
+};
+
+// Tone that ends the start countdown
+const COUNTDOWN_GO_TONE = [880, 0.45, 0];
+
+let audioContext = null;
+let settings = null;
+
+// Context time at which the last queued cue ends, so cues never overlap
+let queueEnd = 0;
+
+/**
+ * Load the stored audio settings
+ * @returns {Promise<Object>} Audio settings
+ */
+export async function loadAudioSettings() {
+    settings = await getAudioSettings();
+    return settings;
+}
+
+/**
+ * Store new audio settings and use them from now on
+ * @param {Object} newSettings - { volume, cues }
+ * @returns {Promise<void>}
+ */
+export async function updateAudioSettings(newSettings) {
+    settings = newSettings;
+    await saveAudioSettings(newSettings);
+}
+
+/**
+ * Get the audio context, creating or waking it as needed
+ * Browsers only allow this after a user gesture, so the first call should
+ * come from a tap (e.g. Start Workout)
+ * @returns {AudioContext|null} Audio context, or null if Web Audio is unavailable
+ */
+function getContext() {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audioContext = new AudioContextClass();
+    }
+
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
+    return audioContext;
+}
+
+/**
+ * Schedule tones on the audio context
+ * @param {Array} tones - Tones as [frequency, duration, offset]
+ * @param {number} startAt - Context time to start at
+ * @returns {number} Context time at which the last tone ends
+ */
+function scheduleTones(tones, startAt) {
+    const context = getContext();
+    let end = startAt;
+
+    for (const [frequency, duration, offset] of tones) {
+        const toneStart = startAt + offset;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+
+        // Short attack and exponential decay avoid clicks
+        gain.gain.setValueAtTime(0.0001, toneStart);
+        gain.gain.exponentialRampToValueAtTime(Math.max(settings.volume, 0.0001), toneStart + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, toneStart + duration);
+
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(toneStart);
+        oscillator.stop(toneStart + duration + 0.02);
+
+        end = Math.max(end, toneStart + duration);
+    }
+
+    return end;
+}
+
+/**
+ * Play a cue if it is enabled
+ * Cues are queued behind any cue still playing
+ * @param {string} name - Cue name (key of AUDIO_CUES)
+ */
+export function playCue(name) {
+    if (!settings || !settings.cues[name]) return;
+    previewCue(name);
+}
+
+/**
+ * Play a cue at the current volume even if it is turned off
+ * Used to try cues out in the settings
+ * @param {string} name - Cue name (key of AUDIO_CUES)
+ */
+export function previewCue(name) {
+    if (!settings || settings.volume <= 0) return;
+
+    const context = getContext();
+    if (!context) return;
+
+    const startAt = Math.max(context.currentTime, queueEnd);
+    queueEnd = scheduleTones(AUDIO_CUES[name].tones, startAt);
+}
+
+/**
+ * Run the 3-2-1 start countdown
+ * Resolves straight away when the countdown cue is turned off
+ * @param {Function} onCount - Called with 3, 2 and 1 as the countdown runs
+ * @returns {Promise<void>} Resolves when the workout should start
+ */
+export function playCountdown(onCount) {
+    if (!settings || !settings.cues.countdown) {
+        return Promise.resolve();
+    }
+
+    // Create the context now, while still handling the tap
+    const context = settings.volume > 0 ? getContext() : null;
+
+    return new Promise(resolve => {
+        let count = 3;
+
+        const step = () => {
+            if (count === 0) {
+                if (context) scheduleTones([COUNTDOWN_GO_TONE], context.currentTime);
+                resolve();
+                return;
+            }
+
+            if (onCount) onCount(count);
+            if (context) scheduleTones(AUDIO_CUES.countdown.tones, context.currentTime);
+
+            count--;
+            setTimeout(step, 1000);
+        };
+
+        step();
+    });
+}
@@ -0,0 +1,181 @@
+/**
+ * Backup Module
+ * Full JSON export and import of every IndexedDB store
+ */
+
+import { STORES, DB_VERSION, getAll, bulkPut, rebuildPersonalBests, upgradeRecords, getAllProfiles, loadActiveProfile } from './db.js';
+import { getCanonicalExerciseId } from './exercises.js';
+
+// Identifies files produced by this app
+export const BACKUP_FORMAT = 'hyrox-tracker-backup';
+
+// Meta keys that only make sense on the device that wrote them
+const DEVICE_META_KEYS = ['timerState', 'activeWorkout', 'schemaVersion', 'activeProfileId'];
+
+/**
+ * Get the key of a record in a store
+ * @param {string} storeName - Store name
+ * @param {Object} record - Stored record
+ * @returns {string} Record key
+ */
+function getRecordKey(storeName, record) {
+    return storeName === STORES.META ? record.key : record.id;
+}
+
+/**
+ * Serialize every store into a versioned backup object
+ * @returns {Promise<Object>} Backup data
+ */
+export async function createBackup() {
+    const stores = {};
+
+    for (const storeName of Object.values(STORES)) {
+        const records = await getAll(storeName);
+        stores[storeName] = storeName === STORES.META
+            ? records.filter(record => !DEVICE_META_KEYS.includes(record.key))
+            : records;
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: DB_VERSION,
+        exportedAt: new Date().toISOString(),
+        stores
+    };
+}
+
+/**
+ * Get a file name for a backup
+ * @param {Date} date - Backup date (default: now)
+ * @returns {string} File name
+ */
+export function getBackupFilename(date = new Date()) {
+    return `hyrox-backup-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Parse and validate a backup file
+ * Records from older schema versions are upgraded to the current schema
+ * @param {string} text - Raw file contents
+ * @returns {Object} Backup data
+ * @throws {Error} If the file is not a usable backup
+ */
+export function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This file is not valid JSON.');
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.stores !== 'object') {
+        throw new Error('This file is not a Hyrox Tracker backup.');
+    }
+
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+        throw new Error('This backup has no valid schema version.');
+    }
+
+    if (backup.schemaVersion > DB_VERSION) {
+        throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+    }
+
+    for (const storeName of Object.values(STORES)) {
+        const records = backup.stores[storeName];
+        if (records !== undefined && !Array.isArray(records)) {
+            throw new Error(`The "${storeName}" data in this backup is malformed.`);
+        }
+    }
+
+    for (const storeName of Object.keys(backup.stores)) {
+        backup.stores[storeName] = upgradeRecords(storeName, backup.stores[storeName] || [], backup.schemaVersion);
+    }
+
+    return backup;
+}
+
+/**
+ * Work out what an import would change
+ * 'removed' counts only apply to replace mode
+ * @param {Object} backup - Parsed backup data
+ * @returns {Promise<Object>} Map of store name to change counts
+ */
+export async function previewImport(backup) {
+    const preview = {};
+
+    for (const storeName of Object.values(STORES)) {
+        const incoming = backup.stores[storeName] || [];
+        const existing = await getAll(storeName);
+        const existingByKey = new Map(existing.map(record => [getRecordKey(storeName, record), record]));
+        const incomingKeys = new Set(incoming.map(record => getRecordKey(storeName, record)));
+
+        let added = 0;
+        let updated = 0;
+        let unchanged = 0;
+
+        for (const record of incoming) {
+            const current = existingByKey.get(getRecordKey(storeName, record));
+            if (!current) {
+                added++;
+            } else if (JSON.stringify(current) !== JSON.stringify(record)) {
+                updated++;
+            } else {
+                unchanged++;
+            }
+        }
+
+        // Settings are always merged, so replace never removes them
+        const removed = storeName === STORES.META
+            ? 0
+            : existing.filter(record => !incomingKeys.has(getRecordKey(storeName, record))).length;
+
+        preview[storeName] = { incoming: incoming.length, added, updated, unchanged, removed };
+    }
+
+    return preview;
+}
+
+/**
+ * Import a backup
+ * In 'merge' mode records from the backup are added or overwrite records
+ * with the same key. In 'replace' mode the stores are emptied first.
+ * Settings in the meta store are always merged so an in-progress workout
+ * on this device survives. Personal bests of every profile are rebuilt
+ * from the resulting sessions afterwards; the records stay imported if
+ * that fails, and importing the same backup again retries the rebuild.
+ * @param {Object} backup - Parsed backup data
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<boolean>} True if personal bests were rebuilt
+ */
+export async function importBackup(backup, mode = 'merge') {
+    const recordsByStore = {};
+
+    for (const storeName of Object.values(STORES)) {
+        const records = backup.stores[storeName] || [];
+        recordsByStore[storeName] = storeName === STORES.META
+            ? records.filter(record => !DEVICE_META_KEYS.includes(record.key))
+            : records;
+    }
+
+    const clearStores = mode === 'replace'
+        ? Object.values(STORES).filter(storeName => storeName !== STORES.META)
+        : [];
+
+    await bulkPut(recordsByStore, clearStores);
+
+    // PBs always follow the sessions that are now stored
+    let pbsRebuilt = true;
+    try {
+        for (const profile of await getAllProfiles()) {
+            await rebuildPersonalBests('amateur', getCanonicalExerciseId, profile.id);
+            await rebuildPersonalBests('pro', getCanonicalExerciseId, profile.id);
+        }
+    } catch (error) {
+        console.error('Error rebuilding personal bests:', error);
+        pbsRebuilt = false;
+    }
+
+    // The active profile may have been removed by a replace
+    await loadActiveProfile();
+    return pbsRebuilt;
+}
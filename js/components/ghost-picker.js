@@ -0,0 +1,65 @@
+/**
+ * Ghost Picker Component
+ * Chooses the ghost to race before a workout starts
+ */
+
+import { getGhostOptions } from '../ghost.js';
+import { sanitizeHTML } from '../utils.js';
+
+/**
+ * Create a ghost picker
+ * Call refresh() whenever the category or blocks change
+ * @param {Object} options - Workout details, see getGhostOptions
+ * @returns {HTMLElement} Picker element with refresh() and getGhost()
+ */
+export function createGhostPicker(options) {
+    const container = document.createElement('div');
+    container.className = 'form-group ghost-picker';
+    container.innerHTML = `
+        <label class="form-label" for="ghost-select">Race a ghost</label>
+        <select id="ghost-select" class="form-select">
+            <option value="">No ghost</option>
+        </select>
+    `;
+
+    const select = container.querySelector('select');
+
+    let ghosts = [];
+
+    // Only the latest refresh may fill the list
+    let refreshId = 0;
+
+    /**
+     * Get the option value of a ghost
+     * @param {Object} ghost - Ghost
+     * @returns {string} 'pbs' or the session ID
+     */
+    const getValue = (ghost) => (ghost.type === 'pbs' ? 'pbs' : ghost.sessionId);
+
+    // Reload the ghosts, keeping the choice if it is still available
+    container.refresh = async (newOptions = options) => {
+        options = newOptions;
+        const id = ++refreshId;
+        const loaded = options.blocks.length > 0 ? await getGhostOptions(options) : [];
+        if (id !== refreshId) return;
+
+        const selected = select.value;
+        ghosts = loaded;
+
+        select.innerHTML = `
+            <option value="">No ghost</option>
+            ${ghosts.map(ghost => `
+                <option value="${getValue(ghost)}">${sanitizeHTML(ghost.label)}</option>
+            `).join('')}
+        `;
+        select.value = ghosts.some(ghost => getValue(ghost) === selected) ? selected : '';
+        select.disabled = ghosts.length === 0;
+    };
+
+    // The chosen ghost, or null
+    container.getGhost = () => ghosts.find(ghost => getValue(ghost) === select.value) || null;
+
+    container.refresh();
+
+    return container;
+}
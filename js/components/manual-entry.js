@@ -0,0 +1,132 @@
+/**
+ * Manual Entry Component
+ * Form for logging a workout that was not timed in the app
+ */
+
+import { formatLongTime, parseTime, sanitizeHTML, generateId, deepClone, showToast } from '../utils.js';
+import { saveWorkoutSession, rebuildPersonalBests, getActiveProfileId } from '../db.js';
+import { getCanonicalExerciseId } from '../exercises.js';
+import { getWorkTime, getRestTime } from '../rest.js';
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ * @param {Date} date - Date to format
+ * @returns {string} Value like '2024-03-09T07:30'
+ */
+function toDateTimeLocal(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Create the manual entry form
+ * @param {Object} options - Form options
+ * @param {Array} options.blocks - Workout blocks to enter splits for
+ * @param {string} options.mode - 'sim' or 'custom'
+ * @param {string} options.category - 'amateur' or 'pro'
+ * @param {Function} options.onSaved - Called with the saved session
+ * @param {Function} options.onCancel - Called when the form is cancelled
+ * @returns {HTMLElement} Form element
+ */
+export function createManualEntry(options) {
+    const { blocks, mode, category, onSaved, onCancel } = options;
+    const times = blocks.map(() => null);
+
+    const container = document.createElement('div');
+    container.className = 'manual-entry';
+    container.innerHTML = `
+        <div class="card">
+            <div class="card-header">
+                <h3 class="card-title">${mode === 'sim' ? 'Log Past Race' : 'Log Past Workout'}</h3>
+                <span class="history-item-badge ${category}">${category}</span>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="manual-started-at">Date &amp; time</label>
+                <input type="datetime-local" id="manual-started-at" class="form-input"
+                    value="${toDateTimeLocal(new Date())}" max="${toDateTimeLocal(new Date())}">
+            </div>
+            <div class="split-editor">
+                ${blocks.map((block, index) => `
+                    <div class="split-editor-row">
+                        <label class="split-editor-label" for="manual-split-${index}">${index + 1}. ${sanitizeHTML(block.label)}</label>
+                        <input type="text" inputmode="decimal" id="manual-split-${index}" class="form-input split-editor-input"
+                            data-index="${index}" placeholder="00:00.00" autocomplete="off">
+                    </div>
+                `).join('')}
+            </div>
+            <div class="split-editor-total">
+                <span>Total</span>
+                <span data-role="total">${formatLongTime(0)}</span>
+            </div>
+            <label class="manual-entry-option">
+                <input type="checkbox" data-role="count-pbs" checked>
+                Count towards personal bests
+            </label>
+        </div>
+        <div class="template-actions-row mt-md">
+            <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+            <button class="btn btn-primary" data-action="save">Save</button>
+        </div>
+    `;
+
+    const totalEl = container.querySelector('[data-role="total"]');
+
+    container.querySelectorAll('.split-editor-input').forEach(input => {
+        input.addEventListener('change', () => {
+            const index = parseInt(input.dataset.index, 10);
+            const ms = parseTime(input.value);
+
+            input.classList.toggle('invalid', input.value.trim() !== '' && !(ms > 0));
+            times[index] = ms > 0 ? ms : null;
+            totalEl.textContent = formatLongTime(getWorkTime(blocks, times));
+        });
+    });
+
+    container.querySelector('[data-action="cancel"]').addEventListener('click', () => onCancel?.());
+
+    container.querySelector('[data-action="save"]').addEventListener('click', async () => {
+        const startedAtValue = container.querySelector('#manual-started-at').value;
+        const startedAt = new Date(startedAtValue);
+
+        if (!startedAtValue || isNaN(startedAt)) {
+            showToast('Enter the date of the workout', 'error');
+            return;
+        }
+
+        if (times.some(t => t === null)) {
+            showToast('Enter a time for every block', 'error');
+            return;
+        }
+
+        // Rest is kept out of the workout's time
+        const totalTimeMs = getWorkTime(blocks, times);
+        const restTimeMs = getRestTime(blocks, times);
+        const session = {
+            id: generateId(),
+            profileId: getActiveProfileId(),
+            mode,
+            category,
+            blocks: deepClone(blocks),
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date(startedAt.getTime() + totalTimeMs + restTimeMs).toISOString(),
+            blockTimesMs: [...times],
+            totalTimeMs,
+            restTimeMs,
+            manual: true,
+            excludeFromPBs: !container.querySelector('[data-role="count-pbs"]').checked
+        };
+
+        try {
+            await saveWorkoutSession(session);
+            // The entry may predate existing sessions, so replay the whole PB history
+            await rebuildPersonalBests(category, getCanonicalExerciseId, session.profileId);
+            showToast('Workout logged');
+            onSaved?.(session);
+        } catch (error) {
+            console.error('Error logging workout:', error);
+            showToast('Could not save workout', 'error');
+        }
+    });
+
+    return container;
+}
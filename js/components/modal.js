@@ -86,6 +86,14 @@ export function hideModal() {
     }
 }
 
+/**
+ * Check whether a modal is showing
+ * @returns {boolean} True while a dialog is open
+ */
+export function isModalOpen() {
+    return !!modalContainer && !modalContainer.classList.contains('hidden');
+}
+
 /**
  * Show a confirmation dialog
  * @param {string} title - Dialog title
@@ -165,15 +173,19 @@ export async function prompt(title, message, defaultValue = '', placeholder = ''
 
 /**
  * Show stop workout confirmation
+ * @param {number} completedBlocks - Blocks finished so far; with none there is nothing to keep
  * @returns {Promise<string>} 'discard', 'keep', or 'cancel'
  */
-export async function showStopWorkoutModal() {
+export async function showStopWorkoutModal(completedBlocks = 0) {
     return showModal({
         title: 'Stop Workout?',
-        body: `<p>Are you sure you want to stop this workout?</p>`,
+        body: completedBlocks > 0
+            ? `<p>Save the ${completedBlocks === 1 ? 'block' : `${completedBlocks} blocks`} you finished as an incomplete workout, or discard the workout?</p>`
+            : `<p>Are you sure you want to stop this workout?</p>`,
         actions: [
             { key: 'cancel', label: 'Continue', className: 'btn-secondary' },
             { key: 'discard', label: 'Discard', className: 'btn-secondary' },
+            ...(completedBlocks > 0 ? [{ key: 'keep', label: 'Save as incomplete', className: 'btn-primary' }] : [])
         ]
     });
 }
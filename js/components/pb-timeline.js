@@ -0,0 +1,100 @@
+/**
+ * PB Timeline Component
+ * Shows how a personal best moved over time
+ */
+
+import { formatTime, formatLongTime, formatDate, calculateDelta } from '../utils.js';
+
+/**
+ * Create a PB progression chart
+ * Faster times sit higher, so improvements read as the line going up
+ * @param {Array} entries - PB history entries, oldest first
+ * @returns {string} SVG markup
+ */
+function createProgressionChart(entries) {
+    const width = 300;
+    const height = 100;
+    const padding = 8;
+
+    const times = entries.map(entry => entry.timeMs);
+    const min = Math.min(...times);
+    const max = Math.max(...times);
+    const range = max - min || 1;
+
+    const points = entries.map((entry, i) => {
+        const x = entries.length === 1
+            ? width / 2
+            : padding + (i / (entries.length - 1)) * (width - padding * 2);
+        const y = padding + ((entry.timeMs - min) / range) * (height - padding * 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    return `
+        <svg class="pb-timeline-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+            <polyline points="${points.join(' ')}" fill="none" stroke="var(--color-gold)" stroke-width="2"/>
+            ${points.map(point => {
+                const [cx, cy] = point.split(',');
+                return `<circle cx="${cx}" cy="${cy}" r="3" fill="var(--color-gold)"/>`;
+            }).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Create a PB timeline
+ * @param {Array} entries - PB history entries, oldest first
+ * @param {Object} options - Display options
+ * @param {string} options.title - Exercise name
+ * @param {boolean} options.longTime - Format times as HH:MM:SS (for full sim totals)
+ * @returns {HTMLElement} Timeline element
+ */
+export function createPBTimeline(entries, options = {}) {
+    const { title = '', longTime = false } = options;
+    const format = (ms) => longTime ? formatLongTime(ms) : formatTime(ms, false);
+
+    const container = document.createElement('div');
+    container.className = 'card pb-timeline';
+
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <div class="card-header">
+                <h3 class="card-title">${title}</h3>
+            </div>
+            <div class="empty-state">
+                <div class="empty-state-text">No personal best recorded yet.</div>
+            </div>
+        `;
+        return container;
+    }
+
+    const first = entries[0];
+    const latest = entries[entries.length - 1];
+    const totalGain = calculateDelta(latest.timeMs, first.timeMs);
+
+    container.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">${title}</h3>
+            ${entries.length > 1 ? `<span class="delta ${totalGain.type}">${totalGain.formatted}</span>` : ''}
+        </div>
+        ${createProgressionChart(entries)}
+        <div class="exercise-list">
+            ${[...entries].reverse().map(entry => {
+                const delta = entry.previousTimeMs ? calculateDelta(entry.timeMs, entry.previousTimeMs) : null;
+                return `
+                    <div class="exercise-item">
+                        <div>
+                            <div class="exercise-pb">${format(entry.timeMs)}</div>
+                            <div class="pb-timeline-meta">
+                                ${formatDate(entry.achievedAt)}
+                                ${entry.previousTimeMs ? ` · was ${format(entry.previousTimeMs)}` : ' · first recorded'}
+                            </div>
+                        </div>
+                        ${delta ? `<span class="delta ${delta.type}">${delta.formatted}</span>` : ''}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    return container;
+}
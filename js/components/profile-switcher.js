@@ -0,0 +1,164 @@
+/**
+ * Profile Switcher Component
+ * Header button for choosing, adding and managing athlete profiles
+ */
+
+import {
+    getAllProfiles,
+    getActiveProfileId,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile,
+    getTimerState,
+    DEFAULT_PROFILE_ID
+} from '../db.js';
+import { showModal, prompt, confirm } from './modal.js';
+import { isActive } from '../timer.js';
+import { refreshRoute } from '../router.js';
+import { generateId, sanitizeHTML, showToast } from '../utils.js';
+
+let button = null;
+
+/**
+ * Set up the profile button in the app header
+ * @returns {Promise<void>}
+ */
+export async function initProfileSwitcher() {
+    button = document.getElementById('btn-profile');
+    if (!button) return;
+
+    button.addEventListener('click', openProfileMenu);
+    await updateProfileButton();
+}
+
+/**
+ * Show the active profile's name on the header button
+ * @returns {Promise<void>}
+ */
+async function updateProfileButton() {
+    const profiles = await getAllProfiles();
+    const active = profiles.find(p => p.id === getActiveProfileId()) || profiles[0];
+
+    button.innerHTML = `
+        <span class="profile-avatar">${sanitizeHTML(active.name.charAt(0).toUpperCase())}</span>
+        <span class="profile-name">${sanitizeHTML(active.name)}</span>
+    `;
+    button.setAttribute('aria-label', `Athlete: ${active.name}. Switch athlete`);
+}
+
+/**
+ * Check whether a workout is running or waiting to be resumed
+ * @returns {Promise<boolean>} True if switching profile must wait
+ */
+async function hasWorkoutInProgress() {
+    if (isActive()) return true;
+
+    const timerState = await getTimerState();
+    return !!(timerState && (timerState.isRunning || timerState.isPaused));
+}
+
+/**
+ * Open the profile menu
+ */
+async function openProfileMenu() {
+    if (await hasWorkoutInProgress()) {
+        showToast('Finish or discard the current workout before switching athlete', 'error');
+        return;
+    }
+
+    const profiles = await getAllProfiles();
+    const activeId = getActiveProfileId();
+    const active = profiles.find(p => p.id === activeId);
+
+    const action = await showModal({
+        title: 'Athletes',
+        body: `
+            <div class="profile-list">
+                ${profiles.map(profile => `
+                    <button class="btn ${profile.id === activeId ? 'btn-primary' : 'btn-secondary'} btn-full" data-action="switch:${profile.id}">
+                        ${sanitizeHTML(profile.name)}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="profile-manage">
+                <button class="btn btn-outline" data-action="rename">Rename ${sanitizeHTML(active.name)}</button>
+                ${activeId !== DEFAULT_PROFILE_ID ? '<button class="btn btn-outline" data-action="delete">Delete</button>' : ''}
+            </div>
+        `,
+        actions: [
+            { key: 'cancel', label: 'Close', className: 'btn-secondary' },
+            { key: 'add', label: 'Add Athlete', className: 'btn-primary' }
+        ]
+    });
+
+    if (action.startsWith('switch:')) {
+        await switchProfile(action.slice('switch:'.length));
+    } else if (action === 'add') {
+        await addProfile();
+    } else if (action === 'rename') {
+        await renameProfile(active);
+    } else if (action === 'delete') {
+        await removeProfile(active);
+    }
+}
+
+/**
+ * Make a profile active and reload the current screen
+ * @param {string} profileId - Profile ID
+ */
+async function switchProfile(profileId) {
+    if (profileId === getActiveProfileId()) return;
+
+    await setActiveProfile(profileId);
+    await updateProfileButton();
+    await refreshRoute();
+}
+
+/**
+ * Create a profile and switch to it
+ */
+async function addProfile() {
+    const name = await prompt('Add Athlete', 'Athlete name', '', 'e.g. Sam');
+    if (name === null || !name.trim()) return;
+
+    const profile = {
+        id: generateId(),
+        name: name.trim(),
+        createdAt: new Date().toISOString()
+    };
+
+    await saveProfile(profile);
+    await switchProfile(profile.id);
+    showToast(`Switched to ${profile.name}`);
+}
+
+/**
+ * Rename a profile
+ * @param {Object} profile - Profile to rename
+ */
+async function renameProfile(profile) {
+    const name = await prompt('Rename Athlete', 'Athlete name', sanitizeHTML(profile.name).replace(/"/g, '&quot;'));
+    if (name === null || !name.trim()) return;
+
+    await saveProfile({ ...profile, name: name.trim() });
+    await updateProfileButton();
+}
+
+/**
+ * Delete a profile and its data, then switch to the default profile
+ * @param {Object} profile - Profile to delete
+ */
+async function removeProfile(profile) {
+    const confirmed = await confirm(
+        'Delete Athlete?',
+        `This deletes ${sanitizeHTML(profile.name)} with all of their workouts, templates and PBs. This cannot be undone.`,
+        'Delete',
+        'Cancel'
+    );
+    if (!confirmed) return;
+
+    await deleteProfile(profile.id);
+    await setActiveProfile(DEFAULT_PROFILE_ID);
+    await updateProfileButton();
+    await refreshRoute();
+}
@@ -0,0 +1,89 @@
+/**
+ * Rep Cadence Component
+ * Charts the gap before every counted rep and lists where sets were broken
+ */
+
+import { getRepGaps, getRepSets } from '../rep-counter.js';
+import { formatTime, sanitizeHTML } from '../utils.js';
+
+/**
+ * Create a bar chart of the gaps between reps
+ * Taller bars are slower reps; set breaks are highlighted
+ * @param {Array} gaps - Gap before each rep after the first, in ms
+ * @param {Set} breakReps - Reps (1-based) that ended a set
+ * @returns {string} SVG markup
+ */
+function createCadenceChart(gaps, breakReps) {
+    const width = 300;
+    const height = 80;
+    const max = Math.max(...gaps);
+    const barWidth = width / gaps.length;
+
+    return `
+        <svg class="rep-cadence-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+            ${gaps.map((gap, i) => {
+                const barHeight = Math.max(1, (gap / max) * height);
+                const isBreak = breakReps.has(i + 1);
+                return `<rect x="${(i * barWidth).toFixed(1)}" y="${(height - barHeight).toFixed(1)}"
+                    width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight.toFixed(1)}"
+                    fill="${isBreak ? 'var(--color-negative)' : 'var(--color-gold)'}"/>`;
+            }).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Create the cadence of one block
+ * @param {Object} block - Workout block
+ * @param {Array} repTimesMs - Time into the block of each rep
+ * @returns {string} HTML
+ */
+function createBlockCadence(block, repTimesMs) {
+    const gaps = getRepGaps(repTimesMs);
+    const { sets, breaks, medianGapMs } = getRepSets(repTimesMs);
+
+    return `
+        <div class="rep-cadence-block">
+            <div class="exercise-name">${sanitizeHTML(block.label)}</div>
+            <div class="pb-timeline-meta">
+                ${repTimesMs.length} reps
+                · ${sets.length === 1 ? 'unbroken' : `${sets.length} sets (${sets.map(set => set.reps).join(' + ')})`}
+                · ${(medianGapMs / 1000).toFixed(1)}s per rep
+            </div>
+            ${createCadenceChart(gaps, new Set(breaks.map(b => b.afterRep)))}
+            ${breaks.length > 0 ? `
+                <div class="exercise-list">
+                    ${breaks.map(b => `
+                        <div class="exercise-item">
+                            <span class="exercise-name">Break after rep ${b.afterRep}</span>
+                            <span class="exercise-pb">${formatTime(b.restMs, false)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Create the rep cadence card of a session
+ * @param {Object} session - Workout session
+ * @returns {HTMLElement|null} Cadence card, or null if no block has at least two counted reps
+ */
+export function createRepCadence(session) {
+    const indexes = (session.repTimesMs || [])
+        .map((reps, index) => (reps.length >= 2 ? index : -1))
+        .filter(index => index !== -1);
+    if (indexes.length === 0) return null;
+
+    const container = document.createElement('div');
+    container.className = 'card rep-cadence';
+    container.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Rep Cadence</h3>
+        </div>
+        ${indexes.map(index => createBlockCadence(session.blocks[index], session.repTimesMs[index])).join('')}
+    `;
+
+    return container;
+}
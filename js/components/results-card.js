@@ -3,9 +3,13 @@
  * Displays workout results with navigation between screens/cards
  */
 
-import { formatTime, formatLongTime, calculateDelta } from '../utils.js';
+import { formatTime, formatLongTime, formatDate, calculateDelta, sanitizeHTML } from '../utils.js';
 import { EXERCISE_DISPLAY_NAMES, getCanonicalExerciseId } from '../exercises.js';
-import { getAllPersonalBests, getSimPB } from '../db.js';
+import { getAllPersonalBests, getSimPB, getBestLapSession } from '../db.js';
+import { getGhostStatus, getGhostTotal } from '../ghost.js';
+import { getCompletedBlockCount } from '../workout-session.js';
+import { getRestTime, getWorkRestSets, formatWorkRestRatio } from '../rest.js';
+import { TEAM_FORMATS, getPBProfileId, getTotalPBId, getBlockBouts, getAthleteWorkTotals, isTogetherBlock } from '../team.js';
 
 /**
  * Create results view with multiple cards/screens
@@ -23,12 +27,37 @@ export function createResultsView(workout, pbs = {}) {
     // Card 1: Total Time
     cards.push(createTotalTimeCard(workout, pbs));
 
+    // Team card, for Doubles and Relay
+    if (workout.team) {
+        cards.push(createTeamCard(workout));
+    }
+
+    // Work to rest card, only when rest blocks were timed
+    if (getWorkRestSets(workout.blocks, workout.blockTimesMs).length > 0) {
+        cards.push(createWorkRestCard(workout));
+    }
+
+    // Roxzone card, only when transition laps were marked
+    if (getTransitionIndexes(workout).length > 0) {
+        cards.push(createRoxzoneCard(workout));
+    }
+
     // Card 2: Full Comparison Table (all exercises vs PBs)
     cards.push(createComparisonTableCard(workout, pbs));
 
     // Card 3: Exercise Times (simple list)
     cards.push(createExerciseTimesCard(workout));
 
+    // Interval rounds card, only for workouts with interval blocks
+    if (getIntervalIndexes(workout).length > 0) {
+        cards.push(createIntervalsCard(workout));
+    }
+
+    // Lap splits card, only when laps were marked (in Doubles they are the partner switches)
+    if (getLapIndexes(workout).length > 0 && workout.team?.format !== 'doubles') {
+        cards.push(createLapSplitsCard(workout));
+    }
+
     // Current card index
     let currentIndex = 0;
 
@@ -36,7 +65,7 @@ export function createResultsView(workout, pbs = {}) {
     const header = document.createElement('div');
     header.className = 'results-header';
     header.innerHTML = `
-        <h1 class="results-title">Workout Complete!</h1>
+        <h1 class="results-title">${workout.incomplete ? 'Workout Incomplete' : 'Workout Complete!'}</h1>
         <p class="results-subtitle">${workout.mode === 'sim' ? 'Full Hyrox Simulation' : 'Custom Workout'}</p>
     `;
     container.appendChild(header);
@@ -143,7 +172,7 @@ function createExerciseTimesCard(workout) {
             ${workout.blocks.map((block, index) => `
                 <div class="exercise-item">
                     <span class="exercise-name">${block.label}</span>
-                    <span class="exercise-pb">${formatTime(workout.blockTimesMs[index], false)}</span>
+                    <span class="exercise-pb">${formatBlockTime(workout.blockTimesMs[index])}</span>
                 </div>
             `).join('')}
         </div>
@@ -151,12 +180,23 @@ function createExerciseTimesCard(workout) {
     return card;
 }
 
+/**
+ * Format a block time for the results
+ * @param {number|null} ms - Block time, or null if the block was not finished
+ * @returns {string} Time, or '-' for an unfinished block
+ */
+function formatBlockTime(ms) {
+    return ms === null || ms === undefined ? '-' : formatTime(ms, false);
+}
+
 /**
  * Create total time card
+ * The total of a workout stopped early is not compared with the sim PB.
+ * A team sim is compared with the team total PB of its format.
  */
 function createTotalTimeCard(workout, pbs) {
     const totalTime = workout.totalTimeMs;
-    const simPB = pbs['full_sim_total'];
+    const simPB = workout.incomplete ? null : pbs[getTotalPBId(workout)];
     const delta = simPB ? calculateDelta(totalTime, simPB) : null;
 
     const card = document.createElement('div');
@@ -166,15 +206,391 @@ function createTotalTimeCard(workout, pbs) {
             <div class="total-time-value">${formatLongTime(totalTime)}</div>
             ${workout.mode === 'sim' && simPB ? `
                 <div class="total-time-label">
-                    Personal Best: ${formatLongTime(simPB)}
+                    ${workout.team ? `${TEAM_FORMATS[workout.team.format].label} PB` : 'Personal Best'}: ${formatLongTime(simPB)}
                     ${delta ? `<span class="delta ${delta.type}">${delta.formatted}</span>` : ''}
                 </div>
             ` : ''}
+            ${workout.restTimeMs ? `
+                <div class="total-time-label">Plus ${formatLongTime(workout.restTimeMs)} rest</div>
+            ` : ''}
+            ${workout.incomplete ? `
+                <div class="total-time-label">
+                    <span class="history-item-badge incomplete">DNF</span>
+                    Stopped after ${getCompletedBlockCount(workout)} of ${workout.blocks.length} blocks
+                </div>
+            ` : ''}
+            ${workout.ghost ? createGhostLabel(workout) : ''}
+        </div>
+    `;
+    return card;
+}
+
+/**
+ * Create the line comparing a workout with the ghost it raced
+ * Only blocks the ghost has splits for are compared
+ * @param {Object} workout - Workout data with a ghost
+ * @returns {string} HTML
+ */
+function createGhostLabel(workout) {
+    const { ghost, blocks, blockTimesMs } = workout;
+    const { deltaMs } = getGhostStatus(ghost, blockTimesMs, blocks.length);
+    const ghostTotal = getGhostTotal(ghost);
+    const delta = calculateDelta(ghostTotal + deltaMs, ghostTotal);
+
+    return `
+        <div class="total-time-label">
+            Ghost: ${ghost.label}
+            <span class="delta ${delta.type}">${delta.formatted}</span>
+        </div>
+    `;
+}
+
+/**
+ * Create work to rest card
+ * Shows the work and rest totals and the work done before each rest block
+ */
+function createWorkRestCard(workout) {
+    const restTotal = getRestTime(workout.blocks, workout.blockTimesMs);
+    const sets = getWorkRestSets(workout.blocks, workout.blockTimesMs);
+
+    const card = document.createElement('div');
+    card.innerHTML = `
+        <div class="results-card-title">Work : Rest</div>
+        <div class="total-time-display">
+            <div class="total-time-value">${formatWorkRestRatio(workout.totalTimeMs, restTotal)}</div>
+            <div class="total-time-label">Work ${formatLongTime(workout.totalTimeMs)} · Rest ${formatLongTime(restTotal)}</div>
+        </div>
+        <div class="exercise-list">
+            ${sets.map((set, i) => `
+                <div class="exercise-item">
+                    <div>
+                        <div class="exercise-name">Set ${i + 1}</div>
+                        <div class="roxzone-work">Work ${formatTime(set.workMs, false)} · Rest ${formatTime(set.restMs, false)}</div>
+                    </div>
+                    <span class="exercise-pb">${formatWorkRestRatio(set.workMs, set.restMs)}</span>
+                </div>
+            `).join('')}
         </div>
     `;
     return card;
 }
 
+/**
+ * Get the indexes of blocks with a marked Roxzone transition
+ * @param {Object} workout - Workout data
+ * @returns {number[]} Block indexes
+ */
+function getTransitionIndexes(workout) {
+    return (workout.transitionTimesMs || [])
+        .map((t, index) => (t !== null && t !== undefined ? index : -1))
+        .filter(index => index !== -1);
+}
+
+/**
+ * Create Roxzone card
+ * Shows total transition time and how each block splits into Roxzone and work
+ */
+function createRoxzoneCard(workout) {
+    const indexes = getTransitionIndexes(workout);
+    const roxzoneTotal = indexes.reduce((sum, i) => sum + workout.transitionTimesMs[i], 0);
+    const share = workout.totalTimeMs > 0 ? Math.round((roxzoneTotal / workout.totalTimeMs) * 100) : 0;
+
+    const card = document.createElement('div');
+    card.innerHTML = `
+        <div class="results-card-title">Roxzone</div>
+        <div class="total-time-display">
+            <div class="total-time-value">${formatLongTime(roxzoneTotal)}</div>
+            <div class="total-time-label">${share}% of total time · ${indexes.length} transition${indexes.length !== 1 ? 's' : ''}</div>
+        </div>
+        <div class="exercise-list">
+            ${indexes.map(index => {
+                const transitionTime = workout.transitionTimesMs[index];
+                const workTime = (workout.blockTimesMs[index] || 0) - transitionTime;
+                return `
+                    <div class="exercise-item">
+                        <div>
+                            <div class="exercise-name">Into ${workout.blocks[index].label}</div>
+                            <div class="roxzone-work">Station ${formatTime(workTime, false)}</div>
+                        </div>
+                        <span class="exercise-pb">${formatTime(transitionTime, false)}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    return card;
+}
+
+/**
+ * Get the indexes of interval blocks with round results
+ * @param {Object} workout - Workout data
+ * @returns {number[]} Block indexes
+ */
+function getIntervalIndexes(workout) {
+    return (workout.intervalResults || [])
+        .map((rounds, index) => (rounds ? index : -1))
+        .filter(index => index !== -1);
+}
+
+/**
+ * Create intervals card
+ * Lists every round of each interval block with when its work was done
+ */
+function createIntervalsCard(workout) {
+    const indexes = getIntervalIndexes(workout);
+
+    const card = document.createElement('div');
+    card.innerHTML = `
+        <div class="results-card-title">Intervals</div>
+        ${indexes.map(index => {
+            const rounds = workout.intervalResults[index];
+            const completed = rounds.filter(r => r.completed).length;
+            return `
+                <div class="lap-splits-block">
+                    <div class="lap-splits-header">
+                        <span class="exercise-name">${workout.blocks[index].label}</span>
+                        <span class="lap-splits-best">${completed}/${rounds.length} rounds</span>
+                    </div>
+                    <div class="comparison-table">
+                        <div class="comparison-row header">
+                            <span>Round</span>
+                            <span>Work</span>
+                            <span>Done</span>
+                            <span>Rest</span>
+                        </div>
+                        ${rounds.map(round => `
+                            <div class="comparison-row">
+                                <span class="comparison-exercise">
+                                    Round ${round.round}
+                                    ${round.completed ? '' : '<span class="interval-round-status">skipped</span>'}
+                                </span>
+                                <span class="comparison-time comparison-pb">${formatTime(round.workMs, false)}</span>
+                                <span class="comparison-time comparison-current">${round.doneMs !== null ? formatTime(round.doneMs, false) : '-'}</span>
+                                <span class="comparison-time comparison-pb">${round.restMs ? formatTime(round.restMs, false) : '-'}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+    return card;
+}
+
+/**
+ * Get the indexes of blocks with laps
+ * @param {Object} workout - Workout data
+ * @returns {number[]} Block indexes
+ */
+function getLapIndexes(workout) {
+    return (workout.blockLapsMs || [])
+        .map((laps, index) => (laps && laps.length > 0 ? index : -1))
+        .filter(index => index !== -1);
+}
+
+/**
+ * Create lap splits card
+ * Lists the laps of each block; lap pacing of the station's best session
+ * with the same number of laps is filled in once it has been looked up
+ */
+function createLapSplitsCard(workout) {
+    const indexes = getLapIndexes(workout);
+
+    const card = document.createElement('div');
+    card.innerHTML = `
+        <div class="results-card-title">Lap Splits</div>
+        ${indexes.map(index => {
+            const block = workout.blocks[index];
+            const laps = workout.blockLapsMs[index];
+            return `
+                <div class="lap-splits-block" data-block-index="${index}">
+                    <div class="lap-splits-header">
+                        <span class="exercise-name">${block.label}</span>
+                        <span class="lap-splits-best" data-role="best">No other session with ${laps.length} laps</span>
+                    </div>
+                    <div class="comparison-table">
+                        <div class="comparison-row header">
+                            <span>Lap</span>
+                            <span>Time</span>
+                            <span>Best</span>
+                            <span>+/-</span>
+                        </div>
+                        ${laps.map((lapTime, lapIndex) => `
+                            <div class="comparison-row" data-lap-index="${lapIndex}">
+                                <span class="comparison-exercise">Lap ${lapIndex + 1}</span>
+                                <span class="comparison-time comparison-current">${formatTime(lapTime, false)}</span>
+                                <span class="comparison-time comparison-pb" data-role="best-lap">-</span>
+                                <span class="delta neutral" data-role="delta">-</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+
+    fillBestLaps(card, workout, indexes).catch(error => {
+        console.error('Error loading best laps:', error);
+    });
+
+    return card;
+}
+
+/**
+ * Fill in the best session's laps for each block of a lap splits card
+ * @param {HTMLElement} card - Lap splits card
+ * @param {Object} workout - Workout data
+ * @param {number[]} indexes - Blocks with laps
+ * @returns {Promise<void>}
+ */
+async function fillBestLaps(card, workout, indexes) {
+    for (const index of indexes) {
+        const laps = workout.blockLapsMs[index];
+        const exerciseId = getCanonicalExerciseId(workout.blocks[index], workout.category);
+        if (!exerciseId) continue;
+
+        const best = await getBestLapSession(workout.category, exerciseId, laps.length, getCanonicalExerciseId, {
+            excludeSessionId: workout.id,
+            profileId: workout.profileId
+        });
+        if (!best) continue;
+
+        const blockEl = card.querySelector(`[data-block-index="${index}"]`);
+        blockEl.querySelector('[data-role="best"]').textContent = `Best: ${formatDate(best.startedAt)}`;
+
+        laps.forEach((lapTime, lapIndex) => {
+            const row = blockEl.querySelector(`[data-lap-index="${lapIndex}"]`);
+            const delta = calculateDelta(lapTime, best.lapsMs[lapIndex]);
+            const deltaEl = row.querySelector('[data-role="delta"]');
+
+            row.querySelector('[data-role="best-lap"]').textContent = formatTime(best.lapsMs[lapIndex], false);
+            deltaEl.className = `delta ${delta.type}`;
+            deltaEl.textContent = delta.formatted;
+        });
+    }
+}
+
+/**
+ * Get the PB a block of the workout is compared with
+ * In a team workout that is the PB, from before the workout, of the athlete
+ * who did the block; shared Doubles stations have none
+ * @param {Object} workout - Workout data
+ * @param {Object} pbs - Personal bests map
+ * @param {number} index - Block index
+ * @returns {number|null} PB time, or null without one
+ */
+function getBlockPB(workout, pbs, index) {
+    const exerciseId = getCanonicalExerciseId(workout.blocks[index], workout.category);
+    if (!exerciseId) return null;
+
+    if (workout.team) {
+        const athleteId = getPBProfileId(workout.team, index);
+        return (athleteId && workout.teamPreviousPBs?.[athleteId]?.[exerciseId]) || null;
+    }
+
+    return pbs[exerciseId] || null;
+}
+
+/**
+ * Count the new PBs of each athlete of a team workout
+ * @param {Object} workout - Workout data with a team
+ * @returns {Array} { stations, total } for each athlete: station PBs beaten and whether the team total PB was
+ */
+function getTeamNewPBs(workout) {
+    const { team, teamPreviousPBs = {} } = workout;
+    const totalPBId = getTotalPBId(workout);
+
+    return team.profileIds.map(athleteId => {
+        const previous = teamPreviousPBs[athleteId] || {};
+        const stations = workout.blocks.filter((block, index) => {
+            const time = workout.blockTimesMs[index];
+            const exerciseId = getCanonicalExerciseId(block, workout.category);
+            return getPBProfileId(team, index) === athleteId
+                && time && exerciseId && previous[exerciseId] && time < previous[exerciseId];
+        }).length;
+        const total = workout.mode === 'sim' && !workout.incomplete
+            && !!previous[totalPBId] && workout.totalTimeMs < previous[totalPBId];
+
+        return { stations, total };
+    });
+}
+
+/**
+ * Create team card
+ * Shows each athlete's share of the work, their new PBs, and who did each
+ * block (in Doubles, each work bout)
+ */
+function createTeamCard(workout) {
+    const { team } = workout;
+    const { label } = TEAM_FORMATS[team.format];
+    const { workMs, togetherMs } = getAthleteWorkTotals(workout);
+    const splitTotal = workMs.reduce((sum, time) => sum + time, 0);
+    const newPBs = getTeamNewPBs(workout);
+
+    /**
+     * Describe who did a block
+     * @param {number} index - Block index
+     * @returns {string} HTML
+     */
+    const describeBlock = (index) => {
+        if (isTogetherBlock(team.format, workout.blocks[index])) return 'Together';
+
+        const bouts = getBlockBouts(workout, index);
+        if (bouts.length === 0) {
+            return sanitizeHTML(team.names[team.blockAthletes[index]] || '-');
+        }
+
+        return bouts
+            .map(bout => `${bout.athlete === null ? 'Both' : sanitizeHTML(team.names[bout.athlete])} ${formatTime(bout.timeMs, false)}`)
+            .join(' · ');
+    };
+
+    const card = document.createElement('div');
+    card.innerHTML = `
+        <div class="results-card-title">${label} Team</div>
+        <div class="exercise-list">
+            ${team.names.map((name, athlete) => `
+                <div class="exercise-item">
+                    <div>
+                        <div class="exercise-name">${sanitizeHTML(name)}</div>
+                        <div class="roxzone-work">
+                            ${splitTotal > 0 ? Math.round((workMs[athlete] / splitTotal) * 100) : 0}% of the split work
+                        </div>
+                        ${newPBs[athlete].total || newPBs[athlete].stations > 0 ? `
+                            <div class="team-card-pbs">
+                                ${newPBs[athlete].total ? `<span class="summary-badge new-pb">🏆 ${label} PB</span>` : ''}
+                                ${newPBs[athlete].stations > 0 ? `<span class="summary-badge new-pb">🏆 ${newPBs[athlete].stations} Station PB${newPBs[athlete].stations > 1 ? 's' : ''}</span>` : ''}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <span class="exercise-pb">${formatLongTime(workMs[athlete])}</span>
+                </div>
+            `).join('')}
+            ${togetherMs > 0 ? `
+                <div class="exercise-item">
+                    <div>
+                        <div class="exercise-name">Together</div>
+                        <div class="roxzone-work">${team.format === 'doubles' ? 'Runs and Roxzone' : 'Shared blocks'}</div>
+                    </div>
+                    <span class="exercise-pb">${formatLongTime(togetherMs)}</span>
+                </div>
+            ` : ''}
+        </div>
+        <div class="team-card-blocks">
+            ${workout.blocks.map((block, index) => `
+                <div class="exercise-item">
+                    <span class="exercise-name">${block.label}</span>
+                    <span class="team-card-bouts">${describeBlock(index)}</span>
+                </div>
+            `).join('')}
+        </div>
+        ${team.format === 'doubles' ? `
+            <div class="team-card-note">Shared stations set no station PBs; each partner's split work is shown above.</div>
+        ` : ''}
+    `;
+    return card;
+}
+
 /**
  * Create comparison card for a single exercise
  */
@@ -231,11 +647,10 @@ function createComparisonTableCard(workout, pbs) {
     let newPBCount = 0;
 
     workout.blocks.forEach((block, index) => {
-        const exerciseId = getCanonicalExerciseId(block, workout.category);
-        const pbTime = exerciseId ? pbs[exerciseId] : null;
+        const pbTime = getBlockPB(workout, pbs, index);
         const currentTime = workout.blockTimesMs[index];
 
-        if (pbTime) {
+        if (pbTime && currentTime) {
             if (currentTime < pbTime) {
                 fasterCount++;
                 newPBCount++;
@@ -261,16 +676,15 @@ function createComparisonTableCard(workout, pbs) {
                     <span>+/-</span>
                 </div>
                 ${workout.blocks.map((block, index) => {
-                    const exerciseId = getCanonicalExerciseId(block, workout.category);
-                    const pbTime = exerciseId ? pbs[exerciseId] : null;
+                    const pbTime = getBlockPB(workout, pbs, index);
                     const currentTime = workout.blockTimesMs[index];
-                    const delta = pbTime ? calculateDelta(currentTime, pbTime) : { formatted: '-', type: 'neutral' };
-                    const isNewPB = pbTime && currentTime < pbTime;
+                    const delta = pbTime && currentTime ? calculateDelta(currentTime, pbTime) : { formatted: '-', type: 'neutral' };
+                    const isNewPB = pbTime && currentTime && currentTime < pbTime;
 
                     return `
                         <div class="comparison-row ${isNewPB ? 'new-pb-row' : ''}">
                             <span class="comparison-exercise">${block.label}${isNewPB ? ' 🏆' : ''}</span>
-                            <span class="comparison-time comparison-current">${formatTime(currentTime, false)}</span>
+                            <span class="comparison-time comparison-current">${formatBlockTime(currentTime)}</span>
                             <span class="comparison-time comparison-pb">${pbTime ? formatTime(pbTime, false) : '-'}</span>
                             <span class="delta ${delta.type}">${delta.formatted}</span>
                         </div>
@@ -301,15 +715,14 @@ export function createComparisonTable(workout, pbs = {}) {
             <span>+/-</span>
         </div>
         ${workout.blocks.map((block, index) => {
-            const exerciseId = getCanonicalExerciseId(block, workout.category);
-            const pbTime = exerciseId ? pbs[exerciseId] : null;
+            const pbTime = getBlockPB(workout, pbs, index);
             const currentTime = workout.blockTimesMs[index];
-            const delta = pbTime ? calculateDelta(currentTime, pbTime) : { formatted: '-', type: 'neutral' };
+            const delta = pbTime && currentTime ? calculateDelta(currentTime, pbTime) : { formatted: '-', type: 'neutral' };
 
             return `
                 <div class="comparison-row">
                     <span class="comparison-exercise">${block.label}</span>
-                    <span class="comparison-time comparison-current">${formatTime(currentTime, false)}</span>
+                    <span class="comparison-time comparison-current">${formatBlockTime(currentTime)}</span>
                     <span class="comparison-time comparison-pb">${pbTime ? formatTime(pbTime, false) : '-'}</span>
                     <span class="delta ${delta.type}">${delta.formatted}</span>
                 </div>
@@ -0,0 +1,70 @@
+/**
+ * Session Timeline Component
+ * Shows every start, pause, Next and undo of a timed workout, with the
+ * total time spent paused
+ */
+
+import { getTimeline, getPausedTime } from '../timer-log.js';
+import { formatTime, formatLongTime, sanitizeHTML } from '../utils.js';
+
+/**
+ * Describe what an event did
+ * @param {Object} entry - Timeline entry
+ * @returns {string} Detail text
+ */
+function getEntryDetail(entry) {
+    switch (entry.type) {
+        case 'start':
+        case 'pause':
+            return entry.blockLabel;
+        case 'next':
+            return `→ ${entry.blockLabel}`;
+        case 'undo':
+            return `back to ${entry.blockLabel}`;
+        case 'stop':
+            return `during ${entry.blockLabel}`;
+        case 'resume':
+            return entry.pausedMs !== null ? `after ${formatTime(entry.pausedMs, false)}` : '';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Create the timeline of a session
+ * The log records the taps as they happened, so it no longer matches a
+ * session whose splits were edited and is not shown for one
+ * @param {Object} session - Workout session
+ * @returns {HTMLElement|null} Timeline card, or null if the session has no event log or was edited
+ */
+export function createSessionTimeline(session) {
+    const events = session.timerEvents;
+    if (!Array.isArray(events) || events.length === 0 || session.edits?.length) return null;
+
+    const timeline = getTimeline(events, session.blocks);
+    const pausedMs = getPausedTime(events);
+
+    const container = document.createElement('div');
+    container.className = 'card session-timeline';
+    container.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Timeline</h3>
+            <span class="session-timeline-paused">
+                ${pausedMs > 0 ? `Paused ${formatLongTime(pausedMs)}` : 'No pauses'}
+            </span>
+        </div>
+        <div class="exercise-list">
+            ${timeline.map(entry => `
+                <div class="exercise-item session-timeline-item ${entry.type}">
+                    <span class="session-timeline-offset">${formatLongTime(entry.offsetMs)}</span>
+                    <div class="session-timeline-event">
+                        <div class="exercise-name">${entry.label}</div>
+                        <div class="pb-timeline-meta">${sanitizeHTML(getEntryDetail(entry))}</div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    return container;
+}
@@ -1,6 +1,9 @@
 /**
  * Stopwatch Component
- * Displays timer with controls (pause/stop/next/finish)
+ * Displays timer with controls (pause/stop/next/finish), a Roxzone lap,
+ * block laps, interval rounds, rest, a rep counter, the gap to a ghost and
+ * the athlete working in a Doubles or Relay workout.
+ * The controls can also be pressed from media keys and the keyboard.
  */
 
 import { formatTime } from '../utils.js';
@@ -15,6 +18,14 @@ import { formatTime } from '../utils.js';
  * @param {Function} options.onStop - Stop callback
  * @param {Function} options.onNext - Next callback
  * @param {Function} options.onFinish - Finish callback
+ * @param {Function} options.onTransition - Roxzone lap callback (omit to hide the lap button)
+ * @param {number|null} options.transitionTimeMs - Roxzone lap already marked in the current block
+ * @param {Function} options.onLap - Block lap callback (omit to hide the lap button)
+ * @param {Array} options.laps - Laps already marked in the current block
+ * @param {Function} options.onRoundDone - Interval round done callback (omit to hide the button)
+ * @param {Function} options.onUndo - Undo Next callback (omit to hide the button)
+ * @param {Function} options.onRep - Rep counted callback (omit to hide the rep counter)
+ * @param {Function} options.onRepUndo - Rep taken back callback
  * @returns {HTMLElement} Stopwatch element
  */
 export function createStopwatch(options = {}) {
@@ -25,14 +36,28 @@ export function createStopwatch(options = {}) {
         onResume,
         onStop,
         onNext,
-        onFinish
+        onFinish,
+        onTransition,
+        transitionTimeMs = null,
+        onLap,
+        laps = [],
+        onRoundDone,
+        onUndo,
+        onRep,
+        onRepUndo
     } = options;
 
     const container = document.createElement('div');
     container.className = 'stopwatch-container';
 
     container.innerHTML = `
+        <div class="stopwatch-partner" data-partner hidden></div>
+        <div class="stopwatch-interval" data-interval hidden></div>
         <div class="stopwatch-display" data-stopwatch-display>00:00.00</div>
+        <div class="stopwatch-ghost" data-ghost hidden>
+            <span class="stopwatch-ghost-delta" data-ghost-delta></span>
+            <span class="stopwatch-ghost-split" data-ghost-split></span>
+        </div>
         <div class="stopwatch-controls">
             <button class="stopwatch-btn btn-stop" data-action="stop" aria-label="Stop workout">
                 <svg viewBox="0 0 24 24" fill="currentColor">
@@ -68,6 +93,28 @@ export function createStopwatch(options = {}) {
                 </button>
             `}
         </div>
+        <div class="stopwatch-laps">
+            ${onTransition ? `
+                <button class="btn btn-outline btn-sm stopwatch-lap" data-action="transition"></button>
+            ` : ''}
+            ${onLap ? `
+                <button class="btn btn-outline btn-sm stopwatch-lap" data-action="lap" aria-label="Mark lap">Lap</button>
+            ` : ''}
+            ${onRoundDone ? `
+                <button class="btn btn-outline btn-sm stopwatch-lap" data-action="round-done" aria-label="Round work done" hidden>Done</button>
+            ` : ''}
+            ${onUndo ? `
+                <button class="btn btn-outline btn-sm stopwatch-lap" data-action="undo" aria-label="Undo last Next" hidden>Undo Next</button>
+            ` : ''}
+        </div>
+        <div class="stopwatch-lap-times" data-lap-times></div>
+        ${onRep ? `
+            <button class="stopwatch-rep-counter" data-action="rep" aria-label="Count rep" hidden>
+                <span class="stopwatch-rep-count" data-rep-count>0</span>
+                <span class="stopwatch-rep-remaining" data-rep-remaining></span>
+            </button>
+            <button class="btn btn-outline btn-sm stopwatch-rep-undo" data-action="rep-undo" aria-label="Take back last rep" hidden>−1 rep</button>
+        ` : ''}
     `;
 
     // Get elements
@@ -76,10 +123,26 @@ export function createStopwatch(options = {}) {
     const stopBtn = container.querySelector('[data-action="stop"]');
     const nextBtn = container.querySelector('[data-action="next"]');
     const finishBtn = container.querySelector('[data-action="finish"]');
+    const transitionBtn = container.querySelector('[data-action="transition"]');
+    const lapBtn = container.querySelector('[data-action="lap"]');
+    const lapTimes = container.querySelector('[data-lap-times]');
+    const roundDoneBtn = container.querySelector('[data-action="round-done"]');
+    const undoBtn = container.querySelector('[data-action="undo"]');
+    const repBtn = container.querySelector('[data-action="rep"]');
+    const repUndoBtn = container.querySelector('[data-action="rep-undo"]');
+    const intervalStatus = container.querySelector('[data-interval]');
+    const partnerStatus = container.querySelector('[data-partner]');
+    const ghostStatus = container.querySelector('[data-ghost]');
+    const ghostDelta = container.querySelector('[data-ghost-delta]');
+    const ghostSplit = container.querySelector('[data-ghost-split]');
 
     // Track pause state
     let currentlyPaused = isPaused;
 
+    // Track laps of the current block
+    let currentTransition = transitionTimeMs;
+    let currentLaps = laps;
+
     // Pause/Resume handler
     pauseBtn.addEventListener('click', () => {
         if (currentlyPaused) {
@@ -108,11 +171,61 @@ export function createStopwatch(options = {}) {
         });
     }
 
+    // Roxzone lap handler
+    if (transitionBtn) {
+        transitionBtn.addEventListener('click', () => {
+            if (onTransition) onTransition();
+        });
+    }
+
+    // Lap handler
+    if (lapBtn) {
+        lapBtn.addEventListener('click', () => {
+            if (onLap) onLap();
+        });
+    }
+
+    // Round done handler
+    if (roundDoneBtn) {
+        roundDoneBtn.addEventListener('click', () => {
+            if (onRoundDone) onRoundDone();
+        });
+    }
+
+    // Undo handler
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => {
+            if (onUndo) onUndo();
+        });
+    }
+
+    // Rep counter handlers
+    if (repBtn) {
+        repBtn.addEventListener('click', () => {
+            if (onRep) onRep();
+        });
+    }
+
+    if (repUndoBtn) {
+        repUndoBtn.addEventListener('click', () => {
+            if (onRepUndo) onRepUndo();
+        });
+    }
+
     // Update display method
     container.updateDisplay = (timeMs) => {
         display.textContent = formatTime(timeMs);
     };
 
+    // Show the start countdown (null when it is over)
+    // Only Stop works while counting in
+    container.showCountdown = (count) => {
+        container.classList.toggle('counting-down', count !== null);
+        if (count !== null) {
+            display.textContent = String(count);
+        }
+    };
+
     // Set paused state
     container.setPaused = (paused) => {
         currentlyPaused = paused;
@@ -129,6 +242,123 @@ export function createStopwatch(options = {}) {
         `;
     };
 
+    // Show the Roxzone lap of the current block (null when not marked yet)
+    container.setTransition = (timeMs) => {
+        currentTransition = timeMs;
+        if (!transitionBtn) return;
+
+        // The Roxzone lap must come before any block lap
+        transitionBtn.disabled = timeMs !== null || currentLaps.length > 0;
+        transitionBtn.textContent = timeMs !== null
+            ? `Roxzone ${formatTime(timeMs, false)}`
+            : 'At Station';
+        transitionBtn.setAttribute('aria-label', timeMs !== null
+            ? `Roxzone time ${formatTime(timeMs, false)}`
+            : 'Mark arrival at station');
+    };
+
+    // Show the laps of the current block
+    container.setLaps = (blockLaps) => {
+        currentLaps = blockLaps;
+        lapTimes.textContent = blockLaps.map(t => formatTime(t, false)).join(' · ');
+        container.setTransition(currentTransition);
+    };
+
+    container.setLaps(laps);
+
+    // Show the round and phase of an interval block (null for a stopwatch block)
+    // Laps and the Roxzone lap give way to the round done button
+    container.setIntervalPhase = (phase) => {
+        intervalStatus.hidden = !phase;
+        if (transitionBtn) transitionBtn.hidden = !!phase;
+        if (lapBtn) lapBtn.hidden = !!phase;
+        if (roundDoneBtn) roundDoneBtn.hidden = !phase;
+
+        if (!phase) return;
+
+        intervalStatus.className = `stopwatch-interval ${phase.phase}`;
+        intervalStatus.textContent = `Round ${phase.round + 1}/${phase.rounds} · ${phase.phase === 'work' ? 'Work' : 'Rest'}`;
+
+        if (roundDoneBtn) {
+            roundDoneBtn.disabled = phase.phase !== 'work' || phase.doneMs !== null;
+            roundDoneBtn.textContent = phase.doneMs !== null ? `Done ${formatTime(phase.doneMs, false)}` : 'Done';
+        }
+    };
+
+    // Show a rest block (null otherwise); call after setIntervalPhase()
+    // Laps and the Roxzone lap are hidden while resting
+    container.setRest = (rest) => {
+        if (!rest) return;
+
+        intervalStatus.hidden = false;
+        intervalStatus.className = 'stopwatch-interval rest';
+        intervalStatus.textContent = rest.restMs ? `Rest · ${formatTime(rest.restMs, false)}` : 'Rest · until Next';
+
+        if (transitionBtn) transitionBtn.hidden = true;
+        if (lapBtn) lapBtn.hidden = true;
+        if (roundDoneBtn) roundDoneBtn.hidden = true;
+    };
+
+    // Show the rep count of the current block (null for a block without reps)
+    container.setReps = (status) => {
+        if (!repBtn) return;
+
+        repBtn.hidden = !status;
+        repUndoBtn.hidden = !status;
+        if (!status) return;
+
+        const remaining = status.target - status.count;
+        repBtn.querySelector('[data-rep-count]').textContent = status.count;
+        repBtn.querySelector('[data-rep-remaining]').textContent = remaining > 0
+            ? `${remaining} to go`
+            : 'Target reached';
+        repBtn.classList.toggle('done', remaining <= 0);
+        repUndoBtn.disabled = status.count === 0;
+    };
+
+    // Show who is working in a Doubles or Relay workout (null when racing solo)
+    // In a Doubles station the lap button hands over to the partner
+    container.setPartner = (status) => {
+        partnerStatus.hidden = !status;
+        if (status) {
+            partnerStatus.textContent = status.label;
+        }
+
+        if (lapBtn) {
+            lapBtn.textContent = status?.switches ? 'Switch' : 'Lap';
+            lapBtn.setAttribute('aria-label', status?.switches ? 'Switch partner' : 'Mark lap');
+        }
+    };
+
+    // Show or hide the Undo Next button
+    container.setUndo = (available) => {
+        if (undoBtn) undoBtn.hidden = !available;
+    };
+
+    // Show the gap to the ghost (null when racing without one)
+    container.setGhost = (status) => {
+        ghostStatus.hidden = !status;
+        if (!status) return;
+
+        const { deltaMs, splitRemainingMs } = status;
+        if (Math.abs(deltaMs) < 1000) {
+            ghostDelta.className = 'stopwatch-ghost-delta neutral';
+            ghostDelta.textContent = 'Level with ghost';
+        } else {
+            ghostDelta.className = `stopwatch-ghost-delta ${deltaMs < 0 ? 'positive' : 'negative'}`;
+            ghostDelta.textContent = `${formatTime(Math.abs(deltaMs), false)} ${deltaMs < 0 ? 'ahead' : 'behind'}`;
+        }
+
+        // Count down in whole seconds so 00:00 means the split has been reached
+        if (splitRemainingMs === null) {
+            ghostSplit.textContent = '';
+        } else if (splitRemainingMs > 0) {
+            ghostSplit.textContent = `Ghost split in ${formatTime(Math.ceil(splitRemainingMs / 1000) * 1000, false)}`;
+        } else {
+            ghostSplit.textContent = `Ghost split +${formatTime(-splitRemainingMs, false)}`;
+        }
+    };
+
     // Update to show finish button (when reaching last block)
     container.setLastBlock = (isLast) => {
         const controls = container.querySelector('.stopwatch-controls');
@@ -164,6 +394,25 @@ export function createStopwatch(options = {}) {
         controls.appendChild(newBtn);
     };
 
+    // Press a control as if it was tapped, for media keys and keyboard shortcuts
+    // 'pause' and 'resume' only act in the matching state; 'next' finishes on the last block
+    // Nothing happens while counting in
+    container.trigger = (action) => {
+        if (container.classList.contains('counting-down')) return false;
+
+        if (action === 'next') {
+            container.querySelector('[data-action="next"], [data-action="finish"]').click();
+            return true;
+        }
+
+        if ((action === 'pause' && currentlyPaused) || (action === 'resume' && !currentlyPaused)) {
+            return false;
+        }
+
+        pauseBtn.click();
+        return true;
+    };
+
     return container;
 }
 
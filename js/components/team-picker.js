@@ -0,0 +1,179 @@
+/**
+ * Team Picker Component
+ * Sets up Doubles or Relay before a workout starts: the athletes of the
+ * team and who does (or, in Doubles, starts) each block
+ */
+
+import { TEAM_FORMATS, createTeam, getDefaultBlockAthletes, isTogetherBlock } from '../team.js';
+import { getAllProfiles, getActiveProfileId } from '../db.js';
+import { sanitizeHTML } from '../utils.js';
+
+/**
+ * Create a team picker
+ * Call refresh() whenever the blocks change
+ * @param {Object} options - Workout details
+ * @param {Array} options.blocks - Blocks about to be raced
+ * @returns {HTMLElement} Picker element with refresh() and getTeam()
+ */
+export function createTeamPicker(options) {
+    const container = document.createElement('div');
+    container.className = 'form-group team-picker';
+    container.innerHTML = `
+        <label class="form-label" for="team-format">Partner mode</label>
+        <select id="team-format" class="form-select">
+            <option value="">Solo</option>
+            ${Object.entries(TEAM_FORMATS).map(([value, format]) => `
+                <option value="${value}">${format.label}</option>
+            `).join('')}
+        </select>
+        <div class="team-picker-note" data-note hidden>Add another athlete from the header to race Doubles or Relay.</div>
+        <div class="team-picker-details settings-list" data-details hidden></div>
+    `;
+
+    const select = container.querySelector('select');
+    const note = container.querySelector('[data-note]');
+    const details = container.querySelector('[data-details]');
+
+    let profiles = [];
+    let format = '';
+    let athleteIds = [];
+    let blockAthletes = [];
+
+    /**
+     * Get the athletes of the team, in team order
+     * @returns {Array} Profiles
+     */
+    const getAthletes = () => athleteIds.map(id => profiles.find(p => p.id === id));
+
+    /**
+     * Get the name of a team slot
+     * @param {number} index - Athlete index
+     * @returns {string} 'A' or 'B' in Doubles, 1 to 4 in Relay
+     */
+    const getSlotName = (index) => (format === 'doubles' ? 'AB'[index] : String(index + 1));
+
+    // Pick the first athletes (the active one first) and share out the blocks
+    const resetTeam = (count) => {
+        const activeId = getActiveProfileId();
+        athleteIds = [activeId, ...profiles.map(p => p.id).filter(id => id !== activeId)].slice(0, count);
+        blockAthletes = getDefaultBlockAthletes(format, options.blocks, count);
+    };
+
+    const renderDetails = () => {
+        details.hidden = !format;
+        if (!format) return;
+
+        const { minAthletes, maxAthletes } = TEAM_FORMATS[format];
+        const athletes = getAthletes();
+        const maxCount = Math.min(maxAthletes, profiles.length);
+
+        details.innerHTML = `
+            ${maxCount > minAthletes ? `
+                <div class="settings-option">
+                    <span>Team size</span>
+                    <select class="form-select team-picker-select" data-role="size">
+                        ${Array.from({ length: maxCount - minAthletes + 1 }, (_, i) => minAthletes + i).map(count => `
+                            <option value="${count}" ${count === athletes.length ? 'selected' : ''}>${count} athletes</option>
+                        `).join('')}
+                    </select>
+                </div>
+            ` : ''}
+            ${athletes.map((athlete, index) => `
+                <div class="settings-option">
+                    <span>Athlete ${getSlotName(index)}</span>
+                    <select class="form-select team-picker-select" data-athlete="${index}">
+                        ${profiles.map(profile => `
+                            <option value="${profile.id}" ${profile.id === athlete.id ? 'selected' : ''}>${sanitizeHTML(profile.name)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+            <details class="team-picker-blocks">
+                <summary>${format === 'doubles' ? 'Who starts each station' : 'Who does each block'}</summary>
+                <div class="exercise-list">
+                    ${options.blocks.map((block, index) => `
+                        <div class="exercise-item">
+                            <span class="exercise-name">${sanitizeHTML(block.label)}</span>
+                            ${isTogetherBlock(format, block) ? `
+                                <span class="exercise-pb">Together</span>
+                            ` : `
+                                <select class="form-select team-picker-select" data-block="${index}">
+                                    ${athletes.map((athlete, athleteIndex) => `
+                                        <option value="${athleteIndex}" ${blockAthletes[index] === athleteIndex ? 'selected' : ''}>
+                                            ${getSlotName(athleteIndex)} · ${sanitizeHTML(athlete.name)}
+                                        </option>
+                                    `).join('')}
+                                </select>
+                            `}
+                        </div>
+                    `).join('')}
+                </div>
+            </details>
+            ${format === 'doubles' ? `
+                <div class="team-picker-note">Shared stations set no station PBs, as each partner does only part of them. A finished sim sets the Doubles PB of both partners.</div>
+            ` : ''}
+        `;
+
+        details.querySelector('[data-role="size"]')?.addEventListener('change', (e) => {
+            resetTeam(parseInt(e.target.value, 10));
+            renderDetails();
+        });
+
+        // An athlete can only fill one slot, so the slot that had them swaps
+        details.querySelectorAll('[data-athlete]').forEach(athleteSelect => {
+            athleteSelect.addEventListener('change', () => {
+                const index = parseInt(athleteSelect.dataset.athlete, 10);
+                const taken = athleteIds.indexOf(athleteSelect.value);
+                if (taken !== -1) {
+                    athleteIds[taken] = athleteIds[index];
+                }
+                athleteIds[index] = athleteSelect.value;
+                renderDetails();
+            });
+        });
+
+        details.querySelectorAll('[data-block]').forEach(blockSelect => {
+            blockSelect.addEventListener('change', () => {
+                blockAthletes[parseInt(blockSelect.dataset.block, 10)] = parseInt(blockSelect.value, 10);
+            });
+        });
+    };
+
+    select.addEventListener('change', () => {
+        format = select.value;
+        if (format) {
+            resetTeam(format === 'relay' ? Math.min(TEAM_FORMATS.relay.maxAthletes, profiles.length) : 2);
+        }
+        renderDetails();
+    });
+
+    // Share out the new blocks, keeping the team and, if the same blocks are
+    // still in the same order, who does them
+    container.refresh = (newOptions = options) => {
+        const sameBlocks = newOptions.blocks.length === options.blocks.length
+            && newOptions.blocks.every((block, index) => block.id === options.blocks[index].id);
+        options = newOptions;
+        if (format && !sameBlocks) {
+            blockAthletes = getDefaultBlockAthletes(format, options.blocks, athleteIds.length);
+        }
+        renderDetails();
+    };
+
+    // The team, or null when racing solo
+    container.getTeam = () => {
+        if (!format) return null;
+
+        const team = createTeam(format, getAthletes(), options.blocks);
+        team.blockAthletes = [...blockAthletes];
+        return team;
+    };
+
+    getAllProfiles().then(loaded => {
+        profiles = loaded;
+        const canRaceTeams = profiles.length >= 2;
+        select.disabled = !canRaceTeams;
+        note.hidden = canRaceTeams;
+    });
+
+    return container;
+}
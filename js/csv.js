@@ -0,0 +1,103 @@
+/**
+ * CSV Export Module
+ * Flattens workout sessions into spreadsheet-friendly rows
+ */
+
+import { getCanonicalExerciseId } from './exercises.js';
+import { formatTime } from './utils.js';
+
+// Column order for the per-block splits export
+const SPLIT_COLUMNS = [
+    'session_id',
+    'started_at',
+    'mode',
+    'category',
+    'block_index',
+    'block_label',
+    'exercise_id',
+    'split_ms',
+    'split',
+    'cumulative_ms',
+    'cumulative'
+];
+
+/**
+ * Escape a single CSV value
+ * Text that a spreadsheet would run as a formula is prefixed with a quote;
+ * numbers are left alone so negative values stay numbers
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let str = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(str)) {
+        str = `'${str}`;
+    }
+
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Convert rows of values to CSV text
+ * @param {string[]} columns - Header row
+ * @param {Array<Array>} rows - Data rows
+ * @returns {string} CSV text
+ */
+export function toCSV(columns, rows) {
+    return [columns, ...rows]
+        .map(row => row.map(escapeCell).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Build a CSV with one row per block for the given sessions
+ * @param {Array} sessions - Workout sessions
+ * @returns {string} CSV text
+ */
+export function createSplitsCSV(sessions) {
+    const rows = [];
+
+    for (const session of sessions) {
+        let cumulativeMs = 0;
+
+        (session.blocks || []).forEach((block, index) => {
+            const splitMs = session.blockTimesMs?.[index] ?? null;
+            if (splitMs !== null) {
+                cumulativeMs += splitMs;
+            }
+
+            rows.push([
+                session.id,
+                session.startedAt,
+                session.mode,
+                session.category,
+                index + 1,
+                block.label,
+                getCanonicalExerciseId(block, session.category) || '',
+                splitMs,
+                splitMs !== null ? formatTime(splitMs) : '',
+                cumulativeMs,
+                formatTime(cumulativeMs)
+            ]);
+        });
+    }
+
+    return toCSV(SPLIT_COLUMNS, rows);
+}
+
+/**
+ * Get a file name for a splits export
+ * @param {string} filter - Active history filter
+ * @param {Date} date - Export date (default: now)
+ * @returns {string} File name
+ */
+export function getSplitsFilename(filter = 'all', date = new Date()) {
+    return `hyrox-splits-${filter}-${date.toISOString().slice(0, 10)}.csv`;
+}
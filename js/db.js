@@ -3,43 +3,92 @@
  * Handles all data persistence for the Hyrox Tracker app
  */
 
+import { generateId } from './utils.js';
+import { EXERCISE_IDS } from './exercises.js';
+import { getPBProfileId, getTotalPBId } from './team.js';
+
 const DB_NAME = 'HyroxTrackerDB';
-const DB_VERSION = 1;
 
 // Store names
 export const STORES = {
     WORKOUT_SESSIONS: 'workoutSessions',
     WORKOUT_TEMPLATES: 'workoutTemplates',
     PERSONAL_BESTS: 'personalBests',
+    PERSONAL_BEST_HISTORY: 'personalBestHistory',
+    DELETED_SESSIONS: 'deletedSessions',
+    PROFILES: 'profiles',
     META: 'meta'
 };
 
-let db = null;
+// Profile that owns data recorded before profiles existed
+export const DEFAULT_PROFILE_ID = 'default';
 
-/**
- * Initialize the database
- * @returns {Promise<IDBDatabase>} Database instance
- */
-export async function initDB() {
-    if (db) return db;
+// Stores whose records belong to a profile
+const PROFILE_STORES = [
+    STORES.WORKOUT_SESSIONS,
+    STORES.WORKOUT_TEMPLATES,
+    STORES.PERSONAL_BESTS,
+    STORES.PERSONAL_BEST_HISTORY,
+    STORES.DELETED_SESSIONS
+];
 
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+// Sessions per page in paged history queries
+export const SESSION_PAGE_SIZE = 20;
 
-        request.onerror = () => {
-            console.error('Failed to open database:', request.error);
-            reject(request.error);
-        };
+// Screens with an Amateur/Pro toggle
+const TOGGLE_SCREENS = ['dashboard', 'full-sim', 'custom'];
 
-        request.onsuccess = () => {
-            db = request.result;
-            console.log('Database initialized successfully');
-            resolve(db);
-        };
+// Days a deleted session stays in the trash before it is purged
+export const TRASH_RETENTION_DAYS = 30;
 
-        request.onupgradeneeded = (event) => {
-            const database = event.target.result;
+// Audio cue settings until the user changes them
+export const DEFAULT_AUDIO_SETTINGS = {
+    volume: 0.8,
+    cues: { countdown: true, next: true, pause: true, resume: true, finish: true, pb: true }
+};
+
+// Spoken announcement settings until the user changes them
+export const DEFAULT_SPEECH_SETTINGS = {
+    verbosity: 'off',
+    voiceURI: null,
+    calloutSeconds: 0
+};
+
+// Screen wake lock settings until the user changes them
+export const DEFAULT_WAKE_LOCK_SETTINGS = {
+    enabled: true
+};
 
+// Rep counter settings until the user changes them
+export const DEFAULT_REP_COUNTER_SETTINGS = {
+    autoAdvance: true
+};
+
+// Remote control settings until the user changes them
+// Keys are KeyboardEvent.code values, so they follow the key's position, not its layout
+export const DEFAULT_REMOTE_CONTROL_SETTINGS = {
+    mediaKeys: true,
+    keys: { pauseResume: 'Space', next: 'ArrowRight' }
+};
+
+/**
+ * Schema migrations, applied in version order inside the upgrade transaction
+ *
+ * Each step has:
+ * - version: the database version it upgrades to
+ * - description: short summary for logs
+ * - upgrade(database, transaction): optional schema changes (stores, indexes)
+ * - records: optional map of store name to a function that receives a stored
+ *   record and returns the upgraded record, or null to drop it
+ *
+ * The record functions are also used to upgrade records from older backups,
+ * so they must be pure and must not rely on other stores.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial schema',
+        upgrade(database) {
             // Workout Sessions Store
             if (!database.objectStoreNames.contains(STORES.WORKOUT_SESSIONS)) {
                 const sessionStore = database.createObjectStore(STORES.WORKOUT_SESSIONS, { keyPath: 'id' });
@@ -67,12 +116,319 @@ export async function initDB() {
             if (!database.objectStoreNames.contains(STORES.META)) {
                 database.createObjectStore(STORES.META, { keyPath: 'key' });
             }
+        }
+    },
+    {
+        version: 2,
+        description: 'Personal best history',
+        upgrade(database, transaction) {
+            const historyStore = database.createObjectStore(STORES.PERSONAL_BEST_HISTORY, { keyPath: 'id' });
+            historyStore.createIndex('pbId', 'pbId', { unique: false });
+            historyStore.createIndex('category', 'category', { unique: false });
+            historyStore.createIndex('sessionId', 'sessionId', { unique: false });
+
+            // Seed the history from the sessions already recorded
+            const request = transaction.objectStore(STORES.WORKOUT_SESSIONS).getAll();
+            request.onsuccess = () => {
+                for (const entry of seedPBHistoryV2(request.result || [])) {
+                    historyStore.put(entry);
+                }
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Index sessions by template',
+        upgrade(database, transaction) {
+            transaction.objectStore(STORES.WORKOUT_SESSIONS).createIndex('templateId', 'templateId', { unique: false });
+        }
+    },
+    {
+        version: 4,
+        description: 'Trash for deleted sessions',
+        upgrade(database) {
+            const trashStore = database.createObjectStore(STORES.DELETED_SESSIONS, { keyPath: 'id' });
+            trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+        }
+    },
+    {
+        version: 5,
+        description: 'Athlete profiles',
+        upgrade(database, transaction) {
+            const profileStore = database.createObjectStore(STORES.PROFILES, { keyPath: 'id' });
+            profileStore.put(createDefaultProfile());
+
+            for (const storeName of PROFILE_STORES) {
+                transaction.objectStore(storeName).createIndex('profileId', 'profileId', { unique: false });
+            }
+        },
+        records: {
+            [STORES.WORKOUT_SESSIONS]: assignDefaultProfile,
+            [STORES.WORKOUT_TEMPLATES]: assignDefaultProfile,
+            [STORES.DELETED_SESSIONS]: assignDefaultProfile,
+            [STORES.PERSONAL_BESTS]: (pb) => {
+                const profileId = pb.profileId || DEFAULT_PROFILE_ID;
+                return { ...pb, id: getPBKey(pb.category, pb.exerciseId, profileId), profileId };
+            },
+            [STORES.PERSONAL_BEST_HISTORY]: (entry) => {
+                const profileId = entry.profileId || DEFAULT_PROFILE_ID;
+                return { ...entry, pbId: getPBKey(entry.category, entry.exerciseId, profileId), profileId };
+            },
+            // Toggle settings become per profile: toggle_<screen> -> toggle_default_<screen>
+            [STORES.META]: (record) => {
+                const screen = TOGGLE_SCREENS.find(name => record.key === `toggle_${name}`);
+                return screen ? { ...record, key: getToggleKey(screen, DEFAULT_PROFILE_ID) } : record;
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Compound indexes for session queries',
+        upgrade(database, transaction) {
+            const sessionStore = transaction.objectStore(STORES.WORKOUT_SESSIONS);
+            sessionStore.createIndex('profileStartedAt', ['profileId', 'startedAt'], { unique: false });
+            sessionStore.createIndex('profileModeCategory', ['profileId', 'mode', 'category', 'startedAt'], { unique: false });
+        }
+    },
+    {
+        version: 7,
+        description: 'Index sessions by team member',
+        upgrade(database, transaction) {
+            transaction.objectStore(STORES.WORKOUT_SESSIONS).createIndex('teamProfileIds', 'team.profileIds', { unique: false, multiEntry: true });
+        }
+    }
+];
 
-            console.log('Database schema created/updated');
+/**
+ * Give a record written before profiles existed to the default profile
+ * @param {Object} record - Stored record
+ * @returns {Object} Record with a profileId
+ */
+function assignDefaultProfile(record) {
+    return record.profileId ? record : { ...record, profileId: DEFAULT_PROFILE_ID };
+}
+
+/**
+ * Create the default profile record
+ * @returns {Object} Profile
+ */
+function createDefaultProfile() {
+    return { id: DEFAULT_PROFILE_ID, name: 'Athlete 1', createdAt: new Date().toISOString() };
+}
+
+/**
+ * Replay v1 sessions into v2 PB history entries
+ * A frozen copy of the PB rules as they were at v2, so the migration's
+ * output never changes with later PB rules. Entries have the v2 shape, so
+ * later steps upgrade them like any other stored entry.
+ * @param {Array} sessions - Workout sessions stored at v1
+ * @returns {Array} History entries
+ */
+function seedPBHistoryV2(sessions) {
+    const exerciseIds = Object.values(EXERCISE_IDS);
+
+    // Canonical exercise ID of a block, as PBs were tracked at v2
+    const getExerciseId = (block) => {
+        if (block.type === 'custom') return null;
+        if (block.id === 'run_custom') {
+            return block.distance === 1000 || block.distance === '1000m' ? EXERCISE_IDS.RUN_CUSTOM : null;
+        }
+        return block.id && exerciseIds.includes(block.id) ? block.id : null;
+    };
+
+    const history = [];
+
+    for (const category of ['amateur', 'pro']) {
+        const bests = {};
+
+        const consider = (exerciseId, time, session) => {
+            const previous = bests[exerciseId];
+            if (previous !== undefined && time >= previous) return;
+
+            bests[exerciseId] = time;
+            history.push({
+                id: generateId(),
+                pbId: `${category}:${exerciseId}`,
+                category,
+                exerciseId,
+                previousTimeMs: previous === undefined ? null : previous,
+                timeMs: time,
+                sessionId: session.id,
+                achievedAt: session.finishedAt || session.startedAt
+            });
+        };
+
+        const categorySessions = sessions
+            .filter(s => s.category === category)
+            .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+        for (const session of categorySessions) {
+            if (session.blocks && session.blockTimesMs) {
+                session.blocks.forEach((block, i) => {
+                    const time = session.blockTimesMs[i];
+                    const exerciseId = time && time > 0 ? getExerciseId(block) : null;
+                    if (exerciseId) {
+                        consider(exerciseId, time, session);
+                    }
+                });
+            }
+
+            if (session.mode === 'sim' && session.totalTimeMs) {
+                consider('full_sim_total', session.totalTimeMs, session);
+            }
+        }
+    }
+
+    return history;
+}
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let db = null;
+
+// Profile that new data is recorded against
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+/**
+ * Initialize the database
+ * @returns {Promise<IDBDatabase>} Database instance
+ */
+export async function initDB() {
+    if (db) return db;
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onerror = () => {
+            console.error('Failed to open database:', request.error);
+            reject(request.error);
+        };
+
+        request.onsuccess = () => {
+            db = request.result;
+            console.log('Database initialized successfully');
+            resolve(db);
+        };
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            const transaction = event.target.transaction;
+
+            runMigrations(database, transaction, event.oldVersion);
         };
     });
 }
 
+/**
+ * Apply every migration newer than the stored version
+ * Steps run one after another so each sees the records left by the last.
+ * Everything happens inside the upgrade transaction, so a failing step
+ * aborts the whole upgrade and leaves the old database untouched.
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+function runMigrations(database, transaction, oldVersion) {
+    const pending = MIGRATIONS.filter(migration => migration.version > oldVersion);
+
+    const runStep = (stepIndex) => {
+        if (stepIndex >= pending.length) {
+            transaction.objectStore(STORES.META).put({
+                key: 'schemaVersion',
+                value: {
+                    version: DB_VERSION,
+                    upgradedFrom: oldVersion,
+                    appliedAt: new Date().toISOString()
+                }
+            });
+            console.log(`Database schema upgraded from v${oldVersion} to v${DB_VERSION}`);
+            return;
+        }
+
+        const migration = pending[stepIndex];
+        console.log(`Applying migration v${migration.version}: ${migration.description}`);
+
+        if (migration.upgrade) {
+            migration.upgrade(database, transaction);
+        }
+
+        const recordSteps = Object.entries(migration.records || {});
+
+        const rewriteNext = (recordIndex) => {
+            if (recordIndex >= recordSteps.length) {
+                runStep(stepIndex + 1);
+                return;
+            }
+
+            const [storeName, upgradeRecord] = recordSteps[recordIndex];
+            rewriteStore(transaction, storeName, upgradeRecord, () => rewriteNext(recordIndex + 1));
+        };
+
+        rewriteNext(0);
+    };
+
+    runStep(0);
+}
+
+/**
+ * Rewrite every record in a store during an upgrade
+ * Records are read up front so that re-keyed records are never visited twice.
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {string} storeName - Store name
+ * @param {Function} upgradeRecord - Returns the upgraded record or null to drop it
+ * @param {Function} onDone - Called once all writes are queued
+ */
+function rewriteStore(transaction, storeName, upgradeRecord, onDone) {
+    const store = transaction.objectStore(storeName);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+        for (const record of request.result || []) {
+            const oldKey = record[store.keyPath];
+            const upgraded = upgradeRecord(record);
+
+            if (!upgraded || upgraded[store.keyPath] !== oldKey) {
+                store.delete(oldKey);
+            }
+
+            if (upgraded) {
+                store.put(upgraded);
+            }
+        }
+
+        onDone();
+    };
+}
+
+/**
+ * Upgrade records written under an older schema version
+ * Used when importing backups made by an older version of the app
+ * @param {string} storeName - Store name
+ * @param {Array} records - Records as stored at fromVersion
+ * @param {number} fromVersion - Schema version the records were written with
+ * @returns {Array} Upgraded records
+ */
+export function upgradeRecords(storeName, records, fromVersion) {
+    let upgraded = records;
+
+    for (const migration of MIGRATIONS) {
+        const upgradeRecord = migration.records?.[storeName];
+        if (migration.version > fromVersion && upgradeRecord) {
+            upgraded = upgraded.map(upgradeRecord).filter(Boolean);
+        }
+    }
+
+    return upgraded;
+}
+
+/**
+ * Get the schema version recorded by the last upgrade
+ * @returns {Promise<Object|null>} { version, upgradedFrom, appliedAt } or null
+ */
+export async function getSchemaVersion() {
+    return getMeta('schemaVersion', null);
+}
+
 /**
  * Get database instance
  * @returns {Promise<IDBDatabase>}
@@ -193,6 +549,96 @@ export async function getByIndex(storeName, indexName, value) {
     });
 }
 
+/**
+ * Walk an index with a cursor
+ * @param {string} storeName - Store name
+ * @param {string} indexName - Index name
+ * @param {IDBKeyRange|null} range - Key range (null for the whole index)
+ * @param {string} direction - 'next' or 'prev'
+ * @param {Function} visit - Called with each record; return false to stop
+ * @returns {Promise<void>}
+ */
+async function walkIndex(storeName, indexName, range, direction, visit) {
+    const database = await getDB();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, 'readonly');
+        const index = transaction.objectStore(storeName).index(indexName);
+        const request = index.openCursor(range, direction);
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor && visit(cursor.value) !== false) {
+                cursor.continue();
+            } else {
+                resolve();
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write records into several stores in a single transaction
+ * Either every record is written or none are
+ * @param {Object} recordsByStore - Map of store name to array of records
+ * @param {string[]} clearStores - Stores to empty before writing
+ * @returns {Promise<void>}
+ */
+export async function bulkPut(recordsByStore, clearStores = []) {
+    const database = await getDB();
+    const storeNames = [...new Set([...Object.keys(recordsByStore), ...clearStores])];
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readwrite');
+
+        for (const storeName of clearStores) {
+            transaction.objectStore(storeName).clear();
+        }
+
+        for (const [storeName, records] of Object.entries(recordsByStore)) {
+            const store = transaction.objectStore(storeName);
+            for (const record of records) {
+                store.put(record);
+            }
+        }
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Move a record from one store to another in a single transaction
+ * @param {string} fromStore - Store holding the record
+ * @param {string} toStore - Store to move it into
+ * @param {string} key - Record key
+ * @param {Function} transform - Returns the record to write into toStore
+ * @returns {Promise<Object|undefined>} The written record, or undefined if not found
+ */
+async function moveRecord(fromStore, toStore, key, transform) {
+    const database = await getDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([fromStore, toStore], 'readwrite');
+        const source = transaction.objectStore(fromStore);
+        let moved;
+
+        const request = source.get(key);
+        request.onsuccess = () => {
+            if (!request.result) return;
+
+            moved = transform(request.result);
+            source.delete(key);
+            transaction.objectStore(toStore).put(moved);
+        };
+
+        transaction.oncomplete = () => resolve(moved);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
 // ============================================
 // Workout Sessions
 // ============================================
@@ -216,30 +662,141 @@ export async function getWorkoutSession(id) {
 }
 
 /**
- * Get all workout sessions
- * @returns {Promise<Array>} All sessions sorted by date (newest first)
+ * Get all workout sessions of a profile
+ * @param {string|null} profileId - Profile ID, or null for every profile (default: active profile)
+ * @returns {Promise<Array>} Sessions sorted by date (newest first)
  */
-export async function getAllWorkoutSessions() {
-    const sessions = await getAll(STORES.WORKOUT_SESSIONS);
+export async function getAllWorkoutSessions(profileId = activeProfileId) {
+    const sessions = profileId
+        ? await getByIndex(STORES.WORKOUT_SESSIONS, 'profileId', profileId)
+        : await getAll(STORES.WORKOUT_SESSIONS);
     return sessions.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
 }
 
 /**
- * Get workout sessions by category
+ * Get the Doubles and Relay sessions an athlete was part of
+ * Includes sessions recorded by a teammate
+ * @param {string} profileId - Profile ID (default: active profile)
+ * @returns {Promise<Array>} Sessions (any order)
+ */
+export async function getTeamWorkoutSessions(profileId = activeProfileId) {
+    return getByIndex(STORES.WORKOUT_SESSIONS, 'teamProfileIds', profileId);
+}
+
+/**
+ * Get workout sessions of the active profile by category
  * @param {string} category - 'amateur' or 'pro'
  * @returns {Promise<Array>} Sessions for category
  */
 export async function getWorkoutSessionsByCategory(category) {
-    return getByIndex(STORES.WORKOUT_SESSIONS, 'category', category);
+    const sessions = await getByIndex(STORES.WORKOUT_SESSIONS, 'category', category);
+    return sessions.filter(s => s.profileId === activeProfileId);
 }
 
 /**
- * Get workout sessions by mode
+ * Get workout sessions of the active profile by mode
  * @param {string} mode - 'sim' or 'custom'
  * @returns {Promise<Array>} Sessions for mode
  */
 export async function getWorkoutSessionsByMode(mode) {
-    return getByIndex(STORES.WORKOUT_SESSIONS, 'mode', mode);
+    const sessions = await getByIndex(STORES.WORKOUT_SESSIONS, 'mode', mode);
+    return sessions.filter(s => s.profileId === activeProfileId);
+}
+
+/**
+ * Get the workout sessions started within a date range
+ * @param {Date} start - Range start (inclusive)
+ * @param {Date} end - Range end (inclusive)
+ * @param {string} profileId - Profile ID (default: active profile)
+ * @returns {Promise<Array>} Sessions, newest first
+ */
+export async function getWorkoutSessionsInRange(start, end, profileId = activeProfileId) {
+    const range = IDBKeyRange.bound([profileId, start.toISOString()], [profileId, end.toISOString()]);
+    const sessions = await getByIndex(STORES.WORKOUT_SESSIONS, 'profileStartedAt', range);
+    return sessions.reverse();
+}
+
+/**
+ * Get the workout sessions of one mode and category
+ * @param {string} mode - 'sim' or 'custom'
+ * @param {string} category - 'amateur' or 'pro'
+ * @param {string} profileId - Profile ID (default: active profile)
+ * @returns {Promise<Array>} Sessions, newest first
+ */
+export async function getWorkoutSessionsByModeAndCategory(mode, category, profileId = activeProfileId) {
+    const range = IDBKeyRange.bound([profileId, mode, category, ''], [profileId, mode, category, '\uffff']);
+    const sessions = await getByIndex(STORES.WORKOUT_SESSIONS, 'profileModeCategory', range);
+    return sessions.reverse();
+}
+
+/**
+ * Get one page of workout sessions, newest first
+ * Uses the most selective index for the filter and a cursor, so only the
+ * requested page is read. Pass the returned nextCursor to get the next page.
+ * @param {Object} options - Query options
+ * @param {string|null} options.profileId - Profile ID, or null for every profile (default: active profile)
+ * @param {string|null} options.mode - 'sim', 'custom' or null for any
+ * @param {string|null} options.category - 'amateur', 'pro' or null for any
+ * @param {Object|null} options.cursor - nextCursor from the previous page
+ * @param {number} options.limit - Page size (Infinity for every match)
+ * @returns {Promise<{sessions: Array, nextCursor: Object|null}>} Page and cursor for the next one
+ */
+export async function getWorkoutSessionsPage(options = {}) {
+    const {
+        profileId = activeProfileId,
+        mode = null,
+        category = null,
+        cursor = null,
+        limit = SESSION_PAGE_SIZE
+    } = options;
+
+    // The cursor's startedAt is inclusive; ties are resolved by id below
+    const upper = cursor ? cursor.startedAt : '\uffff';
+
+    let indexName;
+    let range;
+    if (profileId && mode && category) {
+        indexName = 'profileModeCategory';
+        range = IDBKeyRange.bound([profileId, mode, category, ''], [profileId, mode, category, upper]);
+    } else if (profileId) {
+        indexName = 'profileStartedAt';
+        range = IDBKeyRange.bound([profileId, ''], [profileId, upper]);
+    } else {
+        indexName = 'startedAt';
+        range = cursor ? IDBKeyRange.upperBound(upper) : null;
+    }
+
+    const sessions = [];
+    let hasMore = false;
+
+    await walkIndex(STORES.WORKOUT_SESSIONS, indexName, range, 'prev', (session) => {
+        // Equal keys come in descending id order, so skip what the last page returned
+        if (cursor && session.startedAt === cursor.startedAt && session.id >= cursor.id) return true;
+        if ((mode && session.mode !== mode) || (category && session.category !== category)) return true;
+
+        if (sessions.length >= limit) {
+            hasMore = true;
+            return false;
+        }
+
+        sessions.push(session);
+        return true;
+    });
+
+    const last = sessions[sessions.length - 1];
+    return {
+        sessions,
+        nextCursor: hasMore ? { startedAt: last.startedAt, id: last.id } : null
+    };
+}
+
+/**
+ * Get workout sessions started from a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array>} Sessions for template
+ */
+export async function getWorkoutSessionsByTemplate(templateId) {
+    return getByIndex(STORES.WORKOUT_SESSIONS, 'templateId', templateId);
 }
 
 /**
@@ -251,6 +808,66 @@ export async function deleteWorkoutSession(id) {
     return remove(STORES.WORKOUT_SESSIONS, id);
 }
 
+// ============================================
+// Trash
+// ============================================
+
+/**
+ * Move a workout session to the trash
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|undefined>} Trashed session (with deletedAt)
+ */
+export async function trashWorkoutSession(id) {
+    return moveRecord(STORES.WORKOUT_SESSIONS, STORES.DELETED_SESSIONS, id, session => ({
+        ...session,
+        deletedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Move a session from the trash back into the workout sessions
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|undefined>} Restored session
+ */
+export async function restoreWorkoutSession(id) {
+    return moveRecord(STORES.DELETED_SESSIONS, STORES.WORKOUT_SESSIONS, id, ({ deletedAt, ...session }) => session);
+}
+
+/**
+ * Get all sessions of the active profile in the trash
+ * @returns {Promise<Array>} Trashed sessions, most recently deleted first
+ */
+export async function getTrashedSessions() {
+    const sessions = await getByIndex(STORES.DELETED_SESSIONS, 'profileId', activeProfileId);
+    return sessions.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Permanently delete a session from the trash
+ * @param {string} id - Session ID
+ * @returns {Promise<void>}
+ */
+export async function purgeTrashedSession(id) {
+    return remove(STORES.DELETED_SESSIONS, id);
+}
+
+/**
+ * Permanently delete trashed sessions older than the retention period
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<number>} Number of sessions purged
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 86400000).toISOString();
+    const expired = await getAll(STORES.DELETED_SESSIONS)
+        .then(sessions => sessions.filter(s => s.deletedAt < cutoff));
+
+    for (const session of expired) {
+        await purgeTrashedSession(session.id);
+    }
+
+    return expired.length;
+}
+
 // ============================================
 // Workout Templates
 // ============================================
@@ -274,20 +891,21 @@ export async function getWorkoutTemplate(id) {
 }
 
 /**
- * Get all workout templates
+ * Get all workout templates of the active profile
  * @returns {Promise<Array>} All templates
  */
 export async function getAllWorkoutTemplates() {
-    return getAll(STORES.WORKOUT_TEMPLATES);
+    return getByIndex(STORES.WORKOUT_TEMPLATES, 'profileId', activeProfileId);
 }
 
 /**
- * Get templates by category
+ * Get templates of the active profile by category
  * @param {string} category - 'amateur' or 'pro'
  * @returns {Promise<Array>} Templates for category
  */
 export async function getTemplatesByCategory(category) {
-    return getByIndex(STORES.WORKOUT_TEMPLATES, 'category', category);
+    const templates = await getByIndex(STORES.WORKOUT_TEMPLATES, 'category', category);
+    return templates.filter(t => t.profileId === activeProfileId);
 }
 
 /**
@@ -307,43 +925,54 @@ export async function deleteWorkoutTemplate(id) {
  * Get PB key
  * @param {string} category - 'amateur' or 'pro'
  * @param {string} exerciseId - Exercise ID
+ * @param {string} profileId - Profile ID
  * @returns {string} Composite key
  */
-function getPBKey(category, exerciseId) {
-    return `${category}:${exerciseId}`;
+function getPBKey(category, exerciseId, profileId) {
+    return `${profileId}:${category}:${exerciseId}`;
 }
 
 /**
  * Get personal best for an exercise
  * @param {string} category - 'amateur' or 'pro'
  * @param {string} exerciseId - Exercise ID
+ * @param {string} profileId - Profile ID (default: active profile)
  * @returns {Promise<number|null>} Best time in ms or null
  */
-export async function getPersonalBest(category, exerciseId) {
-    const key = getPBKey(category, exerciseId);
+export async function getPersonalBest(category, exerciseId, profileId = activeProfileId) {
+    const key = getPBKey(category, exerciseId, profileId);
     const pb = await get(STORES.PERSONAL_BESTS, key);
     return pb ? pb.bestTimeMs : null;
 }
 
 /**
  * Update personal best if new time is better
+ * Every new PB is also appended to the PB history
  * @param {string} category - 'amateur' or 'pro'
  * @param {string} exerciseId - Exercise ID
  * @param {number} timeMs - New time in ms
+ * @param {Object} context - Where the time came from
+ * @param {string} context.sessionId - Session that set the time
+ * @param {string} context.achievedAt - ISO date the time was set (default: now)
+ * @param {string} context.profileId - Profile the session belongs to (default: active profile)
  * @returns {Promise<boolean>} True if PB was updated
  */
-export async function updatePersonalBest(category, exerciseId, timeMs) {
-    const key = getPBKey(category, exerciseId);
+export async function updatePersonalBest(category, exerciseId, timeMs, context = {}) {
+    const profileId = context.profileId || activeProfileId;
+    const key = getPBKey(category, exerciseId, profileId);
     const existing = await get(STORES.PERSONAL_BESTS, key);
 
     if (!existing || timeMs < existing.bestTimeMs) {
-        await put(STORES.PERSONAL_BESTS, {
-            id: key,
-            category,
-            exerciseId,
-            bestTimeMs: timeMs,
-            achievedAt: new Date().toISOString()
-        });
+        const achievedAt = context.achievedAt || new Date().toISOString();
+
+        await setPersonalBest(category, exerciseId, timeMs, achievedAt, profileId);
+
+        await put(STORES.PERSONAL_BEST_HISTORY, createPBHistoryEntry(category, exerciseId, profileId, {
+            previousTimeMs: existing ? existing.bestTimeMs : null,
+            timeMs,
+            sessionId: context.sessionId || null,
+            achievedAt
+        }));
         return true;
     }
 
@@ -353,13 +982,16 @@ export async function updatePersonalBest(category, exerciseId, timeMs) {
 /**
  * Get all personal bests for a category
  * @param {string} category - 'amateur' or 'pro'
+ * @param {string} profileId - Profile ID (default: active profile)
  * @returns {Promise<Object>} Map of exerciseId to bestTimeMs
  */
-export async function getAllPersonalBests(category) {
-    const pbs = await getByIndex(STORES.PERSONAL_BESTS, 'category', category);
+export async function getAllPersonalBests(category, profileId = activeProfileId) {
+    const pbs = await getByIndex(STORES.PERSONAL_BESTS, 'profileId', profileId);
     const pbMap = {};
     for (const pb of pbs) {
-        pbMap[pb.exerciseId] = pb.bestTimeMs;
+        if (pb.category === category) {
+            pbMap[pb.exerciseId] = pb.bestTimeMs;
+        }
     }
     return pbMap;
 }
@@ -367,10 +999,11 @@ export async function getAllPersonalBests(category) {
 /**
  * Get full sim PB total time
  * @param {string} category - 'amateur' or 'pro'
+ * @param {string} profileId - Profile ID (default: active profile)
  * @returns {Promise<number|null>} Best total time in ms or null
  */
-export async function getSimPB(category) {
-    const key = getPBKey(category, 'full_sim_total');
+export async function getSimPB(category, profileId = activeProfileId) {
+    const key = getPBKey(category, 'full_sim_total', profileId);
     const pb = await get(STORES.PERSONAL_BESTS, key);
     return pb ? pb.bestTimeMs : null;
 }
@@ -379,20 +1012,22 @@ export async function getSimPB(category) {
  * Update full sim PB if new time is better
  * @param {string} category - 'amateur' or 'pro'
  * @param {number} totalTimeMs - New total time in ms
+ * @param {Object} context - Session ID and date, see updatePersonalBest
  * @returns {Promise<boolean>} True if PB was updated
  */
-export async function updateSimPB(category, totalTimeMs) {
-    return updatePersonalBest(category, 'full_sim_total', totalTimeMs);
+export async function updateSimPB(category, totalTimeMs, context = {}) {
+    return updatePersonalBest(category, 'full_sim_total', totalTimeMs, context);
 }
 
 /**
  * Delete a personal best
  * @param {string} category - 'amateur' or 'pro'
  * @param {string} exerciseId - Exercise ID
+ * @param {string} profileId - Profile ID (default: active profile)
  * @returns {Promise<void>}
  */
-export async function deletePersonalBest(category, exerciseId) {
-    const key = getPBKey(category, exerciseId);
+export async function deletePersonalBest(category, exerciseId, profileId = activeProfileId) {
+    const key = getPBKey(category, exerciseId, profileId);
     return remove(STORES.PERSONAL_BESTS, key);
 }
 
@@ -401,86 +1036,307 @@ export async function deletePersonalBest(category, exerciseId) {
  * @param {string} category - 'amateur' or 'pro'
  * @param {string} exerciseId - Exercise ID
  * @param {number} timeMs - Time in ms
+ * @param {string} achievedAt - ISO date the PB was set (default: now)
+ * @param {string} profileId - Profile ID (default: active profile)
  * @returns {Promise<void>}
  */
-export async function setPersonalBest(category, exerciseId, timeMs) {
-    const key = getPBKey(category, exerciseId);
+export async function setPersonalBest(category, exerciseId, timeMs, achievedAt = new Date().toISOString(), profileId = activeProfileId) {
+    const key = getPBKey(category, exerciseId, profileId);
     await put(STORES.PERSONAL_BESTS, {
         id: key,
+        profileId,
         category,
         exerciseId,
         bestTimeMs: timeMs,
-        achievedAt: new Date().toISOString()
+        achievedAt
     });
 }
 
 /**
- * Recalculate PBs after a workout deletion
- * Scans all remaining workout sessions and updates PBs accordingly
+ * Create a PB history entry
  * @param {string} category - 'amateur' or 'pro'
- * @param {Function} getCanonicalExerciseId - Function to get canonical exercise ID from block
- * @returns {Promise<void>}
+ * @param {string} exerciseId - Exercise ID
+ * @param {string} profileId - Profile ID
+ * @param {Object} change - previousTimeMs, timeMs, sessionId and achievedAt
+ * @returns {Object} History entry
  */
-export async function recalculatePBsAfterDeletion(category, getCanonicalExerciseId) {
-    // Get all sessions for this category
-    const allSessions = await getAllWorkoutSessions();
-    const categorySessions = allSessions.filter(s => s.category === category);
-
-    // Build a map of best times for each exercise
-    const bestTimes = {};
-    let bestSimTotal = null;
+function createPBHistoryEntry(category, exerciseId, profileId, change) {
+    return {
+        id: generateId(),
+        pbId: getPBKey(category, exerciseId, profileId),
+        profileId,
+        category,
+        exerciseId,
+        previousTimeMs: change.previousTimeMs,
+        timeMs: change.timeMs,
+        sessionId: change.sessionId,
+        achievedAt: change.achievedAt
+    };
+}
 
-    for (const session of categorySessions) {
-        // Check for full sim PB
-        if (session.mode === 'sim' && session.totalTimeMs) {
-            if (bestSimTotal === null || session.totalTimeMs < bestSimTotal) {
-                bestSimTotal = session.totalTimeMs;
-            }
+/**
+ * Replay sessions in date order to find the PBs and every time one moved
+ * @param {Array} sessions - Workout sessions (any order, any category)
+ * @param {string} category - 'amateur' or 'pro'
+ * @param {Function} getCanonicalExerciseId - Function to get canonical exercise ID from block
+ * @param {string} profileId - Profile ID
+ * @returns {{bests: Object, history: Array}} Best time per exercise and the PB history entries
+ */
+function computePBProgression(sessions, category, getCanonicalExerciseId, profileId) {
+    // Manually logged sessions can be kept out of PBs
+    const categorySessions = sessions
+        .filter(s => s.category === category && !s.excludeFromPBs)
+        .filter(s => (s.profileId || DEFAULT_PROFILE_ID) === profileId || s.team?.profileIds.includes(profileId))
+        .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+    // Best time (and when it was set) for each exercise so far
+    const bests = {};
+    const history = [];
+
+    const consider = (exerciseId, time, session) => {
+        const previous = bests[exerciseId];
+        if (!previous || time < previous.timeMs) {
+            const achievedAt = session.finishedAt || session.startedAt;
+            bests[exerciseId] = { timeMs: time, achievedAt };
+            history.push(createPBHistoryEntry(category, exerciseId, profileId, {
+                previousTimeMs: previous ? previous.timeMs : null,
+                timeMs: time,
+                sessionId: session.id,
+                achievedAt
+            }));
         }
+    };
 
+    for (const session of categorySessions) {
         // Check each exercise block
         if (session.blocks && session.blockTimesMs) {
             for (let i = 0; i < session.blocks.length; i++) {
                 const block = session.blocks[i];
                 const time = session.blockTimesMs[i];
 
+                // In a team workout only the athlete who did the block gets the PB
+                if (session.team && getPBProfileId(session.team, i) !== profileId) continue;
+
                 if (time && time > 0) {
                     const exerciseId = getCanonicalExerciseId(block, category);
                     if (exerciseId) {
-                        if (!bestTimes[exerciseId] || time < bestTimes[exerciseId]) {
-                            bestTimes[exerciseId] = time;
-                        }
+                        consider(exerciseId, time, session);
                     }
                 }
             }
         }
+
+        // Check for full sim PB, or the team total of a Doubles or Relay sim
+        // (sims stopped early only count per station). A team total only
+        // counts for the team, not an athlete who recorded it without racing
+        const raced = !session.team || session.team.profileIds.includes(profileId);
+        if (session.mode === 'sim' && session.totalTimeMs && !session.incomplete && raced) {
+            consider(getTotalPBId(session), session.totalTimeMs, session);
+        }
     }
 
-    // Get current PBs to see what needs to be updated or deleted
-    const currentPBs = await getAllPersonalBests(category);
+    return { bests, history };
+}
 
-    // Update or delete each exercise PB
+/**
+ * Rebuild all PBs and the PB history for a category from the stored sessions
+ * Every PB is set to the best time found in the sessions, PBs with no
+ * matching session are removed, and the history is replayed from scratch
+ * @param {string} category - 'amateur' or 'pro'
+ * @param {Function} getCanonicalExerciseId - Function to get canonical exercise ID from block
+ * @param {string} profileId - Profile ID (default: active profile)
+ * @returns {Promise<void>}
+ */
+export async function rebuildPersonalBests(category, getCanonicalExerciseId, profileId = activeProfileId) {
+    const ownSessions = await getAllWorkoutSessions(profileId);
+    const teamSessions = await getTeamWorkoutSessions(profileId);
+    const allSessions = [...ownSessions, ...teamSessions.filter(s => !ownSessions.some(own => own.id === s.id))];
+    const { bests, history } = computePBProgression(allSessions, category, getCanonicalExerciseId, profileId);
+
+    // Delete PBs that no remaining session supports
+    const currentPBs = await getAllPersonalBests(category, profileId);
     for (const exerciseId of Object.keys(currentPBs)) {
-        if (exerciseId === 'full_sim_total') continue; // Handle separately
-
-        if (bestTimes[exerciseId]) {
-            // Update PB to the new best time
-            await setPersonalBest(category, exerciseId, bestTimes[exerciseId]);
-        } else {
-            // No remaining sessions have this exercise - delete the PB
-            await deletePersonalBest(category, exerciseId);
+        if (!bests[exerciseId]) {
+            await deletePersonalBest(category, exerciseId, profileId);
         }
     }
 
-    // Handle full sim PB
-    const currentSimPB = await getSimPB(category);
-    if (currentSimPB !== null) {
-        if (bestSimTotal !== null) {
-            await setPersonalBest(category, 'full_sim_total', bestSimTotal);
-        } else {
-            await deletePersonalBest(category, 'full_sim_total');
-        }
+    // Write the best time for every exercise
+    for (const [exerciseId, best] of Object.entries(bests)) {
+        await setPersonalBest(category, exerciseId, best.timeMs, best.achievedAt, profileId);
+    }
+
+    // Replace the category's history
+    const oldEntries = await getByIndex(STORES.PERSONAL_BEST_HISTORY, 'profileId', profileId);
+    for (const entry of oldEntries.filter(e => e.category === category)) {
+        await remove(STORES.PERSONAL_BEST_HISTORY, entry.id);
     }
+    await bulkPut({ [STORES.PERSONAL_BEST_HISTORY]: history });
+}
+
+/**
+ * Get the progression of a PB, oldest first
+ * @param {string} category - 'amateur' or 'pro'
+ * @param {string} exerciseId - Exercise ID (or 'full_sim_total')
+ * @param {string} profileId - Profile ID (default: active profile)
+ * @returns {Promise<Array>} History entries
+ */
+export async function getPersonalBestHistory(category, exerciseId, profileId = activeProfileId) {
+    const entries = await getByIndex(STORES.PERSONAL_BEST_HISTORY, 'pbId', getPBKey(category, exerciseId, profileId));
+    return entries.sort((a, b) => new Date(a.achievedAt) - new Date(b.achievedAt));
+}
+
+/**
+ * Find the fastest session for a station with a given number of laps
+ * Sessions are ranked by the station's lap total (its time after the
+ * Roxzone transition), so pacing can be compared lap for lap.
+ * @param {string} category - 'amateur' or 'pro'
+ * @param {string} exerciseId - Exercise ID
+ * @param {number} lapCount - Number of laps to match
+ * @param {Function} getCanonicalExerciseId - Function to get canonical exercise ID from block
+ * @param {Object} options - Query options
+ * @param {string} options.excludeSessionId - Session to leave out (usually the one being compared)
+ * @param {string} options.profileId - Profile ID (default: active profile)
+ * @returns {Promise<Object|null>} { sessionId, startedAt, lapsMs } or null if none match
+ */
+export async function getBestLapSession(category, exerciseId, lapCount, getCanonicalExerciseId, options = {}) {
+    const { excludeSessionId = null, profileId = activeProfileId } = options;
+    const { sessions } = await getWorkoutSessionsPage({ profileId, category, limit: Infinity });
+
+    let best = null;
+    let bestTotal = Infinity;
+
+    for (const session of sessions) {
+        if (session.id === excludeSessionId || session.excludeFromPBs || !session.blockLapsMs) continue;
+
+        // Team laps are Doubles switches or another athlete's Relay leg
+        if (session.team) continue;
+
+        session.blocks.forEach((block, index) => {
+            const laps = session.blockLapsMs[index];
+            if (!laps || laps.length !== lapCount) return;
+            if (getCanonicalExerciseId(block, category) !== exerciseId) return;
+
+            const total = laps.reduce((sum, t) => sum + t, 0);
+            if (total < bestTotal) {
+                bestTotal = total;
+                best = { sessionId: session.id, startedAt: session.startedAt, lapsMs: [...laps] };
+            }
+        });
+    }
+
+    return best;
+}
+
+/**
+ * Recalculate PBs after a workout deletion
+ * Scans all remaining workout sessions and updates PBs accordingly
+ * @param {string} category - 'amateur' or 'pro'
+ * @param {Function} getCanonicalExerciseId - Function to get canonical exercise ID from block
+ * @param {string} profileId - Profile the deleted session belonged to (default: active profile)
+ * @returns {Promise<void>}
+ */
+export async function recalculatePBsAfterDeletion(category, getCanonicalExerciseId, profileId = activeProfileId) {
+    return rebuildPersonalBests(category, getCanonicalExerciseId, profileId);
+}
+
+// ============================================
+// Profiles
+// ============================================
+
+/**
+ * Get the active profile ID
+ * @returns {string} Profile ID
+ */
+export function getActiveProfileId() {
+    return activeProfileId;
+}
+
+/**
+ * Load the active profile saved on this device
+ * Falls back to the default profile if the saved one no longer exists
+ * @returns {Promise<string>} Active profile ID
+ */
+export async function loadActiveProfile() {
+    const savedId = await getMeta('activeProfileId', DEFAULT_PROFILE_ID);
+    const profile = await get(STORES.PROFILES, savedId);
+    activeProfileId = profile ? savedId : DEFAULT_PROFILE_ID;
+    return activeProfileId;
+}
+
+/**
+ * Switch the active profile
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<void>}
+ */
+export async function setActiveProfile(profileId) {
+    activeProfileId = profileId;
+    return setMeta('activeProfileId', profileId);
+}
+
+/**
+ * Get all profiles, oldest first
+ * The default profile is recreated if it is missing
+ * @returns {Promise<Array>} Profiles
+ */
+export async function getAllProfiles() {
+    const profiles = await getAll(STORES.PROFILES);
+
+    if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+        const profile = createDefaultProfile();
+        await put(STORES.PROFILES, profile);
+        profiles.push(profile);
+    }
+
+    return profiles.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Save a profile
+ * @param {Object} profile - Profile data ({ id, name, createdAt })
+ * @returns {Promise<string>} Profile ID
+ */
+export async function saveProfile(profile) {
+    return put(STORES.PROFILES, profile);
+}
+
+/**
+ * Delete a profile and everything recorded against it
+ * The default profile cannot be deleted
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) {
+        throw new Error('The default profile cannot be deleted.');
+    }
+
+    const database = await getDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([...PROFILE_STORES, STORES.PROFILES, STORES.META], 'readwrite');
+
+        for (const storeName of PROFILE_STORES) {
+            const store = transaction.objectStore(storeName);
+            const request = store.index('profileId').openKeyCursor(IDBKeyRange.only(profileId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        }
+
+        transaction.objectStore(STORES.PROFILES).delete(profileId);
+        for (const screen of TOGGLE_SCREENS) {
+            transaction.objectStore(STORES.META).delete(getToggleKey(screen, profileId));
+        }
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
 }
 
 // ============================================
@@ -534,22 +1390,154 @@ export async function clearTimerState() {
 }
 
 /**
- * Get toggle setting for a screen
+ * Get the workout being recorded alongside the timer state
+ * Holds what the timer does not, such as the start date, template and ghost
+ * @returns {Promise<Object|null>} Unfinished workout session or null
+ */
+export async function getActiveWorkout() {
+    return getMeta('activeWorkout', null);
+}
+
+/**
+ * Save the workout being recorded
+ * @param {Object} session - Unfinished workout session
+ * @returns {Promise<void>}
+ */
+export async function saveActiveWorkout(session) {
+    return setMeta('activeWorkout', session);
+}
+
+/**
+ * Clear the workout being recorded
+ * @returns {Promise<void>}
+ */
+export async function clearActiveWorkout() {
+    return remove(STORES.META, 'activeWorkout');
+}
+
+/**
+ * Get the meta key of a toggle setting
+ * @param {string} screen - Screen name
+ * @param {string} profileId - Profile ID
+ * @returns {string} Meta key
+ */
+function getToggleKey(screen, profileId) {
+    return `toggle_${profileId}_${screen}`;
+}
+
+/**
+ * Get toggle setting for a screen in the active profile
  * @param {string} screen - Screen name
  * @returns {Promise<string>} 'amateur' or 'pro'
  */
 export async function getToggleSetting(screen) {
-    return getMeta(`toggle_${screen}`, 'amateur');
+    return getMeta(getToggleKey(screen, activeProfileId), 'amateur');
 }
 
 /**
- * Set toggle setting for a screen
+ * Set toggle setting for a screen in the active profile
  * @param {string} screen - Screen name
  * @param {string} value - 'amateur' or 'pro'
  * @returns {Promise<void>}
  */
 export async function setToggleSetting(screen, value) {
-    return setMeta(`toggle_${screen}`, value);
+    return setMeta(getToggleKey(screen, activeProfileId), value);
+}
+
+/**
+ * Get audio cue settings
+ * Cues added after the settings were saved fall back to their defaults
+ * @returns {Promise<Object>} { volume (0-1), cues: { [cue]: boolean } }
+ */
+export async function getAudioSettings() {
+    const stored = await getMeta('audioSettings', {});
+    return {
+        ...DEFAULT_AUDIO_SETTINGS,
+        ...stored,
+        cues: { ...DEFAULT_AUDIO_SETTINGS.cues, ...stored.cues }
+    };
+}
+
+/**
+ * Save audio cue settings
+ * @param {Object} settings - { volume, cues }
+ * @returns {Promise<void>}
+ */
+export async function saveAudioSettings(settings) {
+    return setMeta('audioSettings', settings);
+}
+
+/**
+ * Get spoken announcement settings
+ * @returns {Promise<Object>} { verbosity: 'off'|'brief'|'full', voiceURI, calloutSeconds }
+ */
+export async function getSpeechSettings() {
+    return { ...DEFAULT_SPEECH_SETTINGS, ...await getMeta('speechSettings', {}) };
+}
+
+/**
+ * Save spoken announcement settings
+ * @param {Object} settings - { verbosity, voiceURI, calloutSeconds }
+ * @returns {Promise<void>}
+ */
+export async function saveSpeechSettings(settings) {
+    return setMeta('speechSettings', settings);
+}
+
+/**
+ * Get screen wake lock settings
+ * @returns {Promise<Object>} { enabled }
+ */
+export async function getWakeLockSettings() {
+    return { ...DEFAULT_WAKE_LOCK_SETTINGS, ...await getMeta('wakeLockSettings', {}) };
+}
+
+/**
+ * Save screen wake lock settings
+ * @param {Object} settings - { enabled }
+ * @returns {Promise<void>}
+ */
+export async function saveWakeLockSettings(settings) {
+    return setMeta('wakeLockSettings', settings);
+}
+
+/**
+ * Get rep counter settings
+ * @returns {Promise<Object>} { autoAdvance }
+ */
+export async function getRepCounterSettings() {
+    return { ...DEFAULT_REP_COUNTER_SETTINGS, ...await getMeta('repCounterSettings', {}) };
+}
+
+/**
+ * Save rep counter settings
+ * @param {Object} settings - { autoAdvance }
+ * @returns {Promise<void>}
+ */
+export async function saveRepCounterSettings(settings) {
+    return setMeta('repCounterSettings', settings);
+}
+
+/**
+ * Get remote control settings
+ * @returns {Promise<Object>} { mediaKeys, keys }
+ */
+export async function getRemoteControlSettings() {
+    const stored = await getMeta('remoteControlSettings', {});
+    return {
+        ...DEFAULT_REMOTE_CONTROL_SETTINGS,
+        ...stored,
+        keys: { ...DEFAULT_REMOTE_CONTROL_SETTINGS.keys, ...stored.keys }
+    };
+}
+
+/**
+ * Save remote control settings
+ * @param {Object} settings - { mediaKeys, keys }
+ * @returns {Promise<void>}
+ */
+export async function saveRemoteControlSettings(settings) {
+    return setMeta('remoteControlSettings', settings);
 }
 
 /**
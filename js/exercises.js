@@ -3,6 +3,9 @@
  * Canonical exercise IDs and configurations for Hyrox workouts
  */
 
+import { describeInterval } from './intervals.js';
+import { REST_BLOCK_ID, DEFAULT_REST_MS, describeRest } from './rest.js';
+
 // Canonical exercise IDs for tracking PBs
 export const EXERCISE_IDS = {
     // Runs (each segment tracked separately)
@@ -81,7 +84,8 @@ export const CUSTOM_EXERCISE_OPTIONS = {
         { id: EXERCISE_IDS.FARMERS_CARRY, label: 'Farmers Carry 2x24kg - 200m', weight: '2x24kg', distance: '200m', type: 'exercise' },
         { id: EXERCISE_IDS.SANDBAG_LUNGES, label: 'Sandbag Lunges 20kg - 100m', weight: '20kg', distance: '100m', type: 'exercise' },
         { id: EXERCISE_IDS.WALL_BALLS, label: 'Wall Balls 6kg - 100 reps', weight: '6kg', reps: '100', type: 'exercise' },
-        { id: 'custom', label: 'Custom Exercise', type: 'custom' }
+        { id: 'custom', label: 'Custom Exercise', type: 'custom' },
+        { id: REST_BLOCK_ID, label: 'Rest', type: 'rest', restMs: DEFAULT_REST_MS }
     ],
     pro: [
         { id: 'run_custom', label: 'Run- 1km', distance: 1000, type: 'run', editable: true },
@@ -93,7 +97,8 @@ export const CUSTOM_EXERCISE_OPTIONS = {
         { id: EXERCISE_IDS.FARMERS_CARRY, label: 'Farmers Carry 2x32kg - 200m', weight: '2x32kg', distance: '200m', type: 'exercise' },
         { id: EXERCISE_IDS.SANDBAG_LUNGES, label: 'Sandbag Lunges 30kg - 100m', weight: '30kg', distance: '100m', type: 'exercise' },
         { id: EXERCISE_IDS.WALL_BALLS, label: 'Wall Balls 9kg - 100 reps', weight: '9kg', reps: '100', type: 'exercise' },
-        { id: 'custom', label: 'Custom Exercise', type: 'custom' }
+        { id: 'custom', label: 'Custom Exercise', type: 'custom' },
+        { id: REST_BLOCK_ID, label: 'Rest', type: 'rest', restMs: DEFAULT_REST_MS }
     ]
 };
 
@@ -138,6 +143,14 @@ export function getBlockDetails(block) {
         parts.push(`${block.reps} reps`);
     }
 
+    if (block.interval) {
+        parts.push(describeInterval(block.interval));
+    }
+
+    if (block.type === 'rest') {
+        parts.push(describeRest(block));
+    }
+
     return parts.join(' • ');
 }
 
@@ -154,6 +167,16 @@ export function getCanonicalExerciseId(block, category) {
         return null;
     }
 
+    // Interval blocks run for a set time, not a set distance
+    if (block.interval) {
+        return null;
+    }
+
+    // Rest is not a performance
+    if (block.type === 'rest') {
+        return null;
+    }
+
     // For custom runs, only track if distance is exactly 1000m
     if (block.id === 'run_custom') {
         if (block.distance === 1000 || block.distance === '1000m') {
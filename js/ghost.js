@@ -0,0 +1,137 @@
+/**
+ * Ghost Racing
+ * Targets to race against while a workout runs: the current block PBs
+ * (whose sum is the target total) or the splits of a past session
+ */
+
+import { getAllPersonalBests, getWorkoutSessionsByModeAndCategory } from './db.js';
+import { getCanonicalExerciseId } from './exercises.js';
+import { formatLongTime, formatDate } from './utils.js';
+
+// Most recent matching sessions offered as ghosts (the fastest is always offered too)
+const RECENT_GHOST_SESSIONS = 10;
+
+/**
+ * Create a ghost that races each block at its current PB
+ * @param {Array} blocks - Workout blocks
+ * @param {Object} pbs - Map of exerciseId to best time in ms
+ * @param {string} category - 'amateur' or 'pro'
+ * @returns {Object|null} Ghost, or null if no block has a PB
+ */
+export function createPBGhost(blocks, pbs, category) {
+    const splitsMs = blocks.map(block => {
+        const exerciseId = getCanonicalExerciseId(block, category);
+        return exerciseId && pbs[exerciseId] ? pbs[exerciseId] : null;
+    });
+
+    if (splitsMs.every(split => split === null)) return null;
+
+    return {
+        type: 'pbs',
+        sessionId: null,
+        label: `Sum of PBs · ${formatLongTime(getGhostTotal({ splitsMs }))}`,
+        splitsMs
+    };
+}
+
+/**
+ * Create a ghost that replays the splits of a past session
+ * @param {Object} session - Past workout session
+ * @returns {Object} Ghost
+ */
+export function createSessionGhost(session) {
+    return {
+        type: 'session',
+        sessionId: session.id,
+        label: `${formatDate(session.startedAt)} · ${formatLongTime(session.totalTimeMs)}`,
+        splitsMs: [...session.blockTimesMs]
+    };
+}
+
+/**
+ * Check whether a past session ran the same blocks with a time for each
+ * @param {Object} session - Past workout session
+ * @param {Array} blocks - Blocks about to be raced
+ * @returns {boolean} True if the session can be raced as a ghost
+ */
+function matchesBlocks(session, blocks) {
+    if (session.blocks.length !== blocks.length) return false;
+
+    return blocks.every((block, i) =>
+        session.blocks[i].id === block.id &&
+        session.blocks[i].label === block.label &&
+        session.blockTimesMs[i] > 0
+    );
+}
+
+/**
+ * Get the ghosts that can be raced for a workout
+ * @param {Object} options - Workout details
+ * @param {string} options.mode - 'sim' or 'custom'
+ * @param {string} options.category - 'amateur' or 'pro'
+ * @param {Array} options.blocks - Blocks about to be raced
+ * @returns {Promise<Array>} Ghosts, the PB ghost first
+ */
+export async function getGhostOptions({ mode, category, blocks }) {
+    const ghosts = [];
+
+    const pbGhost = createPBGhost(blocks, await getAllPersonalBests(category), category);
+    if (pbGhost) ghosts.push(pbGhost);
+
+    // Doubles and Relay sessions were shared out between a team, so they make no solo ghost
+    const sessions = (await getWorkoutSessionsByModeAndCategory(mode, category))
+        .filter(session => !session.team && matchesBlocks(session, blocks));
+    if (sessions.length === 0) return ghosts;
+
+    const fastest = sessions.reduce((best, s) => (s.totalTimeMs < best.totalTimeMs ? s : best));
+    const recent = sessions.slice(0, RECENT_GHOST_SESSIONS);
+    if (!recent.includes(fastest)) recent.push(fastest);
+
+    for (const session of recent) {
+        const ghost = createSessionGhost(session);
+        if (session === fastest) ghost.label += ' (fastest)';
+        ghosts.push(ghost);
+    }
+
+    return ghosts;
+}
+
+/**
+ * Get the total time of a ghost over the blocks it has splits for
+ * @param {Object} ghost - Ghost
+ * @returns {number} Total in ms
+ */
+export function getGhostTotal(ghost) {
+    return ghost.splitsMs.reduce((sum, split) => sum + (split || 0), 0);
+}
+
+/**
+ * Work out how the athlete stands against a ghost
+ * Blocks the ghost has no split for do not count towards the delta. Within
+ * a block the delta only grows once the ghost's split has passed.
+ * @param {Object} ghost - Ghost
+ * @param {Array} blockTimesMs - Completed block times
+ * @param {number} blockIndex - Current block (blocks.length once finished)
+ * @param {number} elapsedMs - Elapsed time of the current block
+ * @returns {Object} { deltaMs (negative = ahead), splitRemainingMs (null without a split) }
+ */
+export function getGhostStatus(ghost, blockTimesMs, blockIndex, elapsedMs = 0) {
+    let deltaMs = 0;
+
+    for (let i = 0; i < blockIndex; i++) {
+        const split = ghost.splitsMs[i];
+        if (split && blockTimesMs[i]) {
+            deltaMs += blockTimesMs[i] - split;
+        }
+    }
+
+    const split = ghost.splitsMs[blockIndex] || null;
+    if (split) {
+        deltaMs += Math.max(0, elapsedMs - split);
+    }
+
+    return {
+        deltaMs,
+        splitRemainingMs: split ? split - elapsedMs : null
+    };
+}
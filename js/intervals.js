@@ -0,0 +1,66 @@
+/**
+ * Interval Definitions
+ * Presets and timing for countdown-driven interval blocks (EMOM, Tabata, work/rest)
+ */
+
+import { formatTime } from './utils.js';
+
+// Interval presets; times in ms
+export const INTERVAL_TYPES = {
+    emom: { label: 'EMOM', workMs: 60000, restMs: 0, rounds: 10 },
+    tabata: { label: 'Tabata', workMs: 20000, restMs: 10000, rounds: 8 },
+    custom: { label: 'Work / Rest', workMs: 40000, restMs: 20000, rounds: 6 }
+};
+
+/**
+ * Create an interval configuration from a preset
+ * @param {string} type - 'emom', 'tabata' or 'custom'
+ * @returns {Object} Interval { type, workMs, restMs, rounds }
+ */
+export function createInterval(type) {
+    const { workMs, restMs, rounds } = INTERVAL_TYPES[type];
+    return { type, workMs, restMs, rounds };
+}
+
+/**
+ * Get the planned length of an interval block
+ * The rest after the final round is not part of the block
+ * @param {Object} interval - Interval configuration
+ * @returns {number} Duration in ms
+ */
+export function getIntervalDuration(interval) {
+    return interval.rounds * interval.workMs + (interval.rounds - 1) * interval.restMs;
+}
+
+/**
+ * Work out where an interval block is after a given time
+ * @param {Object} interval - Interval configuration
+ * @param {number} elapsedMs - Time since the block started
+ * @returns {Object} { round (0-based), rounds, phase: 'work'|'rest', remainingMs, roundElapsedMs }
+ */
+export function getIntervalPhase(interval, elapsedMs) {
+    const cycleMs = interval.workMs + interval.restMs;
+    const clamped = Math.min(Math.max(elapsedMs, 0), getIntervalDuration(interval));
+    const round = Math.min(Math.floor(clamped / cycleMs), interval.rounds - 1);
+    const roundElapsedMs = clamped - round * cycleMs;
+    const phase = roundElapsedMs < interval.workMs || round === interval.rounds - 1 ? 'work' : 'rest';
+
+    return {
+        round,
+        rounds: interval.rounds,
+        phase,
+        remainingMs: (phase === 'work' ? interval.workMs : cycleMs) - roundElapsedMs,
+        roundElapsedMs
+    };
+}
+
+/**
+ * Describe an interval for block details
+ * @param {Object} interval - Interval configuration
+ * @returns {string} e.g. 'EMOM 10 × 01:00' or 'Tabata 8 × 00:20 / 00:10'
+ */
+export function describeInterval(interval) {
+    const label = INTERVAL_TYPES[interval.type]?.label || 'Intervals';
+    const rest = interval.restMs > 0 ? ` / ${formatTime(interval.restMs, false)}` : '';
+    return `${label} ${interval.rounds} × ${formatTime(interval.workMs, false)}${rest}`;
+}
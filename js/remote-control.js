@@ -0,0 +1,297 @@
+/**
+ * Remote Control
+ * Drives the stopwatch from headphone buttons, lock screen controls and the
+ * keyboard (or a presentation clicker, which sends key presses), so blocks
+ * can be moved on without touching the screen. Every press goes through the
+ * stopwatch's own controls.
+ *
+ * Browsers only pass media keys to a page that is playing audio, so a silent
+ * track loops while a workout is timed. This takes over from other music
+ * apps on most phones, which is why media keys can be turned off.
+ */
+
+import { getRemoteControlSettings, saveRemoteControlSettings } from './db.js';
+import { isModalOpen } from './components/modal.js';
+import { formatTime } from './utils.js';
+
+// Actions that can be given a key, and the stopwatch control each presses
+export const REMOTE_ACTIONS = {
+    pauseResume: { label: 'Pause / resume', trigger: 'pause-resume' },
+    next: { label: 'Next / finish', trigger: 'next' }
+};
+
+// Media Session actions and the stopwatch control each presses
+const MEDIA_ACTIONS = {
+    play: 'resume',
+    pause: 'pause',
+    nexttrack: 'next'
+};
+
+// Length of the silent track; some phones only show controls for audio of 5s or more
+const SILENT_TRACK_SECONDS = 5;
+
+// Names of keys whose code does not read well
+const KEY_NAMES = {
+    Space: 'Space',
+    ArrowRight: '→',
+    ArrowLeft: '←',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    PageDown: 'Page Down',
+    PageUp: 'Page Up'
+};
+
+let settings = null;
+
+// Whether a workout is being recorded
+let active = false;
+
+// Whether the timer is running, for the lock screen play/pause button
+let playing = false;
+
+// Stopwatch of the screen showing the workout
+let stopwatch = null;
+
+// Current block and time, as last shown on the lock screen
+let nowTiming = null;
+let shownKey = null;
+let shownPlaying = null;
+
+// Looping silent audio, created on first use
+let silentTrack = null;
+
+let listening = false;
+
+/**
+ * Load the stored remote control settings
+ * @returns {Promise<Object>} Remote control settings
+ */
+export async function loadRemoteControlSettings() {
+    settings = await getRemoteControlSettings();
+    return settings;
+}
+
+/**
+ * Store new remote control settings and apply them straight away
+ * @param {Object} newSettings - { mediaKeys, keys }
+ * @returns {Promise<void>}
+ */
+export async function updateRemoteControlSettings(newSettings) {
+    settings = newSettings;
+    await saveRemoteControlSettings(newSettings);
+    applyMediaSession();
+}
+
+/**
+ * Check whether the browser supports headphone and lock screen controls
+ * @returns {boolean} True if the Media Session API is available
+ */
+export function isMediaSessionSupported() {
+    return 'mediaSession' in navigator;
+}
+
+/**
+ * Get a readable name for a key
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string} e.g. 'Space', '→' or 'N'
+ */
+export function describeKey(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+
+    const match = code.match(/^(?:Key|Digit)(.)$/);
+    if (match) return match[1];
+
+    return code.replace(/^Numpad/, 'Num ');
+}
+
+/**
+ * Take media keys for a workout until releaseRemoteControl() is called
+ * Call from the tap that starts the workout, as browsers only start audio
+ * from a user gesture
+ * @param {boolean} running - Whether the timer is (about to be) running
+ */
+export function startRemoteControl(running = true) {
+    active = true;
+    playing = running;
+    applyMediaSession();
+}
+
+/**
+ * Hand media keys back and stop listening for shortcuts
+ */
+export function releaseRemoteControl() {
+    active = false;
+    playing = false;
+    stopwatch = null;
+    nowTiming = null;
+    shownKey = null;
+    applyMediaSession();
+}
+
+/**
+ * Send remote presses to the stopwatch of the screen showing the workout
+ * Screens attach again whenever they create a stopwatch
+ * @param {HTMLElement} element - Stopwatch element
+ */
+export function attachRemoteStopwatch(element) {
+    stopwatch = element;
+
+    if (!listening) {
+        document.addEventListener('keydown', handleKeydown);
+        listening = true;
+    }
+}
+
+/**
+ * Show whether the timer is running on the lock screen
+ * Call from pause and resume taps, which also start the silent track if
+ * the browser refused it before
+ * @param {boolean} running - Whether the timer is running
+ */
+export function setRemotePlaying(running) {
+    playing = running;
+    applyMediaSession();
+}
+
+/**
+ * Show the current block and its time on the lock screen
+ * Cheap to call every tick; the lock screen changes once a second
+ * @param {Object} block - Current block
+ * @param {number} blockIndex - Index of the current block
+ * @param {number} blockCount - Number of blocks in the workout
+ * @param {number} elapsedMs - Time into the current block
+ */
+export function showRemoteStatus(block, blockIndex, blockCount, elapsedMs) {
+    nowTiming = { block, blockIndex, blockCount, elapsedMs };
+    showMetadata();
+}
+
+/**
+ * Press a stopwatch control for a shortcut key
+ * Ignored while typing, while a dialog is open and off the workout screen
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleKeydown(e) {
+    if (!active || !stopwatch?.isConnected || !settings) return;
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isModalOpen() || e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+
+    const action = Object.keys(REMOTE_ACTIONS).find(name => settings.keys[name] === e.code);
+    if (!action) return;
+
+    e.preventDefault();
+
+    // A focused button would be clicked as well when Space or Enter comes back up
+    if (document.activeElement?.tagName === 'BUTTON') {
+        document.activeElement.blur();
+    }
+
+    stopwatch.trigger(REMOTE_ACTIONS[action].trigger);
+}
+
+/**
+ * Take or hand back media keys to match the workout and the settings
+ */
+function applyMediaSession() {
+    if (!isMediaSessionSupported()) return;
+
+    const wanted = active && (settings?.mediaKeys ?? true);
+
+    Object.entries(MEDIA_ACTIONS).forEach(([mediaAction, trigger]) => {
+        try {
+            navigator.mediaSession.setActionHandler(mediaAction, wanted
+                ? () => stopwatch?.isConnected && stopwatch.trigger(trigger)
+                : null);
+        } catch (error) {
+            // Action not supported by this browser
+        }
+    });
+
+    if (wanted) {
+        playSilentTrack();
+        shownKey = null;
+        shownPlaying = null;
+        showMetadata();
+    } else {
+        silentTrack?.pause();
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+        shownPlaying = null;
+    }
+}
+
+/**
+ * Update the lock screen if the play state, shown second or block has changed
+ */
+function showMetadata() {
+    if (!isMediaSessionSupported() || !active || !(settings?.mediaKeys ?? true)) return;
+
+    if (playing !== shownPlaying) {
+        shownPlaying = playing;
+        navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+    }
+
+    if (!nowTiming || typeof MediaMetadata === 'undefined') return;
+
+    const { block, blockIndex, blockCount, elapsedMs } = nowTiming;
+    const key = `${blockIndex}:${Math.floor(elapsedMs / 1000)}`;
+    if (key === shownKey) return;
+    shownKey = key;
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: block.label,
+        artist: `${playing ? '' : 'Paused · '}${formatTime(elapsedMs, false)} · Block ${blockIndex + 1} of ${blockCount}`,
+        album: 'Hyrox Tracker',
+        artwork: [
+            { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+            { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+        ]
+    });
+}
+
+/**
+ * Start looping the silent track
+ */
+function playSilentTrack() {
+    if (!silentTrack) {
+        silentTrack = new Audio(createSilentTrackUrl());
+        silentTrack.loop = true;
+    }
+
+    silentTrack.play().catch(error => {
+        // Not started from a tap, e.g. after a reload; the keyboard still works
+        console.warn('Media keys unavailable:', error);
+    });
+}
+
+/**
+ * Build a silent WAV file
+ * @returns {string} Object URL of the file
+ */
+function createSilentTrackUrl() {
+    const sampleRate = 8000;
+    const length = sampleRate * SILENT_TRACK_SECONDS;
+    const buffer = new ArrayBuffer(44 + length);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+        [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+    };
+
+    // 8-bit mono PCM, where 128 is silence
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + length, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate, true);
+    view.setUint16(32, 1, true);
+    view.setUint16(34, 8, true);
+    writeText(36, 'data');
+    view.setUint32(40, length, true);
+    new Uint8Array(buffer, 44).fill(128);
+
+    return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+}
@@ -0,0 +1,97 @@
+/**
+ * Rep Counter
+ * Tap-to-count for rep-based blocks such as Wall Balls, and the cadence
+ * and set breaks worked out from the time of every rep
+ */
+
+import { getRepCounterSettings, saveRepCounterSettings } from './db.js';
+import { isRestBlock } from './rest.js';
+
+// A gap between reps counts as a set break when it is at least this long...
+const MIN_BREAK_MS = 3000;
+
+// ...and this many times the typical (median) gap
+const BREAK_FACTOR = 2;
+
+let settings = null;
+
+/**
+ * Load the stored rep counter settings
+ * @returns {Promise<Object>} Rep counter settings
+ */
+export async function loadRepCounterSettings() {
+    settings = await getRepCounterSettings();
+    return settings;
+}
+
+/**
+ * Store new rep counter settings
+ * @param {Object} newSettings - { autoAdvance }
+ * @returns {Promise<void>}
+ */
+export async function updateRepCounterSettings(newSettings) {
+    settings = newSettings;
+    await saveRepCounterSettings(newSettings);
+}
+
+/**
+ * Check whether reaching the target count moves on to the next block
+ * @returns {boolean} True if blocks end at their target count
+ */
+export function isAutoAdvanceEnabled() {
+    return settings?.autoAdvance ?? true;
+}
+
+/**
+ * Get the number of reps a block asks for
+ * Interval and rest blocks are timed, not counted
+ * @param {Object} block - Workout block
+ * @returns {number|null} Target reps, or null if the block is not rep-based
+ */
+export function getRepTarget(block) {
+    if (!block || block.interval || isRestBlock(block)) return null;
+
+    const reps = parseInt(block.reps, 10);
+    return reps > 0 ? reps : null;
+}
+
+/**
+ * Get the gaps between consecutive reps
+ * @param {Array} repTimesMs - Time into the block of each rep
+ * @returns {Array} Gap before each rep after the first, in ms
+ */
+export function getRepGaps(repTimesMs) {
+    return repTimesMs.slice(1).map((t, i) => t - repTimesMs[i]);
+}
+
+/**
+ * Split the reps of a block into unbroken sets
+ * @param {Array} repTimesMs - Time into the block of each rep
+ * @returns {Object} { sets: [{ reps, durationMs }], breaks: [{ afterRep, restMs }], medianGapMs }
+ */
+export function getRepSets(repTimesMs) {
+    const gaps = getRepGaps(repTimesMs);
+    if (repTimesMs.length === 0) return { sets: [], breaks: [], medianGapMs: null };
+
+    const sorted = [...gaps].sort((a, b) => a - b);
+    const medianGapMs = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+    const threshold = Math.max(MIN_BREAK_MS, (medianGapMs || 0) * BREAK_FACTOR);
+
+    const sets = [];
+    const breaks = [];
+    let setStart = 0;
+
+    gaps.forEach((gap, i) => {
+        if (gap < threshold) return;
+
+        // Rep i + 1 (1-based) was the last of its set
+        sets.push({ reps: i + 1 - setStart, durationMs: repTimesMs[i] - repTimesMs[setStart] });
+        breaks.push({ afterRep: i + 1, restMs: gap });
+        setStart = i + 1;
+    });
+
+    const last = repTimesMs.length - 1;
+    sets.push({ reps: repTimesMs.length - setStart, durationMs: repTimesMs[last] - repTimesMs[setStart] });
+
+    return { sets, breaks, medianGapMs };
+}
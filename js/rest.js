@@ -0,0 +1,96 @@
+/**
+ * Rest Blocks
+ * Planned rest in a custom workout: a countdown that moves on by itself,
+ * or open-ended rest that lasts until Next. Rest is timed like any other
+ * block but kept out of work totals.
+ */
+
+import { formatTime } from './utils.js';
+
+// Block ID of rest blocks
+export const REST_BLOCK_ID = 'rest';
+
+// Countdown length of a new rest block in ms
+export const DEFAULT_REST_MS = 60000;
+
+/**
+ * Create a rest block
+ * @param {number|null} restMs - Countdown length in ms, or null for open-ended rest
+ * @returns {Object} Rest block
+ */
+export function createRestBlock(restMs = DEFAULT_REST_MS) {
+    return { id: REST_BLOCK_ID, label: 'Rest', type: 'rest', restMs };
+}
+
+/**
+ * Check whether a block is planned rest
+ * @param {Object} block - Workout block
+ * @returns {boolean} True for a rest block
+ */
+export function isRestBlock(block) {
+    return block?.type === 'rest';
+}
+
+/**
+ * Describe a rest block for block details
+ * @param {Object} block - Rest block
+ * @returns {string} e.g. '01:30 countdown' or 'Until Next'
+ */
+export function describeRest(block) {
+    return block.restMs ? `${formatTime(block.restMs, false)} countdown` : 'Until Next';
+}
+
+/**
+ * Add up the time spent working
+ * @param {Array} blocks - Workout blocks
+ * @param {Array} blockTimesMs - Block times (null where not finished)
+ * @returns {number} Work time in ms
+ */
+export function getWorkTime(blocks, blockTimesMs) {
+    return blockTimesMs.reduce((sum, t, i) => (isRestBlock(blocks[i]) ? sum : sum + (t || 0)), 0);
+}
+
+/**
+ * Add up the time spent resting
+ * @param {Array} blocks - Workout blocks
+ * @param {Array} blockTimesMs - Block times (null where not finished)
+ * @returns {number} Rest time in ms
+ */
+export function getRestTime(blocks, blockTimesMs) {
+    return blockTimesMs.reduce((sum, t, i) => (isRestBlock(blocks[i]) ? sum + (t || 0) : sum), 0);
+}
+
+/**
+ * Split a workout into work stretches, each ended by a rest block
+ * Work after the last rest block is left out, as no rest followed it
+ * @param {Array} blocks - Workout blocks
+ * @param {Array} blockTimesMs - Block times (null where not finished)
+ * @returns {Array} { restIndex, workMs, restMs } for each rest block that was timed
+ */
+export function getWorkRestSets(blocks, blockTimesMs) {
+    const sets = [];
+    let workMs = 0;
+
+    blocks.forEach((block, i) => {
+        const time = blockTimesMs[i];
+        if (!isRestBlock(block)) {
+            workMs += time || 0;
+        } else if (time) {
+            sets.push({ restIndex: i, workMs, restMs: time });
+            workMs = 0;
+        }
+    });
+
+    return sets;
+}
+
+/**
+ * Format a work-to-rest ratio
+ * @param {number} workMs - Work time
+ * @param {number} restMs - Rest time
+ * @returns {string} e.g. '2.5 : 1', or '-' without rest
+ */
+export function formatWorkRestRatio(workMs, restMs) {
+    if (!restMs) return '-';
+    return `${(workMs / restMs).toFixed(1)} : 1`;
+}
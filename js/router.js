@@ -27,7 +27,8 @@ export function initRouter(contentElement) {
 /**
  * Register a route
  * @param {string} path - Route path (e.g., 'dashboard', 'full-sim')
- * @param {Object} config - Route configuration with render function
+ * @param {Object} config - Route configuration with render function, and
+ *   optional onMount and onUnmount hooks
  */
 export function registerRoute(path, config) {
     routes[path] = config;
@@ -47,6 +48,14 @@ export function navigate(path, params = {}) {
     window.location.hash = hash;
 }
 
+/**
+ * Re-render the current route in place
+ * Used when data behind every screen changes (e.g. switching profile)
+ */
+export async function refreshRoute() {
+    await handleRouteChange();
+}
+
 /**
  * Get current route name
  * @returns {string} Current route name
@@ -87,6 +96,12 @@ async function handleRouteChange() {
         return;
     }
 
+    // Let the screen being left clean up
+    const previousRoute = routes[currentRoute];
+    if (previousRoute?.onUnmount) {
+        previousRoute.onUnmount();
+    }
+
     // Update current route
     currentRoute = path;
 
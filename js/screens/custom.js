@@ -7,43 +7,74 @@ import { createToggle } from '../components/toggle.js';
 import { createWorkoutBlockList, setBlockActive, setBlockCompleted, scrollToActiveBlock } from '../components/workout-block.js';
 import { createStopwatch } from '../components/stopwatch.js';
 import { createResultsView, createSeeResultsButton } from '../components/results-card.js';
-import { showStopWorkoutModal } from '../components/modal.js';
-import { CUSTOM_EXERCISE_OPTIONS, getCanonicalExerciseId } from '../exercises.js';
-import { generateId, deepClone, showToast } from '../utils.js';
+import { createManualEntry } from '../components/manual-entry.js';
+import { createGhostPicker } from '../components/ghost-picker.js';
+import { createTeamPicker } from '../components/team-picker.js';
+import { TEAM_FORMATS } from '../team.js';
+import { showStopWorkoutModal, showModal, prompt, confirmDelete } from '../components/modal.js';
+import { CUSTOM_EXERCISE_OPTIONS } from '../exercises.js';
+import { INTERVAL_TYPES, createInterval } from '../intervals.js';
+import { createRestBlock, isRestBlock, DEFAULT_REST_MS } from '../rest.js';
+import { generateId, deepClone, debounce, showToast, sanitizeHTML, getRelativeTime, formatLongTime } from '../utils.js';
 import { navigate } from '../router.js';
+import { getGhostStatus } from '../ghost.js';
+import { attachRemoteStopwatch } from '../remote-control.js';
 import {
-    initTimer,
-    startTimer,
-    pauseTimer,
-    resumeTimer,
-    stopTimer,
-    nextBlock,
-    finishWorkout,
-    onTick,
-    onBlockComplete,
-    onWorkoutComplete,
+    startSession,
+    countIn,
+    attachView,
+    getSession,
+    getPreviousPBs,
+    isSessionActive,
+    isSessionComplete,
+    pauseSession,
+    resumeSession,
+    undoLastBlock,
+    discardSession,
+    saveIncompleteSession,
+    getCompletedBlockCount,
+    getRepStatus,
+    getPartnerStatus,
+    countRep,
+    uncountRep,
+    closeSession,
+    nextSessionBlock,
+    finishSession,
+    markSessionTransition,
+    markSessionLap,
+    markSessionRound,
+    canUndoLastBlock,
     getCurrentElapsed,
     getCurrentBlockIndex,
     getBlockTimes,
+    getTransitionTimes,
+    getBlockLaps,
+    getCurrentIntervalPhase,
+    getCurrentRest,
     isPaused,
-    isLastBlock,
-    clearStoredTimerState
-} from '../timer.js';
+    isLastBlock
+} from '../workout-session.js';
 import {
-    saveWorkoutSession,
-    updatePersonalBest,
     getAllPersonalBests,
-    getToggleSetting
+    getToggleSetting,
+    getActiveProfileId,
+    saveWorkoutTemplate,
+    getWorkoutTemplate,
+    getTemplatesByCategory,
+    deleteWorkoutTemplate,
+    getWorkoutSessionsByTemplate
 } from '../db.js';
 
 let container = null;
 let currentCategory = 'amateur';
 let workoutBlocks = [];
-let workoutActive = false;
-let workoutComplete = false;
-let currentWorkout = null;
 let blocksContainer = null;
 let stopwatchComponent = null;
+let ghostPicker = null;
+let teamPicker = null;
+
+// Template currently loaded into the builder (null when building from scratch)
+let loadedTemplate = null;
 
 // Pending repeat workout data (set before navigation)
 let pendingRepeatWorkout = null;
@@ -63,28 +94,50 @@ export function render() {
  * Called after render
  */
 export async function onMount() {
+    // Show the workout being run (or just finished), including one resumed after a reload
+    if (isSessionActive('custom') || isSessionComplete('custom')) {
+        currentCategory = getSession().category;
+        attachView(getViewHandlers());
+
+        if (isSessionComplete()) {
+            renderCompletionView();
+        } else {
+            renderActiveWorkout();
+        }
+        return;
+    }
+
     // Check for pending repeat workout
     if (pendingRepeatWorkout) {
         workoutBlocks = pendingRepeatWorkout.blocks;
         currentCategory = pendingRepeatWorkout.category;
+        loadedTemplate = null;
+
+        // Reattach the template the workout was started from, if it still matches
+        if (pendingRepeatWorkout.templateId) {
+            const template = await getWorkoutTemplate(pendingRepeatWorkout.templateId);
+            if (template && JSON.stringify(template.blocks) === JSON.stringify(workoutBlocks)) {
+                loadedTemplate = template;
+            }
+        }
+
         pendingRepeatWorkout = null; // Clear after loading
     } else {
         currentCategory = await getToggleSetting('custom');
     }
 
-    if (workoutActive || workoutComplete) {
-        renderActiveWorkout();
-    } else {
-        await renderBuilderView();
+    // Templates belong to one athlete
+    if (loadedTemplate && loadedTemplate.profileId !== getActiveProfileId()) {
+        loadedTemplate = null;
     }
+
+    await renderBuilderView();
 }
 
 /**
  * Render builder view
  */
 async function renderBuilderView() {
-    workoutActive = false;
-    workoutComplete = false;
     container.innerHTML = '';
 
     // Toggle
@@ -92,12 +145,27 @@ async function renderBuilderView() {
         screen: 'custom',
         onChange: async (value) => {
             currentCategory = value;
+
+            // Templates belong to one category
+            if (loadedTemplate && loadedTemplate.category !== value) {
+                loadedTemplate = null;
+                renderTemplateBanner();
+            }
+
             renderBlocksBuilder();
             renderActionButtons();
+            await renderTemplatesLibrary();
         }
     });
     container.appendChild(toggle);
 
+    // Loaded template banner
+    const banner = document.createElement('div');
+    banner.id = 'template-banner';
+    container.appendChild(banner);
+
+    renderTemplateBanner();
+
     // Builder Section Title
     const builderTitle = document.createElement('div');
     builderTitle.className = 'section-header';
@@ -109,6 +177,9 @@ async function renderBuilderView() {
     blocksBuilder.id = 'blocks-builder';
     container.appendChild(blocksBuilder);
 
+    // Block edits can change which past sessions match
+    blocksBuilder.addEventListener('change', refreshGhosts);
+
     renderBlocksBuilder();
 
     // Add Block Button
@@ -124,6 +195,14 @@ async function renderBuilderView() {
     addBlockBtn.addEventListener('click', addBlock);
     container.appendChild(addBlockBtn);
 
+    // Ghost to race
+    ghostPicker = createGhostPicker(getGhostPickerOptions());
+    container.appendChild(ghostPicker);
+
+    // Doubles or Relay
+    teamPicker = createTeamPicker({ blocks: prepareBlocks() });
+    container.appendChild(teamPicker);
+
     // Action buttons container
     const actions = document.createElement('div');
     actions.className = 'action-buttons mt-md';
@@ -131,6 +210,14 @@ async function renderBuilderView() {
     container.appendChild(actions);
 
     renderActionButtons();
+
+    // Saved templates library
+    const library = document.createElement('div');
+    library.className = 'templates-section mt-md';
+    library.id = 'templates-library';
+    container.appendChild(library);
+
+    await renderTemplatesLibrary();
 }
 
 /**
@@ -141,10 +228,281 @@ function renderActionButtons() {
     if (!actions) return;
 
     actions.innerHTML = `
+        <div class="template-actions-row mb-md">
+            <button class="btn btn-secondary" id="btn-save-template" ${workoutBlocks.length === 0 ? 'disabled' : ''}>Save Template</button>
+            <button class="btn btn-secondary" id="btn-new-workout" ${workoutBlocks.length === 0 ? 'disabled' : ''}>Clear</button>
+        </div>
         <button class="btn btn-primary btn-full" id="btn-start-custom" ${workoutBlocks.length === 0 ? 'disabled' : ''}>Start Workout</button>
+        <button class="btn btn-secondary btn-full mt-md" id="btn-log-custom" ${workoutBlocks.length === 0 ? 'disabled' : ''}>Log Past Workout</button>
     `;
 
+    document.getElementById('btn-save-template')?.addEventListener('click', saveTemplate);
+    document.getElementById('btn-new-workout')?.addEventListener('click', () => {
+        workoutBlocks = [];
+        loadedTemplate = null;
+        renderTemplateBanner();
+        renderBlocksBuilder();
+        renderTemplatesLibrary();
+    });
     document.getElementById('btn-start-custom')?.addEventListener('click', startWorkout);
+    document.getElementById('btn-log-custom')?.addEventListener('click', showManualEntry);
+}
+
+/**
+ * Show the form for logging the built workout after the fact
+ */
+function showManualEntry() {
+    if (workoutBlocks.length === 0) return;
+
+    container.innerHTML = '';
+    container.appendChild(createManualEntry({
+        blocks: prepareBlocks(),
+        mode: 'custom',
+        category: currentCategory,
+        onSaved: () => navigate('history'),
+        onCancel: () => renderBuilderView()
+    }));
+}
+
+/**
+ * Render the banner for the loaded template
+ */
+function renderTemplateBanner() {
+    const banner = document.getElementById('template-banner');
+    if (!banner) return;
+
+    if (!loadedTemplate) {
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.innerHTML = `
+        <div class="editing-banner">
+            <div class="editing-banner-content">
+                Template: <strong>${sanitizeHTML(loadedTemplate.name)}</strong>
+            </div>
+            <button class="editing-banner-close" data-action="detach" aria-label="Stop using template">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+    `;
+
+    banner.querySelector('[data-action="detach"]')?.addEventListener('click', () => {
+        loadedTemplate = null;
+        renderTemplateBanner();
+        renderTemplatesLibrary();
+    });
+}
+
+/**
+ * Render the saved templates for the current category
+ */
+async function renderTemplatesLibrary() {
+    const library = document.getElementById('templates-library');
+    if (!library) return;
+
+    const templates = await getTemplatesByCategory(currentCategory);
+    templates.sort((a, b) => new Date(b.lastUsedAt || b.updatedAt) - new Date(a.lastUsedAt || a.updatedAt));
+
+    // Best solo completion time per template
+    const bestTimes = {};
+    for (const template of templates) {
+        const sessions = await getWorkoutSessionsByTemplate(template.id);
+        const times = sessions.filter(s => !s.incomplete && !s.team).map(s => s.totalTimeMs).filter(t => t > 0);
+        bestTimes[template.id] = times.length > 0 ? Math.min(...times) : null;
+    }
+
+    library.innerHTML = `
+        <div class="templates-header">
+            <h3 class="templates-title">Saved Templates</h3>
+        </div>
+        ${templates.length === 0 ? `
+            <div class="empty-state" style="padding: 16px;">
+                <div class="empty-state-text">No ${currentCategory} templates yet. Build a workout and tap "Save Template".</div>
+            </div>
+        ` : templates.map(template => `
+            <div class="template-card ${loadedTemplate?.id === template.id ? 'editing' : ''}" data-template-id="${template.id}">
+                <div class="template-info">
+                    <div class="template-name">${sanitizeHTML(template.name)}</div>
+                    <div class="template-meta">
+                        ${template.blocks.length} blocks
+                        · ${template.lastUsedAt ? `Used ${getRelativeTime(template.lastUsedAt)}` : 'Never used'}
+                        ${bestTimes[template.id] ? ` · Best ${formatLongTime(bestTimes[template.id])}` : ''}
+                    </div>
+                </div>
+                <div class="template-actions">
+                    <button class="btn-icon" data-action="rename" title="Rename template">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9"></path>
+                            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                        </svg>
+                    </button>
+                    <button class="btn-icon" data-action="duplicate" title="Duplicate template">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                        </svg>
+                    </button>
+                    <button class="btn-icon danger" data-action="delete" title="Delete template">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+
+    library.querySelectorAll('.template-card').forEach(card => {
+        const template = templates.find(t => t.id === card.dataset.templateId);
+        if (!template) return;
+
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action]')) return;
+            loadTemplate(template);
+        });
+
+        card.querySelector('[data-action="rename"]')?.addEventListener('click', () => renameTemplate(template));
+        card.querySelector('[data-action="duplicate"]')?.addEventListener('click', () => duplicateTemplate(template));
+        card.querySelector('[data-action="delete"]')?.addEventListener('click', () => removeTemplate(template));
+    });
+}
+
+/**
+ * Check whether the builder still holds the loaded template's blocks
+ * @returns {boolean} True if a template is loaded and unchanged
+ */
+function isTemplateUnchanged() {
+    return !!loadedTemplate && JSON.stringify(loadedTemplate.blocks) === JSON.stringify(workoutBlocks);
+}
+
+/**
+ * Save the current blocks as a template
+ * Updates the loaded template or creates a new one
+ */
+async function saveTemplate() {
+    if (workoutBlocks.length === 0) return;
+
+    let target = null;
+
+    if (loadedTemplate) {
+        const action = await showModal({
+            title: 'Save Template',
+            body: `<p>Update "${sanitizeHTML(loadedTemplate.name)}" or save these blocks as a new template?</p>`,
+            actions: [
+                { key: 'new', label: 'Save as New', className: 'btn-secondary' },
+                { key: 'update', label: 'Update', className: 'btn-primary' }
+            ]
+        });
+
+        if (action === 'update') {
+            target = loadedTemplate;
+        } else if (action !== 'new') {
+            return;
+        }
+    }
+
+    const now = new Date().toISOString();
+
+    if (!target) {
+        const name = await prompt('Save Template', 'Name this workout', '', 'e.g. Sled Day');
+        if (name === null) return;
+
+        target = {
+            id: generateId(),
+            profileId: getActiveProfileId(),
+            name: name.trim() || 'Untitled Workout',
+            category: currentCategory,
+            createdAt: now,
+            lastUsedAt: null
+        };
+    }
+
+    loadedTemplate = {
+        ...target,
+        blocks: deepClone(workoutBlocks),
+        updatedAt: now
+    };
+
+    await saveWorkoutTemplate(loadedTemplate);
+    showToast('Template saved');
+
+    renderTemplateBanner();
+    await renderTemplatesLibrary();
+}
+
+/**
+ * Load a template into the builder
+ * @param {Object} template - Template to load
+ */
+function loadTemplate(template) {
+    workoutBlocks = deepClone(template.blocks);
+    loadedTemplate = template;
+
+    renderTemplateBanner();
+    renderBlocksBuilder();
+    renderActionButtons();
+    renderTemplatesLibrary();
+}
+
+/**
+ * Rename a template
+ * @param {Object} template - Template to rename
+ */
+async function renameTemplate(template) {
+    const name = await prompt('Rename Template', 'New name', sanitizeHTML(template.name).replace(/"/g, '&quot;'));
+    if (name === null || !name.trim()) return;
+
+    const renamed = { ...template, name: name.trim(), updatedAt: new Date().toISOString() };
+    await saveWorkoutTemplate(renamed);
+
+    if (loadedTemplate?.id === template.id) {
+        loadedTemplate = renamed;
+        renderTemplateBanner();
+    }
+
+    await renderTemplatesLibrary();
+}
+
+/**
+ * Duplicate a template
+ * @param {Object} template - Template to copy
+ */
+async function duplicateTemplate(template) {
+    const now = new Date().toISOString();
+
+    await saveWorkoutTemplate({
+        ...deepClone(template),
+        id: generateId(),
+        name: `${template.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+        lastUsedAt: null
+    });
+
+    showToast('Template duplicated');
+    await renderTemplatesLibrary();
+}
+
+/**
+ * Delete a template
+ * @param {Object} template - Template to delete
+ */
+async function removeTemplate(template) {
+    if (!await confirmDelete(sanitizeHTML(template.name))) return;
+
+    await deleteWorkoutTemplate(template.id);
+
+    if (loadedTemplate?.id === template.id) {
+        loadedTemplate = null;
+        renderTemplateBanner();
+    }
+
+    await renderTemplatesLibrary();
 }
 
 /**
@@ -154,6 +512,8 @@ function renderBlocksBuilder() {
     const builder = document.getElementById('blocks-builder');
     if (!builder) return;
 
+    refreshGhosts();
+
     if (workoutBlocks.length === 0) {
         builder.innerHTML = `
             <div class="empty-state" style="padding: 32px;">
@@ -241,7 +601,58 @@ function createBuilderBlock(block, index) {
                     <input type="number" class="form-input" data-field="customWeight" value="${block.customWeight || ''}" placeholder="Optional">
                 </div>
             </div>
+            <div class="form-group">
+                <label class="form-label">Reps</label>
+                <input type="number" class="form-input" data-field="customReps" value="${block.customReps || ''}" min="1" placeholder="Optional, to count reps">
+            </div>
         ` : ''}
+
+        ${isRestBlock(block) ? `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Rest</label>
+                    <select class="form-select" data-field="rest-type">
+                        <option value="countdown" ${block.restMs ? 'selected' : ''}>Countdown</option>
+                        <option value="open" ${!block.restMs ? 'selected' : ''}>Until Next</option>
+                    </select>
+                </div>
+                ${block.restMs ? `
+                    <div class="form-group">
+                        <label class="form-label">Length (s)</label>
+                        <input type="number" class="form-input" data-field="rest-seconds" value="${block.restMs / 1000}" min="5" step="5">
+                    </div>
+                ` : ''}
+            </div>
+        ` : `
+            <div class="form-group">
+                <label class="form-label">Timing</label>
+                <select class="form-select" data-field="interval-type">
+                    <option value="" ${!block.interval ? 'selected' : ''}>Stopwatch</option>
+                    ${Object.entries(INTERVAL_TYPES).map(([type, preset]) => `
+                        <option value="${type}" ${block.interval?.type === type ? 'selected' : ''}>${preset.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            ${block.interval ? `
+                <div class="interval-settings">
+                    <div class="form-group">
+                        <label class="form-label">${block.interval.type === 'emom' ? 'Every (s)' : 'Work (s)'}</label>
+                        <input type="number" class="form-input" data-field="interval-work" value="${block.interval.workMs / 1000}" min="5" step="5">
+                    </div>
+                    ${block.interval.type !== 'emom' ? `
+                        <div class="form-group">
+                            <label class="form-label">Rest (s)</label>
+                            <input type="number" class="form-input" data-field="interval-rest" value="${block.interval.restMs / 1000}" min="0" step="5">
+                        </div>
+                    ` : ''}
+                    <div class="form-group">
+                        <label class="form-label">Rounds</label>
+                        <input type="number" class="form-input" data-field="interval-rounds" value="${block.interval.rounds}" min="1" step="1">
+                    </div>
+                </div>
+            ` : ''}
+        `}
     `;
 
     // Event listeners
@@ -250,11 +661,18 @@ function createBuilderBlock(block, index) {
         const selectedId = e.target.value;
         const option = options.find(o => o.id === selectedId);
 
-        if (option) {
+        if (option && option.type === 'rest') {
+            workoutBlocks[index] = createRestBlock();
+            renderBlocksBuilder();
+        } else if (option) {
+            const interval = workoutBlocks[index].interval;
             workoutBlocks[index] = {
                 ...option,
                 distance: option.distance || 1000
             };
+            if (interval) {
+                workoutBlocks[index].interval = interval;
+            }
             renderBlocksBuilder();
         }
     });
@@ -281,6 +699,55 @@ function createBuilderBlock(block, index) {
         workoutBlocks[index].customWeight = e.target.value ? parseInt(e.target.value) : null;
     });
 
+    const customRepsInput = div.querySelector('[data-field="customReps"]');
+    customRepsInput?.addEventListener('change', (e) => {
+        workoutBlocks[index].customReps = parseInt(e.target.value) > 0 ? parseInt(e.target.value) : null;
+    });
+
+    const restTypeSelect = div.querySelector('[data-field="rest-type"]');
+    restTypeSelect?.addEventListener('change', (e) => {
+        workoutBlocks[index].restMs = e.target.value === 'countdown' ? DEFAULT_REST_MS : null;
+        renderBlocksBuilder();
+    });
+
+    const restSecondsInput = div.querySelector('[data-field="rest-seconds"]');
+    restSecondsInput?.addEventListener('change', (e) => {
+        const restMs = Math.max(5, parseInt(e.target.value) || 0) * 1000;
+        workoutBlocks[index].restMs = restMs;
+        e.target.value = restMs / 1000;
+    });
+
+    const intervalTypeSelect = div.querySelector('[data-field="interval-type"]');
+    intervalTypeSelect?.addEventListener('change', (e) => {
+        if (e.target.value) {
+            workoutBlocks[index].interval = createInterval(e.target.value);
+        } else {
+            delete workoutBlocks[index].interval;
+        }
+        renderBlocksBuilder();
+    });
+
+    const intervalWorkInput = div.querySelector('[data-field="interval-work"]');
+    intervalWorkInput?.addEventListener('change', (e) => {
+        const workMs = Math.max(5, parseInt(e.target.value) || 0) * 1000;
+        workoutBlocks[index].interval = { ...workoutBlocks[index].interval, workMs };
+        e.target.value = workMs / 1000;
+    });
+
+    const intervalRestInput = div.querySelector('[data-field="interval-rest"]');
+    intervalRestInput?.addEventListener('change', (e) => {
+        const restMs = Math.max(0, parseInt(e.target.value) || 0) * 1000;
+        workoutBlocks[index].interval = { ...workoutBlocks[index].interval, restMs };
+        e.target.value = restMs / 1000;
+    });
+
+    const intervalRoundsInput = div.querySelector('[data-field="interval-rounds"]');
+    intervalRoundsInput?.addEventListener('change', (e) => {
+        const rounds = Math.max(1, parseInt(e.target.value) || 0);
+        workoutBlocks[index].interval = { ...workoutBlocks[index].interval, rounds };
+        e.target.value = rounds;
+    });
+
     div.querySelector('[data-action="move-up"]')?.addEventListener('click', () => {
         moveBlock(index, -1);
     });
@@ -337,23 +804,29 @@ function updateBlockLabel(index) {
 }
 
 /**
- * Update start button state
+ * Get the workout details the ghost picker needs
+ * @returns {Object} { mode, category, blocks }
  */
-function updateStartButton() {
-    const btn = document.getElementById('btn-start-custom');
-    if (btn) {
-        btn.disabled = workoutBlocks.length === 0;
-    }
+function getGhostPickerOptions() {
+    return { mode: 'custom', category: currentCategory, blocks: prepareBlocks() };
 }
 
 /**
- * Start the custom workout
+ * Reload the ghosts that match the blocks being built, and share the blocks
+ * out to the team
+ * Debounced, since several edits often come in a row
  */
-function startWorkout() {
-    if (workoutBlocks.length === 0) return;
+const refreshGhosts = debounce(() => {
+    ghostPicker?.refresh(getGhostPickerOptions());
+    teamPicker?.refresh({ blocks: prepareBlocks() });
+}, 300);
 
-    // Prepare blocks with proper labels
-    const blocks = workoutBlocks.map((block, i) => {
+/**
+ * Prepare the built blocks for a workout, labelling them as they are shown
+ * @returns {Array} Blocks
+ */
+function prepareBlocks() {
+    return workoutBlocks.map(block => {
         const prepared = deepClone(block);
 
         // Update labels for display
@@ -367,87 +840,116 @@ function startWorkout() {
             if (block.customWeight) {
                 prepared.weight = `${block.customWeight}kg`;
             }
+            if (block.customReps) {
+                prepared.reps = String(block.customReps);
+            }
         }
 
         return prepared;
     });
+}
 
-    const workoutId = generateId();
-
-    currentWorkout = {
-        id: workoutId,
-        mode: 'custom',
-        category: currentCategory,
-        blocks: blocks,
-        startedAt: new Date().toISOString(),
-        finishedAt: null,
-        blockTimesMs: [],
-        totalTimeMs: 0
-    };
-
-    // Initialize timer
-    initTimer({
-        workoutId,
-        mode: 'custom',
-        category: currentCategory,
-        blocks
-    });
-
-    // Set up callbacks
-    onTick((elapsed) => {
-        if (stopwatchComponent) {
-            stopwatchComponent.updateDisplay(elapsed);
+/**
+ * Update start and template button state
+ */
+function updateStartButton() {
+    ['btn-start-custom', 'btn-log-custom', 'btn-save-template', 'btn-new-workout'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.disabled = workoutBlocks.length === 0;
         }
     });
+}
 
-    onBlockComplete((blockIndex, timeMs) => {
-        currentWorkout.blockTimesMs[blockIndex] = timeMs;
+/**
+ * Start the custom workout
+ */
+async function startWorkout() {
+    if (workoutBlocks.length === 0) return;
 
-        const blockEl = blocksContainer?.querySelector(`[data-block-index="${blockIndex}"]`);
-        if (blockEl) {
-            setBlockCompleted(blockEl, timeMs);
-        }
+    // Only one workout can be timed at once
+    if (isSessionActive()) {
+        showToast('Finish or discard the workout in progress first', 'error');
+        return;
+    }
 
-        const nextIndex = blockIndex + 1;
-        if (nextIndex < blocks.length) {
-            const nextBlockEl = blocksContainer?.querySelector(`[data-block-index="${nextIndex}"]`);
-            if (nextBlockEl) {
-                setBlockActive(nextBlockEl);
-                scrollToActiveBlock(blocksContainer, nextIndex);
-            }
+    const blocks = prepareBlocks();
 
-            if (stopwatchComponent && nextIndex === blocks.length - 1) {
-                stopwatchComponent.setLastBlock(true);
-            }
-        }
-    });
+    // A ghost picked before the last block edit no longer lines up
+    const ghost = ghostPicker?.getGhost() || null;
 
-    onWorkoutComplete(async (blockTimes, totalTime) => {
-        currentWorkout.blockTimesMs = blockTimes;
-        currentWorkout.totalTimeMs = totalTime;
-        currentWorkout.finishedAt = new Date().toISOString();
+    // Catch the team up with a block edit made in the last moment
+    teamPicker?.refresh({ blocks });
+    const team = teamPicker?.getTeam() || null;
 
-        workoutActive = false;
-        workoutComplete = true;
+    // Only attribute the session to a template the blocks still match
+    const templateId = isTemplateUnchanged() ? loadedTemplate.id : null;
 
-        // Fetch PBs BEFORE updating them, so results can compare against previous PBs
-        const previousPBs = await getAllPersonalBests(currentCategory);
+    const session = startSession({
+        mode: 'custom',
+        category: currentCategory,
+        blocks,
+        templateId,
+        ghost: ghost && ghost.splitsMs.length === blocks.length ? ghost : null,
+        team
+    }, getViewHandlers());
+
+    if (templateId) {
+        loadedTemplate = { ...loadedTemplate, lastUsedAt: session.startedAt };
+        // The workout has started, so a failed save only loses the date
+        saveWorkoutTemplate(loadedTemplate).catch(error => {
+            console.error('Error saving template:', error);
+        });
+    }
 
-        // Store previous PBs with workout for history comparison
-        currentWorkout.previousPBs = previousPBs;
+    renderActiveWorkout();
+    await countIn();
+}
 
-        // Save workout (includes previousPBs for later viewing)
-        await saveWorkoutSession(currentWorkout);
-        await updatePBs();
-        await clearStoredTimerState();
+/**
+ * Get the handlers that keep this screen in step with the workout
+ * @returns {Object} View handlers for the session controller
+ */
+function getViewHandlers() {
+    return {
+        onTick: () => {
+            updateStopwatchDisplay();
+        },
+        onCountdown: (count) => {
+            stopwatchComponent?.showCountdown(count);
+        },
+        onBlockComplete: (blockIndex, timeMs) => {
+            const blocks = getSession().blocks;
 
-        // Show completion view with previous PBs for comparison
-        renderCompletionView(previousPBs);
-    });
+            const blockEl = blocksContainer?.querySelector(`[data-block-index="${blockIndex}"]`);
+            if (blockEl) {
+                setBlockCompleted(blockEl, timeMs);
+            }
 
-    workoutActive = true;
-    renderActiveWorkout();
-    startTimer();
+            const nextIndex = blockIndex + 1;
+            if (nextIndex < blocks.length) {
+                const nextBlockEl = blocksContainer?.querySelector(`[data-block-index="${nextIndex}"]`);
+                if (nextBlockEl) {
+                    setBlockActive(nextBlockEl);
+                    scrollToActiveBlock(blocksContainer, nextIndex);
+                }
+
+                if (stopwatchComponent && nextIndex === blocks.length - 1) {
+                    stopwatchComponent.setLastBlock(true);
+                }
+            }
+
+            // The next block starts with no Roxzone lap, laps or reps
+            stopwatchComponent?.setTransition(null);
+            stopwatchComponent?.setLaps([]);
+            stopwatchComponent?.setReps(getRepStatus());
+            stopwatchComponent?.setPartner(getPartnerStatus());
+        },
+        onComplete: (previousPBs) => {
+            // Show completion view with previous PBs for comparison
+            renderCompletionView(previousPBs);
+        }
+    };
 }
 
 /**
@@ -456,7 +958,7 @@ function startWorkout() {
 function renderActiveWorkout() {
     container.innerHTML = '';
 
-    const blocks = currentWorkout.blocks;
+    const { blocks, team } = getSession();
     const currentIndex = getCurrentBlockIndex();
     const blockTimes = getBlockTimes();
 
@@ -465,7 +967,10 @@ function renderActiveWorkout() {
     header.className = 'section-header mb-md';
     header.innerHTML = `
         <h2 class="section-title">Custom Workout</h2>
-        <span class="history-item-badge ${currentCategory}">${currentCategory}</span>
+        <div style="display: flex; gap: 4px;">
+            <span class="history-item-badge ${currentCategory}">${currentCategory}</span>
+            ${team ? `<span class="history-item-badge team">${TEAM_FORMATS[team.format].label}</span>` : ''}
+        </div>
     `;
     container.appendChild(header);
 
@@ -482,71 +987,144 @@ function renderActiveWorkout() {
         isLastBlock: isLastBlock(),
         isPaused: isPaused(),
         onPause: () => {
-            pauseTimer();
+            pauseSession();
             stopwatchComponent.setPaused(true);
         },
         onResume: () => {
-            resumeTimer();
+            resumeSession();
             stopwatchComponent.setPaused(false);
         },
         onStop: async () => {
-            const action = await showStopWorkoutModal();
+            const action = await showStopWorkoutModal(getCurrentBlockIndex());
             if (action === 'discard') {
-                await stopTimer(true);
-                workoutActive = false;
-                currentWorkout = null;
+                await discardSession();
                 await renderBuilderView();
+            } else if (action === 'keep') {
+                await saveIncompleteSession();
             }
         },
         onNext: () => {
-            nextBlock();
+            // The tick loop shows the undo too, but not while paused
+            if (nextSessionBlock()) {
+                stopwatchComponent.setUndo(canUndoLastBlock());
+            }
+        },
+        onUndo: () => {
+            if (undoLastBlock()) {
+                renderActiveWorkout();
+            } else {
+                stopwatchComponent.setUndo(false);
+            }
         },
         onFinish: () => {
-            finishWorkout();
+            finishSession();
+        },
+        onTransition: () => {
+            const transitionTime = markSessionTransition();
+            if (transitionTime !== null) {
+                stopwatchComponent.setTransition(transitionTime);
+            }
+        },
+        transitionTimeMs: getTransitionTimes()[currentIndex] ?? null,
+        onLap: () => {
+            if (markSessionLap() !== null) {
+                stopwatchComponent.setLaps(getBlockLaps()[getCurrentBlockIndex()]);
+                stopwatchComponent.setPartner(getPartnerStatus());
+            }
+        },
+        laps: getBlockLaps()[currentIndex] || [],
+        onRoundDone: () => {
+            if (markSessionRound() !== null) {
+                updateStopwatchDisplay();
+            }
+        },
+        onRep: () => {
+            if (countRep()) {
+                stopwatchComponent.setReps(getRepStatus());
+            }
+        },
+        onRepUndo: () => {
+            if (uncountRep()) {
+                stopwatchComponent.setReps(getRepStatus());
+            }
         }
     });
 
-    stopwatchComponent.updateDisplay(getCurrentElapsed());
+    updateStopwatchDisplay();
     stopwatchComponent.setPaused(isPaused());
+    stopwatchComponent.setReps(getRepStatus());
+    stopwatchComponent.setPartner(getPartnerStatus());
 
     container.appendChild(stopwatchComponent);
+    attachRemoteStopwatch(stopwatchComponent);
     scrollToActiveBlock(blocksContainer, currentIndex);
 }
 
+/**
+ * Show the current time on the stopwatch and the gap to any ghost
+ * Interval blocks count down the current work or rest phase, and rest
+ * blocks count down their length (open-ended rest counts up)
+ */
+function updateStopwatchDisplay() {
+    if (!stopwatchComponent) return;
+
+    const phase = getCurrentIntervalPhase();
+    const rest = getCurrentRest();
+    stopwatchComponent.updateDisplay(phase ? phase.remainingMs : rest?.remainingMs ?? getCurrentElapsed());
+    stopwatchComponent.setIntervalPhase(phase);
+    stopwatchComponent.setRest(rest);
+    stopwatchComponent.setUndo(canUndoLastBlock());
+
+    const ghost = getSession()?.ghost;
+    if (ghost) {
+        stopwatchComponent.setGhost(getGhostStatus(
+            ghost,
+            getBlockTimes(),
+            getCurrentBlockIndex(),
+            getCurrentElapsed()
+        ));
+    }
+}
+
 /**
  * Render completion view
  * @param {Object} pbs - Previous personal bests for comparison (fetched before updating)
  */
 async function renderCompletionView(pbs = null) {
     container.innerHTML = '';
+    const workout = getSession();
 
-    // If no PBs passed, use stored previousPBs from workout or fetch current PBs
+    // If no PBs passed, use the ones the workout was saved against or fetch current PBs
     if (!pbs) {
-        pbs = currentWorkout?.previousPBs || await getAllPersonalBests(currentCategory);
+        pbs = getPreviousPBs() || await getAllPersonalBests(currentCategory);
     }
 
     const completionDiv = document.createElement('div');
     completionDiv.className = 'text-center';
     completionDiv.style.padding = '48px 16px';
 
-    completionDiv.innerHTML = `
+    completionDiv.innerHTML = workout.incomplete ? `
+        <div style="font-size: 64px; margin-bottom: 24px;">🩹</div>
+        <h2 style="color: var(--color-gold); margin-bottom: 8px;">Saved as Incomplete</h2>
+        <p style="color: var(--text-secondary); margin-bottom: 32px;">${getCompletedBlockCount(workout)} of ${workout.blocks.length} blocks saved. ${workout.team?.format === 'doubles' ? 'Shared Doubles blocks set no PBs.' : `They count towards ${workout.team ? 'the PBs of whoever did them' : 'your PBs'}.`}</p>
+    ` : `
         <div style="font-size: 64px; margin-bottom: 24px;">💪</div>
         <h2 style="color: var(--color-gold); margin-bottom: 8px;">Workout Complete!</h2>
-        <p style="color: var(--text-secondary); margin-bottom: 32px;">Great custom workout!</p>
+        <p style="color: var(--text-secondary); margin-bottom: 32px;">${workout.team ? 'Great teamwork!' : 'Great custom workout!'}</p>
     `;
 
     const seeResultsBtn = createSeeResultsButton(() => {
         container.innerHTML = '';
-        const resultsView = createResultsView(currentWorkout, pbs);
+        const resultsView = createResultsView(workout, pbs);
         container.appendChild(resultsView);
 
         const doneBtn = document.createElement('button');
         doneBtn.className = 'btn btn-primary btn-full mt-md';
         doneBtn.textContent = 'Done';
         doneBtn.addEventListener('click', async () => {
-            workoutComplete = false;
-            currentWorkout = null;
+            closeSession();
             workoutBlocks = [];
+            loadedTemplate = null;
             navigate('dashboard');
         });
         container.appendChild(doneBtn);
@@ -559,35 +1137,14 @@ async function renderCompletionView(pbs = null) {
     newBtn.className = 'btn btn-secondary btn-full mt-md';
     newBtn.textContent = 'Build Another Workout';
     newBtn.addEventListener('click', async () => {
-        workoutComplete = false;
-        currentWorkout = null;
+        closeSession();
         workoutBlocks = [];
+        loadedTemplate = null;
         await renderBuilderView();
     });
     container.appendChild(newBtn);
 }
 
-/**
- * Update personal bests from completed workout
- */
-async function updatePBs() {
-    if (!currentWorkout) return;
-
-    const { blocks, blockTimesMs, category } = currentWorkout;
-
-    for (let i = 0; i < blocks.length; i++) {
-        const block = blocks[i];
-        const time = blockTimesMs[i];
-
-        if (time) {
-            const exerciseId = getCanonicalExerciseId(block, category);
-            if (exerciseId) {
-                await updatePersonalBest(category, exerciseId, time);
-            }
-        }
-    }
-}
-
 /**
  * Set up a repeat workout from a previous session
  * Call this before navigating to the custom screen
@@ -636,6 +1193,7 @@ export function setRepeatWorkout(session) {
 
     pendingRepeatWorkout = {
         blocks,
-        category: session.category || 'amateur'
+        category: session.category || 'amateur',
+        templateId: session.templateId || null
     };
 }
@@ -4,13 +4,24 @@
  */
 
 import { createToggle } from '../components/toggle.js';
-import { getAllPersonalBests, getSimPB, getAllWorkoutSessions } from '../db.js';
-import { formatTime, formatLongTime, isThisWeek } from '../utils.js';
+import {
+    getAllPersonalBests,
+    getSimPB,
+    getWorkoutSessionsInRange,
+    getPersonalBestHistory,
+    getAllProfiles,
+    getActiveProfileId
+} from '../db.js';
+import { createPBTimeline } from '../components/pb-timeline.js';
+import { formatTime, formatLongTime, getWeekStart, getWeekEnd, sanitizeHTML } from '../utils.js';
 import { getExerciseOrder, EXERCISE_DISPLAY_NAMES, HYROX_SIM_BLOCKS } from '../exercises.js';
+import { TEAM_FORMATS } from '../team.js';
 import { navigate } from '../router.js';
 
 let currentCategory = 'amateur';
 let dashboardContainer = null;
+// Athlete whose stats are shown
+let viewedProfileId = null;
 
 /**
  * Render the dashboard screen
@@ -31,6 +42,11 @@ export function render() {
     });
     container.appendChild(toggle);
 
+    // Athlete filter
+    const profileFilter = document.createElement('div');
+    profileFilter.id = 'dashboard-profile';
+    container.appendChild(profileFilter);
+
     // Content container (will be populated async)
     const content = document.createElement('div');
     content.id = 'dashboard-content';
@@ -43,9 +59,39 @@ export function render() {
  * Called after render
  */
 export async function onMount() {
+    viewedProfileId = getActiveProfileId();
+    await renderProfileFilter();
     await renderDashboardContent();
 }
 
+/**
+ * Render the athlete picker (only with more than one athlete)
+ */
+async function renderProfileFilter() {
+    const wrapper = document.getElementById('dashboard-profile');
+    if (!wrapper) return;
+
+    const profiles = await getAllProfiles();
+    if (profiles.length < 2) {
+        wrapper.innerHTML = '';
+        return;
+    }
+
+    wrapper.innerHTML = `
+        <select class="form-select profile-select" aria-label="Athlete">
+            ${profiles.map(profile => `
+                <option value="${profile.id}" ${profile.id === viewedProfileId ? 'selected' : ''}>${sanitizeHTML(profile.name)}</option>
+            `).join('')}
+        </select>
+    `;
+
+    const select = wrapper.querySelector('select');
+    select.addEventListener('change', async () => {
+        viewedProfileId = select.value;
+        await renderDashboardContent();
+    });
+}
+
 /**
  * Render dashboard content based on current category
  */
@@ -58,20 +104,19 @@ async function renderDashboardContent() {
     try {
         // Get data
         const [pbs, simPB, sessions] = await Promise.all([
-            getAllPersonalBests(currentCategory),
-            getSimPB(currentCategory),
-            getAllWorkoutSessions()
+            getAllPersonalBests(currentCategory, viewedProfileId),
+            getSimPB(currentCategory, viewedProfileId),
+            getWorkoutSessionsInRange(getWeekStart(), getWeekEnd(), viewedProfileId)
         ]);
 
-        // Filter sessions for current category and this week
-        const categorySessions = sessions.filter(s => s.category === currentCategory);
-        const weekSessions = categorySessions.filter(s => isThisWeek(s.startedAt));
+        // Filter this week's sessions for current category
+        const weekSessions = sessions.filter(s => s.category === currentCategory);
 
         // Calculate weekly stats
         const weeklyWorkouts = weekSessions.length;
         const weeklyTotalTime = weekSessions.reduce((sum, s) => sum + (s.totalTimeMs || 0), 0);
         const weeklyBestTime = weekSessions
-            .filter(s => s.mode === 'sim')
+            .filter(s => s.mode === 'sim' && !s.incomplete && !s.team)
             .reduce((best, s) => {
                 if (!best || s.totalTimeMs < best) return s.totalTimeMs;
                 return best;
@@ -89,12 +134,22 @@ async function renderDashboardContent() {
 
         // Full Sim PB Card
         html += `
-            <div class="pb-card">
+            <div class="pb-card clickable" data-exercise-id="full_sim_total" role="button" tabindex="0">
                 <div class="pb-title">Full Sim Personal Best (${currentCategory === 'pro' ? 'Pro' : 'Amateur'})</div>
                 <div class="pb-value">${simPB ? formatLongTime(simPB) : '--:--:--'}</div>
             </div>
         `;
 
+        // Doubles and Relay PB cards, once a team sim has been finished
+        Object.values(TEAM_FORMATS).filter(format => pbs[format.totalPBId]).forEach(format => {
+            html += `
+                <div class="pb-card clickable team-pb-card" data-exercise-id="${format.totalPBId}" role="button" tabindex="0">
+                    <div class="pb-title">${format.label} Personal Best</div>
+                    <div class="pb-value">${formatLongTime(pbs[format.totalPBId])}</div>
+                </div>
+            `;
+        });
+
         // Weekly Stats
         html += `
             <div class="weekly-stats">
@@ -134,7 +189,7 @@ async function renderDashboardContent() {
             }
 
             exercisesHtml += `
-                <div class="exercise-item">
+                <div class="exercise-item clickable" data-exercise-id="${exerciseId}" role="button" tabindex="0">
                     <span class="exercise-name">${displayName}</span>
                     <span class="exercise-pb">${pbTime ? formatTime(pbTime, false) : '--:--'}</span>
                 </div>
@@ -177,6 +232,18 @@ async function renderDashboardContent() {
             navigate('custom');
         });
 
+        // PB timelines
+        content.querySelectorAll('[data-exercise-id]').forEach(item => {
+            const open = () => showPBTimeline(item.dataset.exerciseId);
+            item.addEventListener('click', open);
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    open();
+                }
+            });
+        });
+
     } catch (error) {
         console.error('Error rendering dashboard:', error);
         content.innerHTML = `
@@ -188,3 +255,35 @@ async function renderDashboardContent() {
         `;
     }
 }
+
+/**
+ * Show the PB progression for one exercise
+ * @param {string} exerciseId - Exercise ID (or 'full_sim_total', or a team total)
+ */
+async function showPBTimeline(exerciseId) {
+    const content = document.getElementById('dashboard-content');
+    if (!content) return;
+
+    const entries = await getPersonalBestHistory(currentCategory, exerciseId, viewedProfileId);
+    const isSimTotal = exerciseId === 'full_sim_total';
+    const teamFormat = Object.values(TEAM_FORMATS).find(format => format.totalPBId === exerciseId);
+    const title = isSimTotal ? 'Full Sim' : (teamFormat?.label || EXERCISE_DISPLAY_NAMES[exerciseId] || exerciseId);
+
+    content.innerHTML = '';
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-secondary btn-full mb-md';
+    backBtn.innerHTML = `
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="15 18 9 12 15 6"></polyline>
+        </svg>
+        Back
+    `;
+    backBtn.addEventListener('click', () => renderDashboardContent());
+    content.appendChild(backBtn);
+
+    content.appendChild(createPBTimeline(entries, {
+        title: `${title} (${currentCategory === 'pro' ? 'Pro' : 'Amateur'})`,
+        longTime: isSimTotal || !!teamFormat
+    }));
+}
@@ -4,50 +4,59 @@
  */
 
 import { createToggle } from '../components/toggle.js';
-import { createWorkoutBlockList, setBlockActive, setBlockCompleted, scrollToActiveBlock, updateBlockTime } from '../components/workout-block.js';
+import { createWorkoutBlockList, setBlockActive, setBlockCompleted, scrollToActiveBlock } from '../components/workout-block.js';
 import { createStopwatch } from '../components/stopwatch.js';
 import { createResultsView, createSeeResultsButton } from '../components/results-card.js';
+import { createManualEntry } from '../components/manual-entry.js';
+import { createGhostPicker } from '../components/ghost-picker.js';
+import { createTeamPicker } from '../components/team-picker.js';
+import { TEAM_FORMATS } from '../team.js';
 import { showStopWorkoutModal } from '../components/modal.js';
 import { HYROX_SIM_BLOCKS } from '../exercises.js';
-import { generateId, deepClone } from '../utils.js';
+import { deepClone, showToast } from '../utils.js';
 import { navigate } from '../router.js';
+import { getGhostStatus } from '../ghost.js';
+import { attachRemoteStopwatch } from '../remote-control.js';
 import {
-    initTimer,
-    startTimer,
-    pauseTimer,
-    resumeTimer,
-    stopTimer,
-    nextBlock,
-    finishWorkout,
-    onTick,
-    onBlockComplete,
-    onWorkoutComplete,
+    startSession,
+    countIn,
+    attachView,
+    getSession,
+    getPreviousPBs,
+    isSessionActive,
+    isSessionComplete,
+    pauseSession,
+    resumeSession,
+    undoLastBlock,
+    discardSession,
+    saveIncompleteSession,
+    getCompletedBlockCount,
+    getRepStatus,
+    getPartnerStatus,
+    countRep,
+    uncountRep,
+    closeSession,
+    nextSessionBlock,
+    finishSession,
+    markSessionTransition,
+    markSessionLap,
+    canUndoLastBlock,
     getCurrentElapsed,
     getCurrentBlockIndex,
     getBlockTimes,
-    isRunning,
+    getTransitionTimes,
+    getBlockLaps,
     isPaused,
-    isLastBlock,
-    isActive,
-    getState,
-    clearStoredTimerState
-} from '../timer.js';
-import {
-    saveWorkoutSession,
-    updatePersonalBest,
-    updateSimPB,
-    getAllPersonalBests,
-    getToggleSetting
-} from '../db.js';
-import { getCanonicalExerciseId } from '../exercises.js';
+    isLastBlock
+} from '../workout-session.js';
+import { getAllPersonalBests, getSimPB, getToggleSetting } from '../db.js';
 
 let container = null;
 let currentCategory = 'amateur';
-let workoutActive = false;
-let workoutComplete = false;
-let currentWorkout = null;
 let blocksContainer = null;
 let stopwatchComponent = null;
+let ghostPicker = null;
+let teamPicker = null;
 let toggle = null;
 
 /**
@@ -68,9 +77,16 @@ export async function onMount() {
     // Get saved category
     currentCategory = await getToggleSetting('full-sim');
 
-    if (workoutActive || workoutComplete) {
-        // Re-render active workout
-        renderActiveWorkout();
+    // Show the sim being run (or just finished), including one resumed after a reload
+    if (isSessionActive('sim') || isSessionComplete('sim')) {
+        currentCategory = getSession().category;
+        attachView(getViewHandlers());
+
+        if (isSessionComplete()) {
+            renderCompletionView();
+        } else {
+            renderActiveWorkout();
+        }
     } else {
         renderSetupView();
     }
@@ -80,9 +96,6 @@ export async function onMount() {
  * Render setup view (before workout starts)
  */
 function renderSetupView() {
-    workoutActive = false;
-    workoutComplete = false;
-
     container.innerHTML = '';
 
     // Toggle
@@ -91,6 +104,8 @@ function renderSetupView() {
         onChange: async (value) => {
             currentCategory = value;
             renderBlocks();
+            ghostPicker.refresh(getGhostPickerOptions());
+            teamPicker.refresh({ blocks: HYROX_SIM_BLOCKS[currentCategory] });
         }
     });
     container.appendChild(toggle);
@@ -109,12 +124,49 @@ function renderSetupView() {
 
     renderBlocks();
 
+    // Ghost to race
+    ghostPicker = createGhostPicker(getGhostPickerOptions());
+    container.appendChild(ghostPicker);
+
+    // Doubles or Relay
+    teamPicker = createTeamPicker({ blocks: HYROX_SIM_BLOCKS[currentCategory] });
+    container.appendChild(teamPicker);
+
     // Start button
     const startBtn = document.createElement('button');
     startBtn.className = 'btn btn-primary btn-full btn-lg mt-md';
     startBtn.textContent = 'Start Workout';
     startBtn.addEventListener('click', startWorkout);
     container.appendChild(startBtn);
+
+    // Log a race or sim that was timed elsewhere
+    const logBtn = document.createElement('button');
+    logBtn.className = 'btn btn-secondary btn-full mt-md';
+    logBtn.textContent = 'Log Past Race';
+    logBtn.addEventListener('click', showManualEntry);
+    container.appendChild(logBtn);
+}
+
+/**
+ * Get the workout details the ghost picker needs
+ * @returns {Object} { mode, category, blocks }
+ */
+function getGhostPickerOptions() {
+    return { mode: 'sim', category: currentCategory, blocks: HYROX_SIM_BLOCKS[currentCategory] };
+}
+
+/**
+ * Show the form for logging a sim after the fact
+ */
+function showManualEntry() {
+    container.innerHTML = '';
+    container.appendChild(createManualEntry({
+        blocks: HYROX_SIM_BLOCKS[currentCategory],
+        mode: 'sim',
+        category: currentCategory,
+        onSaved: () => navigate('history'),
+        onCancel: () => renderSetupView()
+    }));
 }
 
 /**
@@ -144,95 +196,76 @@ function renderBlocks() {
 /**
  * Start the workout
  */
-function startWorkout() {
-    const blocks = deepClone(HYROX_SIM_BLOCKS[currentCategory]);
-    const workoutId = generateId();
-
-    currentWorkout = {
-        id: workoutId,
-        mode: 'sim',
-        category: currentCategory,
-        blocks: blocks,
-        startedAt: new Date().toISOString(),
-        finishedAt: null,
-        blockTimesMs: [],
-        totalTimeMs: 0
-    };
+async function startWorkout() {
+    // Only one workout can be timed at once
+    if (isSessionActive()) {
+        showToast('Finish or discard the workout in progress first', 'error');
+        return;
+    }
 
-    // Initialize timer
-    initTimer({
-        workoutId,
+    startSession({
         mode: 'sim',
         category: currentCategory,
-        blocks
-    });
-
-    // Set up callbacks
-    onTick((elapsed) => {
-        if (stopwatchComponent) {
-            stopwatchComponent.updateDisplay(elapsed);
-        }
-    });
-
-    onBlockComplete((blockIndex, timeMs) => {
-        currentWorkout.blockTimesMs[blockIndex] = timeMs;
+        blocks: deepClone(HYROX_SIM_BLOCKS[currentCategory]),
+        ghost: ghostPicker?.getGhost() || null,
+        team: teamPicker?.getTeam() || null
+    }, getViewHandlers());
 
-        // Update block display
-        const blockEl = blocksContainer?.querySelector(`[data-block-index="${blockIndex}"]`);
-        if (blockEl) {
-            setBlockCompleted(blockEl, timeMs);
-        }
+    renderActiveWorkout();
+    await countIn();
+}
 
-        // Activate next block
-        const nextIndex = blockIndex + 1;
-        if (nextIndex < blocks.length) {
-            const nextBlockEl = blocksContainer?.querySelector(`[data-block-index="${nextIndex}"]`);
-            if (nextBlockEl) {
-                setBlockActive(nextBlockEl);
-                scrollToActiveBlock(blocksContainer, nextIndex);
+/**
+ * Get the handlers that keep this screen in step with the workout
+ * @returns {Object} View handlers for the session controller
+ */
+function getViewHandlers() {
+    return {
+        onTick: (elapsed) => {
+            if (stopwatchComponent) {
+                stopwatchComponent.updateDisplay(elapsed);
+                stopwatchComponent.setUndo(canUndoLastBlock());
             }
+            updateGhostDisplay();
+        },
+        onCountdown: (count) => {
+            stopwatchComponent?.showCountdown(count);
+        },
+        onBlockComplete: (blockIndex, timeMs) => {
+            const blocks = getSession().blocks;
 
-            // Update stopwatch for last block
-            if (stopwatchComponent && nextIndex === blocks.length - 1) {
-                stopwatchComponent.setLastBlock(true);
+            // Update block display
+            const blockEl = blocksContainer?.querySelector(`[data-block-index="${blockIndex}"]`);
+            if (blockEl) {
+                setBlockCompleted(blockEl, timeMs);
             }
-        }
-    });
-
-    onWorkoutComplete(async (blockTimes, totalTime) => {
-        currentWorkout.blockTimesMs = blockTimes;
-        currentWorkout.totalTimeMs = totalTime;
-        currentWorkout.finishedAt = new Date().toISOString();
-
-        workoutActive = false;
-        workoutComplete = true;
 
-        // Fetch PBs BEFORE updating them, so results can compare against previous PBs
-        const previousPBs = await getAllPersonalBests(currentCategory);
-        const previousSimPB = await import('../db.js').then(m => m.getSimPB(currentCategory));
-        previousPBs['full_sim_total'] = previousSimPB;
-
-        // Store previous PBs with workout for history comparison
-        currentWorkout.previousPBs = previousPBs;
-
-        // Save workout (includes previousPBs for later viewing)
-        await saveWorkoutSession(currentWorkout);
-
-        // Update PBs (after fetching the previous ones)
-        await updatePBs();
-
-        // Clear timer state
-        await clearStoredTimerState();
-
-        // Show completion view with previous PBs for comparison
-        renderCompletionView(previousPBs);
-    });
-
-    workoutActive = true;
-    renderActiveWorkout();
+            // Activate next block
+            const nextIndex = blockIndex + 1;
+            if (nextIndex < blocks.length) {
+                const nextBlockEl = blocksContainer?.querySelector(`[data-block-index="${nextIndex}"]`);
+                if (nextBlockEl) {
+                    setBlockActive(nextBlockEl);
+                    scrollToActiveBlock(blocksContainer, nextIndex);
+                }
+
+                // Update stopwatch for last block
+                if (stopwatchComponent && nextIndex === blocks.length - 1) {
+                    stopwatchComponent.setLastBlock(true);
+                }
+            }
 
-    // Start the timer
-    startTimer();
+            // The next block starts with no Roxzone lap, laps or reps
+            stopwatchComponent?.setTransition(null);
+            stopwatchComponent?.setLaps([]);
+            stopwatchComponent?.setReps(getRepStatus());
+            stopwatchComponent?.setPartner(getPartnerStatus());
+        },
+        onComplete: (previousPBs) => {
+            // Show completion view with previous PBs for comparison
+            renderCompletionView(previousPBs);
+        }
+    };
 }
 
 /**
@@ -241,7 +274,7 @@ function startWorkout() {
 function renderActiveWorkout() {
     container.innerHTML = '';
 
-    const blocks = currentWorkout?.blocks || HYROX_SIM_BLOCKS[currentCategory];
+    const { blocks, team } = getSession();
     const currentIndex = getCurrentBlockIndex();
     const blockTimes = getBlockTimes();
 
@@ -250,7 +283,10 @@ function renderActiveWorkout() {
     header.className = 'section-header mb-md';
     header.innerHTML = `
         <h2 class="section-title">${currentCategory === 'pro' ? 'Hyrox Pro' : 'Hyrox Open'}</h2>
-        <span class="history-item-badge ${currentCategory}">${currentCategory}</span>
+        <div style="display: flex; gap: 4px;">
+            <span class="history-item-badge ${currentCategory}">${currentCategory}</span>
+            ${team ? `<span class="history-item-badge team">${TEAM_FORMATS[team.format].label}</span>` : ''}
+        </div>
     `;
     container.appendChild(header);
 
@@ -267,53 +303,108 @@ function renderActiveWorkout() {
         isLastBlock: isLastBlock(),
         isPaused: isPaused(),
         onPause: () => {
-            pauseTimer();
+            pauseSession();
             stopwatchComponent.setPaused(true);
         },
         onResume: () => {
-            resumeTimer();
+            resumeSession();
             stopwatchComponent.setPaused(false);
         },
         onStop: async () => {
-            const action = await showStopWorkoutModal();
+            const action = await showStopWorkoutModal(getCurrentBlockIndex());
             if (action === 'discard') {
-                await stopTimer(true);
-                workoutActive = false;
-                currentWorkout = null;
+                await discardSession();
                 renderSetupView();
+            } else if (action === 'keep') {
+                await saveIncompleteSession();
             }
         },
         onNext: () => {
-            nextBlock();
+            // The tick loop shows the undo too, but not while paused
+            if (nextSessionBlock()) {
+                stopwatchComponent.setUndo(canUndoLastBlock());
+            }
+        },
+        onUndo: () => {
+            if (undoLastBlock()) {
+                renderActiveWorkout();
+            } else {
+                stopwatchComponent.setUndo(false);
+            }
         },
         onFinish: () => {
-            finishWorkout();
+            finishSession();
+        },
+        onTransition: () => {
+            const transitionTime = markSessionTransition();
+            if (transitionTime !== null) {
+                stopwatchComponent.setTransition(transitionTime);
+            }
+        },
+        transitionTimeMs: getTransitionTimes()[currentIndex] ?? null,
+        onLap: () => {
+            if (markSessionLap() !== null) {
+                stopwatchComponent.setLaps(getBlockLaps()[getCurrentBlockIndex()]);
+                stopwatchComponent.setPartner(getPartnerStatus());
+            }
+        },
+        laps: getBlockLaps()[currentIndex] || [],
+        onRep: () => {
+            if (countRep()) {
+                stopwatchComponent.setReps(getRepStatus());
+            }
+        },
+        onRepUndo: () => {
+            if (uncountRep()) {
+                stopwatchComponent.setReps(getRepStatus());
+            }
         }
     });
 
     // Update display with current time
     stopwatchComponent.updateDisplay(getCurrentElapsed());
     stopwatchComponent.setPaused(isPaused());
+    stopwatchComponent.setUndo(canUndoLastBlock());
+    stopwatchComponent.setReps(getRepStatus());
+    stopwatchComponent.setPartner(getPartnerStatus());
+    updateGhostDisplay();
 
     container.appendChild(stopwatchComponent);
+    attachRemoteStopwatch(stopwatchComponent);
 
     // Scroll to active block
     scrollToActiveBlock(blocksContainer, currentIndex);
 }
 
+/**
+ * Show the gap to the ghost being raced, if any
+ */
+function updateGhostDisplay() {
+    const ghost = getSession()?.ghost;
+    if (!stopwatchComponent || !ghost) return;
+
+    stopwatchComponent.setGhost(getGhostStatus(
+        ghost,
+        getBlockTimes(),
+        getCurrentBlockIndex(),
+        getCurrentElapsed()
+    ));
+}
+
 /**
  * Render completion view
  * @param {Object} pbs - Previous personal bests for comparison (fetched before updating)
  */
 async function renderCompletionView(pbs = null) {
     container.innerHTML = '';
+    const workout = getSession();
 
-    // If no PBs passed, use stored previousPBs from workout or fetch current PBs
+    // If no PBs passed, use the ones the workout was saved against or fetch current PBs
     if (!pbs) {
-        pbs = currentWorkout?.previousPBs || await getAllPersonalBests(currentCategory);
-        if (!currentWorkout?.previousPBs) {
-            const simPB = await import('../db.js').then(m => m.getSimPB(currentCategory));
-            pbs['full_sim_total'] = simPB;
+        pbs = getPreviousPBs();
+        if (!pbs) {
+            pbs = await getAllPersonalBests(currentCategory);
+            pbs['full_sim_total'] = await getSimPB(currentCategory);
         }
     }
 
@@ -322,15 +413,26 @@ async function renderCompletionView(pbs = null) {
     completionDiv.className = 'text-center';
     completionDiv.style.padding = '48px 16px';
 
-    completionDiv.innerHTML = `
+    // What the saved stations count towards
+    const incompleteNote = !workout.team
+        ? 'They count towards your station PBs, but not your Full Sim PB.'
+        : workout.team.format === 'relay'
+            ? 'They count towards the station PBs of whoever did them, but not the Relay PB.'
+            : 'Shared Doubles stations set no station PBs, and a sim stopped early sets no Doubles PB.';
+
+    completionDiv.innerHTML = workout.incomplete ? `
+        <div style="font-size: 64px; margin-bottom: 24px;">🩹</div>
+        <h2 style="color: var(--color-gold); margin-bottom: 8px;">Saved as Incomplete</h2>
+        <p style="color: var(--text-secondary); margin-bottom: 32px;">${getCompletedBlockCount(workout)} of ${workout.blocks.length} stations saved. ${incompleteNote}</p>
+    ` : `
         <div style="font-size: 64px; margin-bottom: 24px;">🎉</div>
         <h2 style="color: var(--color-gold); margin-bottom: 8px;">Workout Complete!</h2>
-        <p style="color: var(--text-secondary); margin-bottom: 32px;">Great work finishing your Hyrox simulation!</p>
+        <p style="color: var(--text-secondary); margin-bottom: 32px;">${workout.team ? `Great teamwork finishing your ${TEAM_FORMATS[workout.team.format].label} simulation!` : 'Great work finishing your Hyrox simulation!'}</p>
     `;
 
     const seeResultsBtn = createSeeResultsButton(() => {
         container.innerHTML = '';
-        const resultsView = createResultsView(currentWorkout, pbs);
+        const resultsView = createResultsView(workout, pbs);
         container.appendChild(resultsView);
 
         // Add done button
@@ -338,8 +440,7 @@ async function renderCompletionView(pbs = null) {
         doneBtn.className = 'btn btn-primary btn-full mt-md';
         doneBtn.textContent = 'Done';
         doneBtn.addEventListener('click', () => {
-            workoutComplete = false;
-            currentWorkout = null;
+            closeSession();
             navigate('dashboard');
         });
         container.appendChild(doneBtn);
@@ -353,36 +454,8 @@ async function renderCompletionView(pbs = null) {
     newBtn.className = 'btn btn-secondary btn-full mt-md';
     newBtn.textContent = 'Start New Workout';
     newBtn.addEventListener('click', () => {
-        workoutComplete = false;
-        currentWorkout = null;
+        closeSession();
         renderSetupView();
     });
     container.appendChild(newBtn);
 }
-
-/**
- * Update personal bests from completed workout
- */
-async function updatePBs() {
-    if (!currentWorkout) return;
-
-    const { blocks, blockTimesMs, totalTimeMs, category } = currentWorkout;
-
-    // Update per-exercise PBs
-    for (let i = 0; i < blocks.length; i++) {
-        const block = blocks[i];
-        const time = blockTimesMs[i];
-
-        if (time) {
-            const exerciseId = getCanonicalExerciseId(block, category);
-            if (exerciseId) {
-                await updatePersonalBest(category, exerciseId, time);
-            }
-        }
-    }
-
-    // Update full sim PB
-    if (totalTimeMs > 0) {
-        await updateSimPB(category, totalTimeMs);
-    }
-}
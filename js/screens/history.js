@@ -3,17 +3,61 @@
  * Shows workout history with filters and detail views
  */
 
-import { getAllWorkoutSessions, deleteWorkoutSession, getAllPersonalBests, recalculatePBsAfterDeletion } from '../db.js';
-import { formatLongTime, formatDateTime, getRelativeTime, sanitizeHTML } from '../utils.js';
+import {
+    getWorkoutSessionsPage,
+    saveWorkoutSession,
+    trashWorkoutSession,
+    restoreWorkoutSession,
+    getTrashedSessions,
+    purgeTrashedSession,
+    getAllPersonalBests,
+    recalculatePBsAfterDeletion,
+    getAllProfiles,
+    getActiveProfileId,
+    STORES,
+    TRASH_RETENTION_DAYS
+} from '../db.js';
+import { formatTime, formatLongTime, formatDateTime, getRelativeTime, parseTime, sanitizeHTML, downloadFile, pickTextFile, showToast } from '../utils.js';
 import { createResultsView } from '../components/results-card.js';
-import { confirmDelete } from '../components/modal.js';
+import { createSessionTimeline } from '../components/session-timeline.js';
+import { createRepCadence } from '../components/rep-cadence.js';
+import { confirmDelete, showModal, alert } from '../components/modal.js';
+import { createBackup, getBackupFilename, parseBackup, previewImport, importBackup } from '../backup.js';
+import { createSplitsCSV, getSplitsFilename } from '../csv.js';
 import { navigate } from '../router.js';
 import { getCanonicalExerciseId } from '../exercises.js';
 import { setRepeatWorkout } from './custom.js';
+import { getCompletedBlockCount } from '../workout-session.js';
+import { getWorkTime, getRestTime } from '../rest.js';
+import { TEAM_FORMATS, getSessionProfileIds } from '../team.js';
 
 let container = null;
-let currentFilter = 'all';
+// Mode and category filters combine, e.g. Full Sim + Pro
+let currentFilter = { mode: 'all', category: 'all' };
+// Profile whose sessions are listed, or 'all'
+let profileFilter = null;
+let profiles = [];
+// Sessions loaded so far, and where the next page starts
 let sessions = [];
+let nextCursor = null;
+let loadingPage = false;
+// Bumped whenever the list is reset, so late pages of an old query are dropped
+let listVersion = 0;
+let listObserver = null;
+
+// Step used when moving time between adjacent blocks
+const SPLIT_SHIFT_MS = 1000;
+
+// Friendly names for stores shown in the import preview
+const STORE_LABELS = {
+    [STORES.WORKOUT_SESSIONS]: 'Workouts',
+    [STORES.WORKOUT_TEMPLATES]: 'Templates',
+    [STORES.PERSONAL_BESTS]: 'Personal bests',
+    [STORES.PERSONAL_BEST_HISTORY]: 'PB history',
+    [STORES.DELETED_SESSIONS]: 'Trash',
+    [STORES.PROFILES]: 'Athletes',
+    [STORES.META]: 'Settings'
+};
 
 /**
  * Render the history screen
@@ -30,9 +74,31 @@ export function render() {
  * Called after render
  */
 export async function onMount() {
+    profileFilter = getActiveProfileId();
     await renderHistoryList();
 }
 
+/**
+ * Called before leaving the screen
+ * Stops the infinite scroll, whose sentinel is about to be removed
+ */
+export function onUnmount() {
+    listObserver?.disconnect();
+    listObserver = null;
+}
+
+/**
+ * Get the session query for the active filters
+ * @returns {Object} Options for getWorkoutSessionsPage
+ */
+function getQueryOptions() {
+    return {
+        profileId: profileFilter === 'all' ? null : profileFilter,
+        mode: currentFilter.mode === 'all' ? null : currentFilter.mode,
+        category: currentFilter.category === 'all' ? null : currentFilter.category
+    };
+}
+
 /**
  * Render history list view
  */
@@ -40,28 +106,78 @@ async function renderHistoryList() {
     container.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
 
     try {
-        sessions = await getAllWorkoutSessions();
+        profiles = await getAllProfiles();
 
         container.innerHTML = '';
 
+        // Athlete filter (only worth showing with more than one athlete)
+        if (profiles.length > 1) {
+            const profileSelect = document.createElement('select');
+            profileSelect.className = 'form-select profile-select';
+            profileSelect.setAttribute('aria-label', 'Athlete');
+            profileSelect.innerHTML = `
+                ${profiles.map(profile => `
+                    <option value="${profile.id}" ${profile.id === profileFilter ? 'selected' : ''}>${sanitizeHTML(profile.name)}</option>
+                `).join('')}
+                <option value="all" ${profileFilter === 'all' ? 'selected' : ''}>All athletes</option>
+            `;
+            profileSelect.addEventListener('change', () => {
+                profileFilter = profileSelect.value;
+                renderFilteredList();
+            });
+            container.appendChild(profileSelect);
+        }
+
+        // Data toolbar
+        const toolbar = document.createElement('div');
+        toolbar.className = 'history-toolbar';
+        toolbar.innerHTML = `
+            <button class="btn btn-secondary" data-action="export-backup">Back Up</button>
+            <button class="btn btn-secondary" data-action="import-backup">Restore</button>
+            <button class="btn btn-secondary" data-action="export-csv">Export CSV</button>
+        `;
+        toolbar.querySelector('[data-action="export-backup"]').addEventListener('click', exportBackup);
+        toolbar.querySelector('[data-action="import-backup"]').addEventListener('click', restoreBackup);
+        toolbar.querySelector('[data-action="export-csv"]').addEventListener('click', exportSplitsCSV);
+        container.appendChild(toolbar);
+
         // Filters
         const filters = document.createElement('div');
         filters.className = 'history-filters';
         filters.innerHTML = `
-            <button class="filter-btn ${currentFilter === 'all' ? 'active' : ''}" data-filter="all">All</button>
-            <button class="filter-btn ${currentFilter === 'sim' ? 'active' : ''}" data-filter="sim">Full Sim</button>
-            <button class="filter-btn ${currentFilter === 'custom' ? 'active' : ''}" data-filter="custom">Custom</button>
-            <button class="filter-btn ${currentFilter === 'amateur' ? 'active' : ''}" data-filter="amateur">Amateur</button>
-            <button class="filter-btn ${currentFilter === 'pro' ? 'active' : ''}" data-filter="pro">Pro</button>
+            <button class="filter-btn" data-filter="all">All</button>
+            <button class="filter-btn" data-filter-mode="sim">Full Sim</button>
+            <button class="filter-btn" data-filter-mode="custom">Custom</button>
+            <button class="filter-btn" data-filter-category="amateur">Amateur</button>
+            <button class="filter-btn" data-filter-category="pro">Pro</button>
         `;
         container.appendChild(filters);
 
-        // Filter click handlers
+        const updateFilterButtons = () => {
+            filters.querySelectorAll('.filter-btn').forEach(btn => {
+                const { filterMode, filterCategory } = btn.dataset;
+                const isActive = filterMode
+                    ? currentFilter.mode === filterMode
+                    : filterCategory
+                        ? currentFilter.category === filterCategory
+                        : currentFilter.mode === 'all' && currentFilter.category === 'all';
+                btn.classList.toggle('active', isActive);
+            });
+        };
+        updateFilterButtons();
+
+        // Filter click handlers - tapping an active filter clears it
         filters.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                currentFilter = btn.dataset.filter;
-                filters.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+                const { filterMode, filterCategory } = btn.dataset;
+                if (filterMode) {
+                    currentFilter.mode = currentFilter.mode === filterMode ? 'all' : filterMode;
+                } else if (filterCategory) {
+                    currentFilter.category = currentFilter.category === filterCategory ? 'all' : filterCategory;
+                } else {
+                    currentFilter = { mode: 'all', category: 'all' };
+                }
+                updateFilterButtons();
                 renderFilteredList();
             });
         });
@@ -71,7 +187,27 @@ async function renderHistoryList() {
         listContainer.id = 'history-list';
         container.appendChild(listContainer);
 
-        renderFilteredList();
+        // Loads the next page when scrolled into view
+        const sentinel = document.createElement('div');
+        sentinel.className = 'history-sentinel';
+        container.appendChild(sentinel);
+
+        listObserver?.disconnect();
+        listObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadNextPage();
+            }
+        }, { rootMargin: '200px' });
+        listObserver.observe(sentinel);
+
+        await renderFilteredList();
+
+        // Trash
+        const trashBtn = document.createElement('button');
+        trashBtn.className = 'btn btn-secondary btn-full mt-md';
+        trashBtn.textContent = 'Trash';
+        trashBtn.addEventListener('click', showTrash);
+        container.appendChild(trashBtn);
 
     } catch (error) {
         console.error('Error loading history:', error);
@@ -85,26 +221,58 @@ async function renderHistoryList() {
     }
 }
 
+/**
+ * Get every session matching the active filter, not just the loaded pages
+ * @returns {Promise<Array>} Filtered sessions
+ */
+async function getFilteredSessions() {
+    const { sessions: filtered } = await getWorkoutSessionsPage({ ...getQueryOptions(), limit: Infinity });
+    return filtered;
+}
+
+/**
+ * Get a short name for the active filter (used in file names)
+ * @returns {string} Filter name
+ */
+function getFilterName() {
+    const parts = [currentFilter.category, currentFilter.mode].filter(part => part !== 'all');
+    return parts.length > 0 ? parts.join('-') : 'all';
+}
+
 /**
  * Render filtered list
+ * Shows the first page; later pages load as the list is scrolled
  */
-function renderFilteredList() {
+async function renderFilteredList() {
     const listContainer = document.getElementById('history-list');
     if (!listContainer) return;
 
-    let filtered = sessions;
+    const version = ++listVersion;
+    listContainer.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
 
-    if (currentFilter === 'sim') {
-        filtered = sessions.filter(s => s.mode === 'sim');
-    } else if (currentFilter === 'custom') {
-        filtered = sessions.filter(s => s.mode === 'custom');
-    } else if (currentFilter === 'amateur') {
-        filtered = sessions.filter(s => s.category === 'amateur');
-    } else if (currentFilter === 'pro') {
-        filtered = sessions.filter(s => s.category === 'pro');
+    let page;
+    try {
+        page = await getWorkoutSessionsPage(getQueryOptions());
+    } catch (error) {
+        console.error('Error loading workouts:', error);
+        showToast('Could not load workouts', 'error');
+        if (version === listVersion) {
+            listContainer.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">!</div>
+                    <div class="empty-state-title">Error loading workouts</div>
+                    <div class="empty-state-text">Please try refreshing the app.</div>
+                </div>
+            `;
+        }
+        return;
     }
+    if (version !== listVersion) return;
 
-    if (filtered.length === 0) {
+    sessions = page.sessions;
+    nextCursor = page.nextCursor;
+
+    if (sessions.length === 0) {
         listContainer.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">📋</div>
@@ -115,81 +283,371 @@ function renderFilteredList() {
         return;
     }
 
-    listContainer.innerHTML = filtered.map(session => {
-        const title = session.mode === 'sim'
-            ? `Full Hyrox ${session.category === 'pro' ? 'Pro' : 'Open'}`
-            : 'Custom Workout';
-
-        const exerciseCount = session.blocks?.length || 0;
-
-        return `
-            <div class="history-item" data-session-id="${session.id}">
-                <div class="history-item-header">
-                    <div>
-                        <div class="history-item-title">${title}</div>
-                        <div class="history-item-meta">
-                            <span>${formatDateTime(session.startedAt)}</span>
-                            <span>${exerciseCount} exercises</span>
-                        </div>
+    listContainer.innerHTML = '';
+    appendSessionItems(sessions);
+}
+
+/**
+ * Load and append the next page of sessions
+ */
+async function loadNextPage() {
+    if (!nextCursor || loadingPage) return;
+
+    loadingPage = true;
+    const version = listVersion;
+
+    try {
+        const page = await getWorkoutSessionsPage({ ...getQueryOptions(), cursor: nextCursor });
+        if (version !== listVersion) return;
+
+        sessions.push(...page.sessions);
+        nextCursor = page.nextCursor;
+        appendSessionItems(page.sessions);
+    } catch (error) {
+        console.error('Error loading more workouts:', error);
+        showToast('Could not load more workouts', 'error');
+    } finally {
+        loadingPage = false;
+    }
+}
+
+/**
+ * Append sessions to the list
+ * @param {Array} pageSessions - Sessions to append
+ */
+function appendSessionItems(pageSessions) {
+    const listContainer = document.getElementById('history-list');
+    if (!listContainer) return;
+
+    for (const session of pageSessions) {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = renderSessionItem(session);
+        const item = wrapper.firstElementChild;
+        bindSessionItem(item, session);
+        listContainer.appendChild(item);
+    }
+
+    // Re-observing fires again if the end of the list is still in view
+    const sentinel = container.querySelector('.history-sentinel');
+    if (listObserver && sentinel && nextCursor) {
+        listObserver.unobserve(sentinel);
+        listObserver.observe(sentinel);
+    }
+}
+
+/**
+ * Build the list item for a session
+ * @param {Object} session - Workout session
+ * @returns {string} Item HTML
+ */
+function renderSessionItem(session) {
+    const title = getSessionTitle(session);
+    const exerciseCount = session.blocks?.length || 0;
+
+    return `
+        <div class="history-item" data-session-id="${session.id}">
+            <div class="history-item-header">
+                <div>
+                    <div class="history-item-title">${title}</div>
+                    <div class="history-item-meta">
+                        <span>${formatDateTime(session.startedAt)}</span>
+                        <span>${exerciseCount} exercises</span>
+                        ${profileFilter === 'all' ? `<span>${sanitizeHTML(getProfileName(session.profileId))}</span>` : ''}
+                        ${session.team ? `<span>${sanitizeHTML(session.team.names.join(' & '))}</span>` : ''}
                     </div>
-                    <div class="history-item-time">${formatLongTime(session.totalTimeMs)}</div>
                 </div>
-                <div style="display: flex; align-items: center; justify-content: space-between; margin-top: 8px;">
+                <div class="history-item-time">${formatLongTime(session.totalTimeMs)}</div>
+            </div>
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-top: 8px;">
+                <div style="display: flex; gap: 4px;">
                     <span class="history-item-badge ${session.category}">${session.category}</span>
-                    <div style="display: flex; gap: 8px;">
-                        <button class="btn-icon" data-action="repeat" title="Repeat this workout" style="opacity: 0.7;">
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polyline points="17 1 21 5 17 9"></polyline>
-                                <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
-                                <polyline points="7 23 3 19 7 15"></polyline>
-                                <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
-                            </svg>
-                        </button>
-                        <button class="btn-icon danger" data-action="delete" title="Delete workout" style="opacity: 0.5;">
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polyline points="3 6 5 6 21 6"></polyline>
-                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                            </svg>
-                        </button>
-                    </div>
+                    ${session.team ? `<span class="history-item-badge team">${TEAM_FORMATS[session.team.format].label}</span>` : ''}
+                    ${session.manual ? '<span class="history-item-badge manual">Manual</span>' : ''}
+                    ${session.incomplete ? '<span class="history-item-badge incomplete">DNF</span>' : ''}
+                    ${session.edits?.length ? '<span class="history-item-badge edited">Edited</span>' : ''}
+                </div>
+                <div style="display: flex; gap: 8px;">
+                    <button class="btn-icon" data-action="repeat" title="Repeat this workout" style="opacity: 0.7;">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="17 1 21 5 17 9"></polyline>
+                            <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+                            <polyline points="7 23 3 19 7 15"></polyline>
+                            <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+                        </svg>
+                    </button>
+                    <button class="btn-icon danger" data-action="delete" title="Delete workout" style="opacity: 0.5;">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
                 </div>
             </div>
-        `;
-    }).join('');
+        </div>
+    `;
+}
 
-    // Add click handlers
-    listContainer.querySelectorAll('.history-item').forEach(item => {
-        const sessionId = item.dataset.sessionId;
+/**
+ * Add click handlers to a session list item
+ * @param {HTMLElement} item - List item
+ * @param {Object} session - Workout session
+ */
+function bindSessionItem(item, session) {
+    item.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="delete"]')) return;
+        if (e.target.closest('[data-action="repeat"]')) return;
+        showSessionDetail(session.id);
+    });
 
-        item.addEventListener('click', (e) => {
-            if (e.target.closest('[data-action="delete"]')) return;
-            if (e.target.closest('[data-action="repeat"]')) return;
-            showSessionDetail(sessionId);
-        });
+    item.querySelector('[data-action="repeat"]')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setRepeatWorkout(session);
+        navigate('custom');
+    });
 
-        item.querySelector('[data-action="repeat"]')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const session = sessions.find(s => s.id === sessionId);
-            if (session) {
-                setRepeatWorkout(session);
-                navigate('custom');
-            }
+    item.querySelector('[data-action="delete"]')?.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await deleteSession(session);
+    });
+}
+
+/**
+ * Get the name of a profile
+ * @param {string} profileId - Profile ID
+ * @returns {string} Profile name
+ */
+function getProfileName(profileId) {
+    return profiles.find(p => p.id === profileId)?.name || '';
+}
+
+/**
+ * Get the display title of a session
+ * @param {Object} session - Workout session
+ * @returns {string} Title
+ */
+function getSessionTitle(session) {
+    return session.mode === 'sim'
+        ? `Full Hyrox ${session.category === 'pro' ? 'Pro' : 'Open'}`
+        : 'Custom Workout';
+}
+
+/**
+ * Move a session to the trash, offering undo
+ * @param {Object} session - Session to delete
+ */
+async function deleteSession(session) {
+    await trashWorkoutSession(session.id);
+    // Recalculate PBs from remaining workouts, for the whole team
+    for (const profileId of getSessionProfileIds(session)) {
+        await recalculatePBsAfterDeletion(session.category, getCanonicalExerciseId, profileId);
+    }
+    sessions = sessions.filter(s => s.id !== session.id);
+    document.querySelector(`.history-item[data-session-id="${session.id}"]`)?.remove();
+    if (sessions.length === 0) {
+        await renderFilteredList();
+    }
+
+    showToast('Workout moved to trash', 'success', 5000, {
+        label: 'Undo',
+        onClick: () => restoreSession(session.id)
+    });
+}
+
+/**
+ * Restore a session from the trash and bring its PBs back
+ * @param {string} sessionId - Session ID
+ */
+async function restoreSession(sessionId) {
+    const restored = await restoreWorkoutSession(sessionId);
+    if (!restored) return;
+
+    for (const profileId of getSessionProfileIds(restored)) {
+        await recalculatePBsAfterDeletion(restored.category, getCanonicalExerciseId, profileId);
+    }
+    await renderFilteredList();
+}
+
+/**
+ * Show the trash view
+ */
+async function showTrash() {
+    const trashed = await getTrashedSessions();
+
+    container.innerHTML = `
+        <button class="btn btn-secondary btn-full mb-md" data-action="back">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="15 18 9 12 15 6"></polyline>
+            </svg>
+            Back
+        </button>
+        <div class="section-header">
+            <h2 class="section-title">Trash</h2>
+            ${trashed.length > 0 ? '<button class="btn btn-secondary btn-sm" data-action="empty">Empty Trash</button>' : ''}
+        </div>
+        <p class="trash-note">Deleted workouts are kept for ${TRASH_RETENTION_DAYS} days, then removed for good.</p>
+        ${trashed.length === 0 ? `
+            <div class="empty-state">
+                <div class="empty-state-icon">🗑️</div>
+                <div class="empty-state-title">Trash is empty</div>
+            </div>
+        ` : trashed.map(session => {
+            const daysLeft = Math.max(0, TRASH_RETENTION_DAYS - Math.floor((Date.now() - new Date(session.deletedAt)) / 86400000));
+            return `
+                <div class="history-item" data-session-id="${session.id}">
+                    <div class="history-item-header">
+                        <div>
+                            <div class="history-item-title">${getSessionTitle(session)}</div>
+                            <div class="history-item-meta">
+                                <span>${formatDateTime(session.startedAt)}</span>
+                                <span>Deleted ${getRelativeTime(session.deletedAt)}</span>
+                            </div>
+                        </div>
+                        <div class="history-item-time">${formatLongTime(session.totalTimeMs)}</div>
+                    </div>
+                    <div style="display: flex; align-items: center; justify-content: space-between; margin-top: 8px;">
+                        <span class="trash-note">
+                            ${session.team ? `<span class="history-item-badge team">${TEAM_FORMATS[session.team.format].label}</span>` : ''}
+                            ${session.incomplete ? '<span class="history-item-badge incomplete">DNF</span>' : ''}
+                            ${daysLeft === 1 ? '1 day left' : `${daysLeft} days left`}
+                        </span>
+                        <div style="display: flex; gap: 8px;">
+                            <button class="btn btn-secondary btn-sm" data-action="restore">Restore</button>
+                            <button class="btn-icon danger" data-action="purge" title="Delete forever">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="3 6 5 6 21 6"></polyline>
+                                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                                </svg>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+
+    container.querySelector('[data-action="back"]').addEventListener('click', () => renderHistoryList());
+
+    container.querySelector('[data-action="empty"]')?.addEventListener('click', async () => {
+        if (!await confirmDelete(`all ${trashed.length} workouts in the trash`)) return;
+
+        for (const session of trashed) {
+            await purgeTrashedSession(session.id);
+        }
+        await showTrash();
+    });
+
+    container.querySelectorAll('.history-item').forEach(item => {
+        const session = trashed.find(s => s.id === item.dataset.sessionId);
+        if (!session) return;
+
+        item.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+            await restoreSession(session.id);
+            showToast('Workout restored');
+            await showTrash();
         });
 
-        item.querySelector('[data-action="delete"]')?.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const session = sessions.find(s => s.id === sessionId);
-            if (session && await confirmDelete('this workout')) {
-                await deleteWorkoutSession(sessionId);
-                // Recalculate PBs from remaining workouts
-                await recalculatePBsAfterDeletion(session.category, getCanonicalExerciseId);
-                sessions = sessions.filter(s => s.id !== sessionId);
-                renderFilteredList();
-            }
+        item.querySelector('[data-action="purge"]').addEventListener('click', async () => {
+            if (!await confirmDelete('this workout')) return;
+
+            await purgeTrashedSession(session.id);
+            await showTrash();
         });
     });
 }
 
+/**
+ * Download the per-block splits of the filtered sessions as CSV
+ */
+async function exportSplitsCSV() {
+    const filtered = await getFilteredSessions();
+    if (filtered.length === 0) {
+        showToast('No workouts to export', 'error');
+        return;
+    }
+
+    downloadFile(getSplitsFilename(getFilterName()), createSplitsCSV(filtered), 'text/csv');
+    showToast(`Exported ${filtered.length} workout${filtered.length > 1 ? 's' : ''}`);
+}
+
+/**
+ * Download a JSON backup of all app data
+ */
+async function exportBackup() {
+    try {
+        const backup = await createBackup();
+        downloadFile(getBackupFilename(), JSON.stringify(backup, null, 2));
+        showToast('Backup downloaded');
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        showToast('Could not create backup', 'error');
+    }
+}
+
+/**
+ * Pick a backup file, preview the changes and import it
+ */
+async function restoreBackup() {
+    let backup;
+    let preview;
+    try {
+        const file = await pickTextFile('.json,application/json');
+        if (!file) return;
+        backup = parseBackup(file.text);
+        preview = await previewImport(backup);
+    } catch (error) {
+        await alert('Cannot Restore', sanitizeHTML(error.message));
+        return;
+    }
+
+    const rows = Object.entries(preview).map(([storeName, counts]) => `
+        <div class="comparison-row">
+            <span class="comparison-exercise">${STORE_LABELS[storeName] || storeName}</span>
+            <span class="comparison-time">+${counts.added}</span>
+            <span class="comparison-time">~${counts.updated}</span>
+            <span class="comparison-time">-${counts.removed}</span>
+        </div>
+    `).join('');
+
+    const action = await showModal({
+        title: 'Restore Backup?',
+        body: `
+            <p>Backup from ${formatDateTime(backup.exportedAt)}.</p>
+            <div class="comparison-table mt-md">
+                <div class="comparison-row header">
+                    <span>Data</span>
+                    <span>New</span>
+                    <span>Changed</span>
+                    <span>Removed</span>
+                </div>
+                ${rows}
+            </div>
+            <p class="mt-md">Merge adds new and changed items. Replace also removes the items shown as removed.
+            Personal bests are rebuilt from your workouts either way.</p>
+        `,
+        actions: [
+            { key: 'cancel', label: 'Cancel', className: 'btn-secondary' },
+            { key: 'replace', label: 'Replace', className: 'btn-secondary' },
+            { key: 'merge', label: 'Merge', className: 'btn-primary' }
+        ]
+    });
+
+    if (action !== 'merge' && action !== 'replace') return;
+
+    try {
+        const pbsRebuilt = await importBackup(backup, action);
+        await renderHistoryList();
+
+        if (pbsRebuilt) {
+            showToast('Backup restored');
+        } else {
+            await alert('Personal Bests Not Rebuilt', 'Your workouts were restored, but personal bests could not be rebuilt from them. Restore the same backup again with Merge to rebuild them.');
+        }
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        showToast('Could not restore backup', 'error');
+    }
+}
+
 /**
  * Show session detail view
  */
@@ -250,16 +708,222 @@ async function showSessionDetail(sessionId) {
                     ${formatDateTime(session.startedAt)}
                 </div>
             </div>
-            <span class="history-item-badge ${session.category}">${session.category}</span>
+            <div style="display: flex; gap: 4px;">
+                <span class="history-item-badge ${session.category}">${session.category}</span>
+                ${session.team ? `<span class="history-item-badge team">${TEAM_FORMATS[session.team.format].label}</span>` : ''}
+                ${session.manual ? '<span class="history-item-badge manual">Manual</span>' : ''}
+                ${session.incomplete ? '<span class="history-item-badge incomplete">DNF</span>' : ''}
+                ${session.edits?.length ? '<span class="history-item-badge edited">Edited</span>' : ''}
+            </div>
         </div>
+        ${session.team ? `
+            <div class="split-editor-note">
+                ${TEAM_FORMATS[session.team.format].label}: ${sanitizeHTML(session.team.names.join(' & '))}
+            </div>
+        ` : ''}
+        ${session.manual ? `
+            <div class="split-editor-note">
+                Logged manually${session.excludeFromPBs ? ' · not counted towards PBs' : ''}
+            </div>
+        ` : ''}
+        ${session.incomplete ? `
+            <div class="split-editor-note">
+                Stopped after ${getCompletedBlockCount(session)} of ${session.blocks.length} blocks${session.mode === 'sim' ? ' · not counted towards the Full Sim PB' : ''}
+            </div>
+        ` : ''}
+        ${session.edits?.length ? `
+            <div class="split-editor-note">
+                Splits adjusted ${session.edits.length > 1 ? `${session.edits.length} times, last` : ''}
+                ${formatDateTime(session.edits[session.edits.length - 1].editedAt)}
+                (originally ${formatLongTime(session.edits[0].previousTotalTimeMs)})
+            </div>
+        ` : ''}
+        <button class="btn btn-secondary btn-full mt-md" data-action="edit-splits">Edit Splits</button>
     `;
+    infoCard.querySelector('[data-action="edit-splits"]').addEventListener('click', () => showSplitEditor(session));
     container.appendChild(infoCard);
 
     // Use stored previous PBs from session (for accurate comparison against PBs at time of workout)
     // Fall back to current PBs for older workouts that don't have stored PBs
-    const pbs = session.previousPBs || await getAllPersonalBests(session.category);
+    const pbs = session.previousPBs || await getAllPersonalBests(session.category, session.profileId);
 
     // Results view
     const resultsView = createResultsView(session, pbs);
     container.appendChild(resultsView);
+
+    // Cadence and set breaks of blocks where reps were counted
+    const repCadence = createRepCadence(session);
+    if (repCadence) {
+        container.appendChild(repCadence);
+    }
+
+    // Pause and transition history of timed workouts
+    const timeline = createSessionTimeline(session);
+    if (timeline) {
+        container.appendChild(timeline);
+    }
+}
+
+/**
+ * Show the split editor for a session
+ * Splits can be typed directly or nudged across the boundary between two
+ * blocks, which keeps the total unchanged. Blocks an incomplete workout
+ * never reached stay without a time.
+ * @param {Object} session - Session to edit
+ */
+function showSplitEditor(session) {
+    const times = [...session.blockTimesMs];
+
+    container.innerHTML = `
+        <div class="card">
+            <div class="card-header">
+                <h3 class="card-title">Edit Splits</h3>
+            </div>
+            <div class="split-editor"></div>
+            <div class="split-editor-total">
+                <span>Total</span>
+                <span id="split-editor-total"></span>
+            </div>
+        </div>
+        <div class="template-actions-row mt-md">
+            <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+            <button class="btn btn-primary" data-action="save">Save</button>
+        </div>
+    `;
+
+    const editor = container.querySelector('.split-editor');
+
+    const renderRows = () => {
+        editor.innerHTML = session.blocks.map((block, index) => `
+            <div class="split-editor-row">
+                <label class="split-editor-label" for="split-${index}">${index + 1}. ${sanitizeHTML(block.label)}</label>
+                ${times[index] === null ? `
+                    <input type="text" id="split-${index}" class="form-input" value="" placeholder="Not reached" disabled>
+                ` : `
+                    <input type="text" inputmode="decimal" id="split-${index}" class="form-input split-editor-input"
+                        data-index="${index}" value="${formatTime(times[index])}" autocomplete="off">
+                `}
+            </div>
+            ${index < session.blocks.length - 1 && times[index] !== null && times[index + 1] !== null ? `
+                <div class="split-editor-shift">
+                    <button class="btn-icon" data-shift-index="${index}" data-shift-ms="${SPLIT_SHIFT_MS}" title="Move 1s from the next block into this one">+1s ↑</button>
+                    <button class="btn-icon" data-shift-index="${index}" data-shift-ms="${-SPLIT_SHIFT_MS}" title="Move 1s from this block into the next one">+1s ↓</button>
+                </div>
+            ` : ''}
+        `).join('');
+
+        document.getElementById('split-editor-total').textContent =
+            formatLongTime(getWorkTime(session.blocks, times));
+
+        editor.querySelectorAll('.split-editor-input').forEach(input => {
+            input.addEventListener('change', () => {
+                const ms = parseTime(input.value);
+                const index = parseInt(input.dataset.index, 10);
+                if (ms === null || ms <= 0) {
+                    showToast('Enter a time like 04:32.50', 'error');
+                } else {
+                    times[index] = ms;
+                }
+                renderRows();
+            });
+        });
+
+        editor.querySelectorAll('[data-shift-index]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = parseInt(btn.dataset.shiftIndex, 10);
+                const shiftMs = parseInt(btn.dataset.shiftMs, 10);
+
+                // Never leave a block with no time
+                if (times[index] + shiftMs <= 0 || times[index + 1] - shiftMs <= 0) return;
+
+                times[index] += shiftMs;
+                times[index + 1] -= shiftMs;
+                renderRows();
+            });
+        });
+    };
+
+    renderRows();
+
+    container.querySelector('[data-action="cancel"]').addEventListener('click', () => showSessionDetail(session.id));
+    container.querySelector('[data-action="save"]').addEventListener('click', async () => {
+        if (times.every((t, i) => t === session.blockTimesMs[i])) {
+            await showSessionDetail(session.id);
+            return;
+        }
+
+        try {
+            await saveSplitEdits(session, times);
+            showToast('Splits updated');
+            await showSessionDetail(session.id);
+        } catch (error) {
+            console.error('Error saving splits:', error);
+            showToast('Could not save splits', 'error');
+        }
+    });
+}
+
+/**
+ * Apply a split change to a block's laps
+ * The change lands on the final lap, which ends with the block; laps
+ * that no longer fit are dropped
+ * @param {Array} laps - Lap times in ms
+ * @param {number} changeMs - Change of the block time in ms
+ * @returns {Array} Adjusted laps
+ */
+function adjustLaps(laps, changeMs) {
+    if (laps.length === 0 || changeMs === 0) return laps;
+
+    const finalLap = laps[laps.length - 1] + changeMs;
+    return finalLap > 0 ? [...laps.slice(0, -1), finalLap] : [];
+}
+
+/**
+ * Save edited splits and re-derive personal bests
+ * The previous splits are kept in the session's edit log
+ * @param {Object} session - Session being edited
+ * @param {number[]} blockTimesMs - New block times
+ * @returns {Promise<void>}
+ */
+async function saveSplitEdits(session, blockTimesMs) {
+    const totalTimeMs = getWorkTime(session.blocks, blockTimesMs);
+
+    const updated = {
+        ...session,
+        blockTimesMs,
+        totalTimeMs,
+        restTimeMs: getRestTime(session.blocks, blockTimesMs),
+        // A Roxzone lap cannot be longer than the block it was marked in
+        ...(session.transitionTimesMs && {
+            transitionTimesMs: session.transitionTimesMs.map((t, i) => t === null ? null : Math.min(t, blockTimesMs[i]))
+        }),
+        ...(session.blockLapsMs && {
+            blockLapsMs: session.blockLapsMs.map((laps, i) => adjustLaps(laps, blockTimesMs[i] - session.blockTimesMs[i]))
+        }),
+        // A counted rep cannot come after the end of its block
+        ...(session.repTimesMs && {
+            repTimesMs: session.repTimesMs.map((reps, i) => (blockTimesMs[i] === null ? reps : reps.filter(t => t <= blockTimesMs[i])))
+        }),
+        // Round results no longer match an interval block whose time changed
+        ...(session.intervalResults && {
+            intervalResults: session.intervalResults.map((rounds, i) => (blockTimesMs[i] === session.blockTimesMs[i] ? rounds : null))
+        }),
+        edits: [
+            ...(session.edits || []),
+            {
+                editedAt: new Date().toISOString(),
+                previousBlockTimesMs: session.blockTimesMs,
+                previousTotalTimeMs: session.totalTimeMs,
+                blockTimesMs,
+                totalTimeMs
+            }
+        ]
+    };
+
+    await saveWorkoutSession(updated);
+    for (const profileId of getSessionProfileIds(session)) {
+        await recalculatePBsAfterDeletion(session.category, getCanonicalExerciseId, profileId);
+    }
+
+    sessions = sessions.map(s => s.id === session.id ? updated : s);
 }
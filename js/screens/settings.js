@@ -0,0 +1,366 @@
+/**
+ * Settings Screen
+ * Device preferences such as audio cues, spoken announcements, keeping the screen on, the rep counter
+ * and remote control from headphones and the keyboard
+ */
+
+import { AUDIO_CUES, loadAudioSettings, updateAudioSettings, previewCue } from '../audio.js';
+import {
+    SPEECH_VERBOSITY,
+    CALLOUT_INTERVALS,
+    loadSpeechSettings,
+    updateSpeechSettings,
+    isSpeechSupported,
+    getVoices,
+    speak
+} from '../speech.js';
+import { loadWakeLockSettings, updateWakeLockSettings, isWakeLockSupported } from '../wake-lock.js';
+import { loadRepCounterSettings, updateRepCounterSettings } from '../rep-counter.js';
+import {
+    REMOTE_ACTIONS,
+    loadRemoteControlSettings,
+    updateRemoteControlSettings,
+    isMediaSessionSupported,
+    describeKey
+} from '../remote-control.js';
+import { DEFAULT_REMOTE_CONTROL_SETTINGS } from '../db.js';
+import { sanitizeHTML } from '../utils.js';
+
+let container = null;
+
+/**
+ * Render the settings screen
+ * @returns {HTMLElement} Screen element
+ */
+export function render() {
+    container = document.createElement('div');
+    container.className = 'screen settings-screen';
+
+    return container;
+}
+
+/**
+ * Called after render
+ */
+export async function onMount() {
+    container.innerHTML = `
+        <div class="section-header">
+            <h2 class="section-title">Settings</h2>
+        </div>
+    `;
+
+    container.appendChild(await renderAudioSettings());
+    container.appendChild(await renderSpeechSettings());
+    container.appendChild(await renderScreenSettings());
+    container.appendChild(await renderRepCounterSettings());
+    container.appendChild(await renderRemoteControlSettings());
+}
+
+/**
+ * Render the audio cue settings
+ * @returns {Promise<HTMLElement>} Settings card
+ */
+async function renderAudioSettings() {
+    const settings = await loadAudioSettings();
+
+    const card = document.createElement('div');
+    card.className = 'card settings-section';
+    card.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Audio Cues</h3>
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="audio-volume">Volume</label>
+            <input type="range" id="audio-volume" class="settings-range" min="0" max="100" step="5"
+                value="${Math.round(settings.volume * 100)}">
+        </div>
+        <div class="settings-list">
+            ${Object.entries(AUDIO_CUES).map(([name, cue]) => `
+                <div class="settings-option">
+                    <label>
+                        <input type="checkbox" data-cue="${name}" ${settings.cues[name] ? 'checked' : ''}>
+                        ${cue.label}
+                    </label>
+                    <button class="btn btn-secondary btn-sm" data-test="${name}" aria-label="Play ${cue.label} cue">Test</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    card.querySelector('#audio-volume').addEventListener('change', async (e) => {
+        settings.volume = parseInt(e.target.value, 10) / 100;
+        await updateAudioSettings(settings);
+        previewCue('next');
+    });
+
+    card.querySelectorAll('[data-cue]').forEach(input => {
+        input.addEventListener('change', async () => {
+            settings.cues[input.dataset.cue] = input.checked;
+            await updateAudioSettings(settings);
+        });
+    });
+
+    card.querySelectorAll('[data-test]').forEach(button => {
+        button.addEventListener('click', () => previewCue(button.dataset.test));
+    });
+
+    return card;
+}
+
+/**
+ * Render the spoken announcement settings
+ * @returns {Promise<HTMLElement>} Settings card
+ */
+async function renderSpeechSettings() {
+    const card = document.createElement('div');
+    card.className = 'card settings-section';
+
+    if (!isSpeechSupported()) {
+        card.innerHTML = `
+            <div class="card-header">
+                <h3 class="card-title">Spoken Announcements</h3>
+            </div>
+            <div class="empty-state-text">This browser cannot speak announcements.</div>
+        `;
+        return card;
+    }
+
+    const settings = await loadSpeechSettings();
+    const voices = await getVoices();
+
+    card.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Spoken Announcements</h3>
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="speech-verbosity">Announce</label>
+            <select id="speech-verbosity" class="form-select">
+                ${Object.entries(SPEECH_VERBOSITY).map(([value, label]) => `
+                    <option value="${value}" ${settings.verbosity === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="speech-callouts">Elapsed time callouts</label>
+            <select id="speech-callouts" class="form-select">
+                ${Object.entries(CALLOUT_INTERVALS).map(([value, label]) => `
+                    <option value="${value}" ${settings.calloutSeconds === Number(value) ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="speech-voice">Voice</label>
+            <select id="speech-voice" class="form-select">
+                <option value="">Default</option>
+                ${voices.map(voice => `
+                    <option value="${sanitizeHTML(voice.voiceURI).replace(/"/g, '&quot;')}" ${settings.voiceURI === voice.voiceURI ? 'selected' : ''}>
+                        ${sanitizeHTML(voice.name)} (${sanitizeHTML(voice.lang)})
+                    </option>
+                `).join('')}
+            </select>
+        </div>
+        <button class="btn btn-secondary btn-full" data-action="test-speech">Test</button>
+    `;
+
+    card.querySelector('#speech-verbosity').addEventListener('change', async (e) => {
+        settings.verbosity = e.target.value;
+        await updateSpeechSettings(settings);
+    });
+
+    card.querySelector('#speech-callouts').addEventListener('change', async (e) => {
+        settings.calloutSeconds = Number(e.target.value);
+        await updateSpeechSettings(settings);
+    });
+
+    card.querySelector('#speech-voice').addEventListener('change', async (e) => {
+        settings.voiceURI = e.target.value || null;
+        await updateSpeechSettings(settings);
+    });
+
+    card.querySelector('[data-action="test-speech"]').addEventListener('click', () => {
+        speak('Next: Sled Pull, 103kg, 50m', true);
+    });
+
+    return card;
+}
+
+/**
+ * Render the screen settings
+ * @returns {Promise<HTMLElement>} Settings card
+ */
+async function renderScreenSettings() {
+    const card = document.createElement('div');
+    card.className = 'card settings-section';
+
+    if (!isWakeLockSupported()) {
+        card.innerHTML = `
+            <div class="card-header">
+                <h3 class="card-title">Screen</h3>
+            </div>
+            <div class="empty-state-text">This browser cannot keep the screen on. Set a longer auto-lock time in your phone's settings so it does not lock mid-workout.</div>
+        `;
+        return card;
+    }
+
+    const settings = await loadWakeLockSettings();
+
+    card.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Screen</h3>
+        </div>
+        <div class="settings-list">
+            <div class="settings-option">
+                <label>
+                    <input type="checkbox" id="wake-lock-enabled" ${settings.enabled ? 'checked' : ''}>
+                    Keep the screen on while timing
+                </label>
+            </div>
+        </div>
+    `;
+
+    card.querySelector('#wake-lock-enabled').addEventListener('change', async (e) => {
+        settings.enabled = e.target.checked;
+        await updateWakeLockSettings(settings);
+    });
+
+    return card;
+}
+
+/**
+ * Render the rep counter settings
+ * @returns {Promise<HTMLElement>} Settings card
+ */
+async function renderRepCounterSettings() {
+    const settings = await loadRepCounterSettings();
+
+    const card = document.createElement('div');
+    card.className = 'card settings-section';
+    card.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Rep Counter</h3>
+        </div>
+        <div class="settings-list">
+            <div class="settings-option">
+                <label>
+                    <input type="checkbox" id="rep-auto-advance" ${settings.autoAdvance ? 'checked' : ''}>
+                    Move to the next block at the target rep count
+                </label>
+            </div>
+        </div>
+    `;
+
+    card.querySelector('#rep-auto-advance').addEventListener('change', async (e) => {
+        settings.autoAdvance = e.target.checked;
+        await updateRepCounterSettings(settings);
+    });
+
+    return card;
+}
+
+/**
+ * Render the remote control settings
+ * @returns {Promise<HTMLElement>} Settings card
+ */
+async function renderRemoteControlSettings() {
+    const settings = await loadRemoteControlSettings();
+
+    const card = document.createElement('div');
+    card.className = 'card settings-section';
+    card.innerHTML = `
+        <div class="card-header">
+            <h3 class="card-title">Remote Control</h3>
+        </div>
+        ${isMediaSessionSupported() ? `
+            <div class="settings-list">
+                <div class="settings-option">
+                    <label>
+                        <input type="checkbox" id="remote-media-keys" ${settings.mediaKeys ? 'checked' : ''}>
+                        Headphone and lock screen buttons
+                    </label>
+                </div>
+            </div>
+            <p class="settings-hint">Play/pause pauses and resumes, next track moves on or finishes. Other music stops while you are timing.</p>
+        ` : `
+            <div class="empty-state-text">This browser cannot be controlled from headphones or the lock screen.</div>
+        `}
+        <div class="form-label">Keyboard shortcuts</div>
+        <div class="settings-list">
+            ${Object.entries(REMOTE_ACTIONS).map(([name, action]) => `
+                <div class="settings-option">
+                    <span>${action.label}</span>
+                    <button class="btn btn-secondary btn-sm settings-key" data-key="${name}" aria-label="Change key for ${action.label}"></button>
+                </div>
+            `).join('')}
+        </div>
+        <button class="btn btn-secondary btn-full settings-key-reset" data-action="reset-keys">Reset Keys</button>
+    `;
+
+    const showKeys = () => {
+        card.querySelectorAll('[data-key]').forEach(button => {
+            button.textContent = describeKey(settings.keys[button.dataset.key]);
+        });
+    };
+    showKeys();
+
+    card.querySelector('#remote-media-keys')?.addEventListener('change', async (e) => {
+        settings.mediaKeys = e.target.checked;
+        await updateRemoteControlSettings(settings);
+    });
+
+    card.querySelectorAll('[data-key]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const name = button.dataset.key;
+            button.textContent = 'Press a key…';
+
+            const code = await waitForKey(button);
+            if (code) {
+                // A key can only do one thing, so the action that had it swaps keys
+                const taken = Object.keys(settings.keys).find(other => other !== name && settings.keys[other] === code);
+                if (taken) {
+                    settings.keys[taken] = settings.keys[name];
+                }
+                settings.keys[name] = code;
+                await updateRemoteControlSettings(settings);
+            }
+
+            showKeys();
+        });
+    });
+
+    card.querySelector('[data-action="reset-keys"]').addEventListener('click', async () => {
+        settings.keys = { ...DEFAULT_REMOTE_CONTROL_SETTINGS.keys };
+        await updateRemoteControlSettings(settings);
+        showKeys();
+    });
+
+    return card;
+}
+
+/**
+ * Wait for the next key press to use as a shortcut
+ * Modifier keys on their own are skipped
+ * @param {HTMLElement} button - Button waiting for the key; leaving it cancels
+ * @returns {Promise<string|null>} KeyboardEvent.code, or null if cancelled with Escape
+ */
+function waitForKey(button) {
+    return new Promise(resolve => {
+        const finish = (code) => {
+            document.removeEventListener('keydown', handleKey, true);
+            button.removeEventListener('blur', handleBlur);
+            resolve(code);
+        };
+
+        const handleKey = (e) => {
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            finish(e.code === 'Escape' ? null : e.code);
+        };
+
+        const handleBlur = () => finish(null);
+
+        document.addEventListener('keydown', handleKey, true);
+        button.addEventListener('blur', handleBlur);
+    });
+}
@@ -0,0 +1,195 @@
+/**
+ * Spoken Announcements
+ * Speech synthesis for the next block, completed splits against PBs and
+ * periodic elapsed-time callouts
+ */
+
+import { getSpeechSettings, saveSpeechSettings } from './db.js';
+import { getBlockDetails } from './exercises.js';
+
+// What gets announced at each verbosity level
+export const SPEECH_VERBOSITY = {
+    off: 'Off',
+    brief: 'Next block only',
+    full: 'Next block, split and PB'
+};
+
+// Elapsed-time callout choices in seconds (0 = off)
+export const CALLOUT_INTERVALS = {
+    0: 'Off',
+    60: 'Every minute',
+    120: 'Every 2 minutes',
+    300: 'Every 5 minutes'
+};
+
+let settings = null;
+
+// Number of callouts already made in the current block
+let calloutsMade = 0;
+
+/**
+ * Load the stored speech settings
+ * @returns {Promise<Object>} Speech settings
+ */
+export async function loadSpeechSettings() {
+    settings = await getSpeechSettings();
+    return settings;
+}
+
+/**
+ * Store new speech settings and use them from now on
+ * @param {Object} newSettings - { verbosity, voiceURI, calloutSeconds }
+ * @returns {Promise<void>}
+ */
+export async function updateSpeechSettings(newSettings) {
+    settings = newSettings;
+    await saveSpeechSettings(newSettings);
+}
+
+/**
+ * Check whether the browser can speak
+ * @returns {boolean} True if speech synthesis is available
+ */
+export function isSpeechSupported() {
+    return 'speechSynthesis' in window;
+}
+
+/**
+ * Get the voices the browser offers
+ * Some browsers load voices asynchronously, so this waits for them briefly
+ * @returns {Promise<SpeechSynthesisVoice[]>} Available voices
+ */
+export function getVoices() {
+    if (!isSpeechSupported()) return Promise.resolve([]);
+
+    const voices = window.speechSynthesis.getVoices();
+    if (voices.length > 0) return Promise.resolve(voices);
+
+    return new Promise(resolve => {
+        const done = () => resolve(window.speechSynthesis.getVoices());
+        window.speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+        setTimeout(done, 1000);
+    });
+}
+
+/**
+ * Speak text with the chosen voice
+ * @param {string} text - Text to speak
+ * @param {boolean} interrupt - Cancel anything still being spoken first
+ */
+export function speak(text, interrupt = false) {
+    if (!isSpeechSupported() || !text) return;
+
+    if (interrupt) {
+        window.speechSynthesis.cancel();
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = settings?.voiceURI
+        ? window.speechSynthesis.getVoices().find(v => v.voiceURI === settings.voiceURI)
+        : null;
+    if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+    }
+
+    window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Format a time the way it should be spoken
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} e.g. '4 minutes 32 seconds'
+ */
+export function formatSpokenTime(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    const parts = [];
+    if (hours) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+    if (minutes) parts.push(`${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`);
+    if (seconds || parts.length === 0) parts.push(`${seconds} ${seconds === 1 ? 'second' : 'seconds'}`);
+
+    return parts.join(' ');
+}
+
+/**
+ * Describe a block for speech
+ * @param {Object} block - Workout block
+ * @returns {string} e.g. 'Sled Pull, 103kg, 50m'
+ */
+function describeBlock(block) {
+    const details = getBlockDetails(block);
+    return details ? `${block.label}, ${details.split(' • ').join(', ')}` : block.label;
+}
+
+/**
+ * Announce the first block when a workout starts
+ * @param {Object} block - First block
+ */
+export function announceStart(block) {
+    if (!settings || settings.verbosity === 'off') return;
+
+    resetCallouts();
+    speak(`First: ${describeBlock(block)}`, true);
+}
+
+/**
+ * Announce a completed block and the one that follows
+ * @param {Object} details - Block details
+ * @param {number} details.timeMs - Split just completed
+ * @param {number|null} details.pbTime - PB for the completed block, if any
+ * @param {Object|null} details.nextBlock - Upcoming block, or null after the last block
+ */
+export function announceBlockComplete({ timeMs, pbTime = null, nextBlock = null }) {
+    if (!settings || settings.verbosity === 'off') return;
+
+    resetCallouts();
+
+    const parts = [];
+
+    if (settings.verbosity === 'full') {
+        parts.push(`Split ${formatSpokenTime(timeMs)}.`);
+
+        if (pbTime) {
+            const diffMs = Math.abs(timeMs - pbTime);
+            if (timeMs < pbTime) {
+                parts.push(diffMs >= 1000 ? `New PB, ${formatSpokenTime(diffMs)} faster.` : 'New PB.');
+            } else if (diffMs < 1000) {
+                parts.push('Level with your PB.');
+            } else {
+                parts.push(`${formatSpokenTime(diffMs)} slower than your PB.`);
+            }
+        }
+    }
+
+    if (nextBlock) {
+        parts.push(`Next: ${describeBlock(nextBlock)}`);
+    }
+
+    speak(parts.join(' '), true);
+}
+
+/**
+ * Call out the elapsed time of the current block at the chosen interval
+ * Call on every tick; only speaks when an interval boundary is crossed
+ * @param {number} elapsedMs - Elapsed time of the current block
+ */
+export function announceElapsed(elapsedMs) {
+    if (!settings || !settings.calloutSeconds) return;
+
+    const due = Math.floor(elapsedMs / (settings.calloutSeconds * 1000));
+    if (due > calloutsMade) {
+        calloutsMade = due;
+        speak(formatSpokenTime(due * settings.calloutSeconds * 1000));
+    }
+}
+
+/**
+ * Start counting callouts from the beginning of a block
+ */
+export function resetCallouts() {
+    calloutsMade = 0;
+}
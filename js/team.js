@@ -0,0 +1,184 @@
+/**
+ * Partner Mode
+ * Doubles and Relay workouts recorded on one phone for a team of athletes.
+ * In Doubles the partners run together and split each station into
+ * alternating work bouts, marked with Switch (a block lap). In Relay each
+ * block is done by one team member. Work totals and PBs are worked out per
+ * athlete on top of the team total.
+ */
+
+import { isRestBlock } from './rest.js';
+
+// Team formats, with the PB ID of the team total of a full sim
+export const TEAM_FORMATS = {
+    doubles: { label: 'Doubles', minAthletes: 2, maxAthletes: 2, totalPBId: 'doubles_total' },
+    relay: { label: 'Relay', minAthletes: 2, maxAthletes: 4, totalPBId: 'relay_total' }
+};
+
+/**
+ * Check whether the whole team does a block together
+ * Rest is shared in both formats; in Doubles the runs are too
+ * @param {string} format - 'doubles' or 'relay'
+ * @param {Object} block - Workout block
+ * @returns {boolean} True if no single athlete is assigned the block
+ */
+export function isTogetherBlock(format, block) {
+    return isRestBlock(block) || (format === 'doubles' && block.type === 'run');
+}
+
+/**
+ * Assign the blocks of a workout to the team
+ * Doubles: partners take turns starting the stations. Relay: the blocks
+ * are shared out in equal runs, so in a full sim four athletes each do two
+ * runs and two stations, as in a Hyrox relay.
+ * @param {string} format - 'doubles' or 'relay'
+ * @param {Array} blocks - Workout blocks
+ * @param {number} athleteCount - Number of athletes
+ * @returns {Array} Athlete index for each block (the starting partner in Doubles), null if together
+ */
+export function getDefaultBlockAthletes(format, blocks, athleteCount) {
+    const workCount = blocks.filter(block => !isTogetherBlock(format, block)).length;
+    let workIndex = 0;
+
+    return blocks.map(block => {
+        if (isTogetherBlock(format, block)) return null;
+
+        const athlete = format === 'doubles'
+            ? workIndex % athleteCount
+            : Math.floor(workIndex * athleteCount / workCount);
+        workIndex++;
+        return athlete;
+    });
+}
+
+/**
+ * Create the team of a workout
+ * @param {string} format - 'doubles' or 'relay'
+ * @param {Array} athletes - Profiles in team order ({ id, name })
+ * @param {Array} blocks - Workout blocks
+ * @returns {Object} { format, profileIds, names, blockAthletes }
+ */
+export function createTeam(format, athletes, blocks) {
+    return {
+        format,
+        profileIds: athletes.map(athlete => athlete.id),
+        // Kept with the session so it still reads right after a rename or delete
+        names: athletes.map(athlete => athlete.name),
+        blockAthletes: getDefaultBlockAthletes(format, blocks, athletes.length)
+    };
+}
+
+/**
+ * Get every athlete a session counts for
+ * @param {Object} session - Workout session
+ * @returns {Array} Profile IDs: the athlete who recorded it, then the team
+ */
+export function getSessionProfileIds(session) {
+    return [...new Set([session.profileId, ...(session.team?.profileIds || [])])];
+}
+
+/**
+ * Get the athlete whose station PB a team block counts towards
+ * Relay blocks count for the member who did them. Doubles stations are
+ * shared, so they count for no one: a partner's bouts are only part of the
+ * station and would not compare with a station done alone
+ * @param {Object} team - Session team
+ * @param {number} blockIndex - Block index
+ * @returns {string|null} Profile ID, or null if the block sets no station PB
+ */
+export function getPBProfileId(team, blockIndex) {
+    const athlete = team.blockAthletes[blockIndex];
+    if (team.format !== 'relay' || athlete === null || athlete === undefined) return null;
+
+    return team.profileIds[athlete];
+}
+
+/**
+ * Get the PB ID of a session's total
+ * @param {Object} session - Workout session
+ * @returns {string} 'full_sim_total', or the team total of the session's format
+ */
+export function getTotalPBId(session) {
+    return session.team ? TEAM_FORMATS[session.team.format].totalPBId : 'full_sim_total';
+}
+
+/**
+ * Get the athlete of each work bout of a block
+ * @param {Object} team - Session team
+ * @param {number} blockIndex - Block index
+ * @param {number} boutCount - Number of bouts
+ * @returns {Array} Athlete index of each bout, null if together
+ */
+export function getBoutAthletes(team, blockIndex, boutCount) {
+    const first = team.blockAthletes[blockIndex] ?? null;
+
+    return Array.from({ length: boutCount }, (_, bout) => {
+        if (first === null || team.format !== 'doubles') return first;
+        return (first + bout) % team.profileIds.length;
+    });
+}
+
+/**
+ * Get the athlete working now
+ * @param {Object} team - Session team
+ * @param {number} blockIndex - Current block
+ * @param {number} switchCount - Switches marked in the block so far
+ * @returns {number|null} Athlete index, or null if the team is together
+ */
+export function getWorkingAthlete(team, blockIndex, switchCount) {
+    return getBoutAthletes(team, blockIndex, switchCount + 1)[switchCount];
+}
+
+/**
+ * Split a block's time into work bouts
+ * In Doubles the Roxzone lap is shared and the rest of the block is split
+ * at each Switch; a station with no Switch is one bout
+ * @param {Object} session - Workout session with a team
+ * @param {number} blockIndex - Block index
+ * @returns {Array} { athlete, timeMs } for each bout, athlete null if together
+ */
+export function getBlockBouts(session, blockIndex) {
+    const { team, blockTimesMs } = session;
+    const time = blockTimesMs[blockIndex];
+    if (!time) return [];
+
+    const first = team.blockAthletes[blockIndex] ?? null;
+    if (first === null || team.format !== 'doubles') {
+        return [{ athlete: first, timeMs: time }];
+    }
+
+    const transition = session.transitionTimesMs?.[blockIndex] || 0;
+    const laps = session.blockLapsMs?.[blockIndex] || [];
+    const times = laps.length > 0 ? laps : [time - transition];
+    const athletes = getBoutAthletes(team, blockIndex, times.length);
+
+    return [
+        ...(transition > 0 ? [{ athlete: null, timeMs: transition }] : []),
+        ...times.map((timeMs, bout) => ({ athlete: athletes[bout], timeMs }))
+    ];
+}
+
+/**
+ * Add up the work of each athlete
+ * Rest blocks are left out, as they are of the team's work total
+ * @param {Object} session - Workout session with a team
+ * @returns {Object} { workMs: time per athlete index, togetherMs }
+ */
+export function getAthleteWorkTotals(session) {
+    const workMs = session.team.profileIds.map(() => 0);
+    let togetherMs = 0;
+
+    session.blocks.forEach((block, index) => {
+        if (isRestBlock(block)) return;
+
+        for (const bout of getBlockBouts(session, index)) {
+            if (bout.athlete === null) {
+                togetherMs += bout.timeMs;
+            } else {
+                workMs[bout.athlete] += bout.timeMs;
+            }
+        }
+    });
+
+    return { workMs, togetherMs };
+}
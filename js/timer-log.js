@@ -0,0 +1,159 @@
+/**
+ * Timer Event Log
+ * An append-only record of what happened while a workout was timed. Each
+ * event is { type, at } with a wall-clock timestamp in ms; 'next' events
+ * from an interval or rest countdown ending by itself also have auto: true.
+ * Block times and paused time are derived from the log.
+ */
+
+import { isRestBlock } from './rest.js';
+
+// Event types, in the words used on the timeline
+export const TIMER_EVENT_TYPES = {
+    start: 'Start',
+    pause: 'Pause',
+    resume: 'Resume',
+    next: 'Next',
+    undo: 'Undo Next',
+    finish: 'Finish',
+    stop: 'Stopped'
+};
+
+/**
+ * Create a timer event
+ * @param {string} type - Event type (key of TIMER_EVENT_TYPES)
+ * @param {number} at - Wall-clock time in ms
+ * @param {Object} extra - Extra fields (e.g. { auto: true })
+ * @returns {Object} Event
+ */
+export function createTimerEvent(type, at, extra = {}) {
+    return { type, at, ...extra };
+}
+
+/**
+ * Replay a log
+ * @param {Array} events - Timer events, oldest first
+ * @param {number} blockCount - Number of blocks in the workout
+ * @param {Function} onEvent - Called after each event with (event, replay state)
+ * @returns {Object} { blockTimesMs, blockIndex, pausedMs }
+ */
+function replay(events, blockCount, onEvent = null) {
+    const blockTimesMs = new Array(blockCount).fill(null);
+    let blockIndex = 0;
+    let accumulatedMs = 0;
+    let runningSince = null;
+    let pausedAt = null;
+    let pausedMs = 0;
+
+    // Fold the running time up to an event into the current block
+    const settle = (at) => {
+        if (runningSince !== null) {
+            accumulatedMs += at - runningSince;
+            runningSince = at;
+        }
+    };
+
+    for (const event of events) {
+        settle(event.at);
+
+        switch (event.type) {
+            case 'start':
+                runningSince = event.at;
+                break;
+            case 'pause':
+                runningSince = null;
+                pausedAt = event.at;
+                break;
+            case 'resume':
+                runningSince = event.at;
+                if (pausedAt !== null) {
+                    pausedMs += event.at - pausedAt;
+                    pausedAt = null;
+                }
+                break;
+            case 'next':
+                blockTimesMs[blockIndex] = accumulatedMs;
+                blockIndex++;
+                accumulatedMs = 0;
+                break;
+            case 'undo':
+                // The time since Next goes back into the reopened block
+                blockIndex--;
+                accumulatedMs += blockTimesMs[blockIndex];
+                blockTimesMs[blockIndex] = null;
+                break;
+            case 'finish':
+                blockTimesMs[blockIndex] = accumulatedMs;
+                runningSince = null;
+                break;
+            case 'stop':
+                // Ended early: the current block gets no time
+                runningSince = null;
+                break;
+        }
+
+        if (onEvent) {
+            onEvent(event, { blockIndex, accumulatedMs, blockTimesMs });
+        }
+    }
+
+    return { blockTimesMs, blockIndex, pausedMs };
+}
+
+/**
+ * Work out each block's time from a log
+ * @param {Array} events - Timer events, oldest first
+ * @param {number} blockCount - Number of blocks in the workout
+ * @returns {Array} Block times in ms (null for blocks not finished)
+ */
+export function deriveBlockTimes(events, blockCount) {
+    return replay(events, blockCount).blockTimesMs;
+}
+
+/**
+ * Work out how long the workout was paused
+ * @param {Array} events - Timer events, oldest first
+ * @returns {number} Paused time in ms
+ */
+export function getPausedTime(events) {
+    return replay(events, 0).pausedMs;
+}
+
+/**
+ * Build a timeline of a workout from its log
+ * @param {Array} events - Timer events, oldest first
+ * @param {Array} blocks - Workout blocks
+ * @returns {Array} Entries { type, label, offsetMs (since the start), blockLabel, pausedMs (resume only) }
+ */
+export function getTimeline(events, blocks) {
+    if (events.length === 0) return [];
+
+    const startAt = events[0].at;
+    const timeline = [];
+    let pausedAt = null;
+
+    replay(events, blocks.length, (event, state) => {
+        // Countdown blocks that ran out move on without a tap
+        const countdownLabel = isRestBlock(blocks[state.blockIndex - 1]) ? 'Rest ended' : 'Interval ended';
+
+        const entry = {
+            type: event.type,
+            label: event.auto ? countdownLabel : (TIMER_EVENT_TYPES[event.type] || event.type),
+            offsetMs: event.at - startAt,
+            // The block running after the event (or the one just finished)
+            blockLabel: blocks[Math.min(state.blockIndex, blocks.length - 1)]?.label || '',
+            pausedMs: null
+        };
+
+        if (event.type === 'pause') {
+            pausedAt = event.at;
+        } else if (event.type === 'resume' && pausedAt !== null) {
+            entry.pausedMs = event.at - pausedAt;
+            pausedAt = null;
+        }
+
+        timeline.push(entry);
+    });
+
+    return timeline;
+}
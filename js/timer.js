@@ -6,6 +6,10 @@
 
 import { saveTimerState, getTimerState, clearTimerState } from './db.js';
 import { debounce } from './utils.js';
+import { getIntervalDuration, getIntervalPhase } from './intervals.js';
+import { acquireWakeLock, releaseWakeLock } from './wake-lock.js';
+import { createTimerEvent, deriveBlockTimes } from './timer-log.js';
+import { isRestBlock, getWorkTime } from './rest.js';
 
 // Timer state
 let timerState = {
@@ -15,6 +19,12 @@ let timerState = {
     blocks: [],
     currentBlockIndex: 0,
     blockTimesMs: [],
+    transitionTimesMs: [],
+    blockLapsMs: [],
+    roundDoneMs: [],
+    repTimesMs: [],
+    lastTransition: null,
+    events: [],
     isRunning: false,
     isPaused: false,
     startTimestamp: null,
@@ -31,6 +41,9 @@ let onWorkoutCompleteCallback = null;
 // Animation frame ID
 let animationFrameId = null;
 
+// How long a Next tap can be undone
+const UNDO_WINDOW_MS = 10000;
+
 // Save state debounced (every 500ms while running)
 const saveStateDebounced = debounce(async () => {
     if (timerState.isRunning || timerState.isPaused) {
@@ -54,6 +67,12 @@ export function initTimer(config) {
         blocks: config.blocks,
         currentBlockIndex: 0,
         blockTimesMs: new Array(config.blocks.length).fill(null),
+        transitionTimesMs: new Array(config.blocks.length).fill(null),
+        blockLapsMs: config.blocks.map(() => []),
+        roundDoneMs: config.blocks.map(block => (block.interval ? new Array(block.interval.rounds).fill(null) : null)),
+        repTimesMs: config.blocks.map(() => []),
+        lastTransition: null,
+        events: [],
         isRunning: false,
         isPaused: false,
         startTimestamp: null,
@@ -65,6 +84,7 @@ export function initTimer(config) {
 
 /**
  * Restore timer from saved state
+ * Set the callbacks first, as a running workout starts ticking straight away
  * @returns {Promise<Object|null>} Restored state or null
  */
 export async function restoreTimer() {
@@ -72,6 +92,35 @@ export async function restoreTimer() {
 
     if (savedState && savedState.workoutId) {
         timerState = { ...savedState };
+
+        // States saved by older versions have no transition laps, block laps, rounds or reps
+        if (!Array.isArray(timerState.transitionTimesMs)) {
+            timerState.transitionTimesMs = new Array(timerState.blocks.length).fill(null);
+        }
+        if (!Array.isArray(timerState.blockLapsMs)) {
+            timerState.blockLapsMs = timerState.blocks.map(() => []);
+        }
+        if (!Array.isArray(timerState.roundDoneMs)) {
+            timerState.roundDoneMs = timerState.blocks.map(() => null);
+        }
+        if (!Array.isArray(timerState.repTimesMs)) {
+            timerState.repTimesMs = timerState.blocks.map(() => []);
+        }
+        if (timerState.lastTransition === undefined) {
+            timerState.lastTransition = null;
+        }
+
+        // Without the start of the log the rest cannot be replayed
+        if (!Array.isArray(timerState.events)) {
+            timerState.events = null;
+        }
+
+        // A workout that was running when the app closed carries on
+        if (timerState.isRunning) {
+            acquireWakeLock();
+            tick();
+        }
+
         return timerState;
     }
 
@@ -94,15 +143,20 @@ export function startTimer() {
         // Resuming from pause
         timerState.startTimestamp = now;
         timerState.isPaused = false;
+        logEvent('resume', now);
     } else {
         // Fresh start
         timerState.startTimestamp = now;
         timerState.accumulatedMs = 0;
+        logEvent('start', now);
     }
 
     timerState.isRunning = true;
     timerState.pausedAt = null;
 
+    // Keep the screen on while timing
+    acquireWakeLock();
+
     // Start the tick loop
     tick();
 
@@ -122,6 +176,7 @@ export function pauseTimer() {
     timerState.isPaused = true;
     timerState.pausedAt = now;
     timerState.isRunning = false;
+    logEvent('pause', now);
 
     // Cancel animation frame
     if (animationFrameId) {
@@ -129,6 +184,8 @@ export function pauseTimer() {
         animationFrameId = null;
     }
 
+    releaseWakeLock();
+
     // Save state immediately
     saveTimerState(timerState);
 }
@@ -154,6 +211,8 @@ export async function stopTimer(discard = false) {
         animationFrameId = null;
     }
 
+    releaseWakeLock();
+
     if (discard) {
         await clearTimerState();
         resetTimerState();
@@ -162,9 +221,10 @@ export async function stopTimer(discard = false) {
 
 /**
  * Get current elapsed time for current block
+ * @param {number} now - Time to measure up to (defaults to now)
  * @returns {number} Elapsed time in ms
  */
-export function getCurrentElapsed() {
+export function getCurrentElapsed(now = Date.now()) {
     if (!timerState.isRunning && !timerState.isPaused) {
         return 0;
     }
@@ -173,7 +233,6 @@ export function getCurrentElapsed() {
         return timerState.accumulatedMs;
     }
 
-    const now = Date.now();
     return timerState.accumulatedMs + (now - timerState.startTimestamp);
 }
 
@@ -194,16 +253,262 @@ export function getTotalElapsed() {
     return completedTime + getCurrentElapsed();
 }
 
+/**
+ * Mark the end of the Roxzone transition in the current block
+ * The time from the start of the block up to now is stored as the
+ * block's transition time; the block itself keeps running.
+ * @returns {number|null} Transition time in ms, or null if already marked, laps were taken or the block is an interval block
+ */
+export function markTransition() {
+    if (!isActive()) return null;
+
+    const index = timerState.currentBlockIndex;
+    if (getCurrentInterval() || isRestBlock(timerState.blocks[index])) return null;
+    if (timerState.transitionTimesMs[index] !== null || timerState.blockLapsMs[index].length > 0) return null;
+
+    const transitionTime = getCurrentElapsed();
+    timerState.transitionTimesMs[index] = transitionTime;
+    timerState.lastTransition = null;
+
+    saveTimerState(timerState);
+
+    return transitionTime;
+}
+
+/**
+ * Get where the next lap of the current block starts
+ * Laps start after the Roxzone transition when one was marked
+ * @returns {number} Block elapsed time in ms
+ */
+function getLapOrigin() {
+    const index = timerState.currentBlockIndex;
+    const lapsTotal = timerState.blockLapsMs[index].reduce((sum, t) => sum + t, 0);
+    return (timerState.transitionTimesMs[index] || 0) + lapsTotal;
+}
+
+/**
+ * Mark a lap within the current block
+ * When the block ends the remaining time becomes its final lap, so the
+ * laps of a block add up to its time after the Roxzone transition.
+ * Interval blocks have rounds instead of laps, and rest blocks have none.
+ * @returns {number|null} Lap time in ms, or null if no lap could be marked
+ */
+export function markLap() {
+    if (!isActive() || getCurrentInterval()) return null;
+    if (isRestBlock(timerState.blocks[timerState.currentBlockIndex])) return null;
+
+    const lapTime = getCurrentElapsed() - getLapOrigin();
+    if (lapTime <= 0) return null;
+
+    timerState.blockLapsMs[timerState.currentBlockIndex].push(lapTime);
+    timerState.lastTransition = null;
+
+    saveTimerState(timerState);
+
+    return lapTime;
+}
+
+/**
+ * Get the interval configuration of the current block
+ * @returns {Object|null} Interval, or null for a stopwatch block
+ */
+function getCurrentInterval() {
+    return timerState.blocks[timerState.currentBlockIndex]?.interval || null;
+}
+
+/**
+ * Get where the current interval block is
+ * @returns {Object|null} Phase ({ round, rounds, phase, remainingMs, roundElapsedMs, doneMs }), or null for a stopwatch block
+ */
+export function getCurrentIntervalPhase() {
+    const interval = getCurrentInterval();
+    if (!interval) return null;
+
+    const phase = getIntervalPhase(interval, getCurrentElapsed());
+    return {
+        ...phase,
+        doneMs: timerState.roundDoneMs[timerState.currentBlockIndex]?.[phase.round] ?? null
+    };
+}
+
+/**
+ * Mark the work of the current interval round as done
+ * Stores how far into the round the work was finished (e.g. how much of
+ * the minute an EMOM round took)
+ * @returns {number|null} Time into the round in ms, or null if not in a work phase or already marked
+ */
+export function markRoundDone() {
+    if (!isActive()) return null;
+
+    const phase = getCurrentIntervalPhase();
+    if (!phase || phase.phase !== 'work' || phase.doneMs !== null) return null;
+
+    timerState.roundDoneMs[timerState.currentBlockIndex][phase.round] = phase.roundElapsedMs;
+    timerState.lastTransition = null;
+
+    saveTimerState(timerState);
+
+    return phase.roundElapsedMs;
+}
+
+/**
+ * Count a rep in the current block
+ * The time into the block is stored for every rep, so the cadence and
+ * set breaks can be worked out afterwards
+ * @returns {number|null} Reps counted in the block so far, or null if the timer is not running
+ */
+export function markRep() {
+    if (!timerState.isRunning) return null;
+
+    const reps = timerState.repTimesMs[timerState.currentBlockIndex];
+    reps.push(getCurrentElapsed());
+    timerState.lastTransition = null;
+
+    saveTimerState(timerState);
+
+    return reps.length;
+}
+
+/**
+ * Take back the last rep counted in the current block
+ * @returns {number|null} Reps counted in the block so far, or null if there was none to take back
+ */
+export function undoRep() {
+    if (!isActive()) return null;
+
+    const reps = timerState.repTimesMs[timerState.currentBlockIndex];
+    if (reps.length === 0) return null;
+
+    reps.pop();
+    saveTimerState(timerState);
+
+    return reps.length;
+}
+
+/**
+ * Get where the current rest block is
+ * @returns {Object|null} { restMs (null for open-ended rest), elapsedMs, remainingMs (null for open-ended rest) }, or null if not resting
+ */
+export function getCurrentRest() {
+    const block = timerState.blocks[timerState.currentBlockIndex];
+    if (!isRestBlock(block)) return null;
+
+    const elapsedMs = getCurrentElapsed();
+    return {
+        restMs: block.restMs || null,
+        elapsedMs,
+        remainingMs: block.restMs ? Math.max(0, block.restMs - elapsedMs) : null
+    };
+}
+
+/**
+ * Get the planned length of the current block
+ * @returns {number|null} Duration in ms, or null for a block that runs until Next
+ */
+function getCurrentDuration() {
+    const block = timerState.blocks[timerState.currentBlockIndex];
+    if (block?.interval) return getIntervalDuration(block.interval);
+    if (isRestBlock(block) && block.restMs) return block.restMs;
+    return null;
+}
+
+/**
+ * Advance past interval and rest countdown blocks whose time is up
+ * The block is recorded at its planned length and any time beyond it is
+ * carried into the next block, so late ticks (or time spent in the
+ * background) do not shift the rest of the workout
+ */
+function advanceTimedBlocks() {
+    let duration = getCurrentDuration();
+
+    while (timerState.isRunning && duration !== null) {
+        const now = Date.now();
+        const overshoot = getCurrentElapsed(now) - duration;
+        if (overshoot < 0) return;
+
+        // The next block started when this one ran out
+        if (!completeBlock(duration, now - overshoot)) return;
+
+        duration = getCurrentDuration();
+    }
+}
+
 /**
  * Move to next block
  * @returns {boolean} True if moved to next block, false if workout complete
  */
 export function nextBlock() {
-    const currentTime = getCurrentElapsed();
+    const now = Date.now();
+    const moved = completeBlock(getCurrentElapsed(now), now, true);
+
+    // Keep the undo through a reload straight away
+    if (moved) {
+        saveTimerState(timerState);
+    }
+
+    return moved;
+}
+
+/**
+ * Check whether the last Next tap can still be undone
+ * It can until the undo window runs out or anything else is marked
+ * @returns {boolean} True if undoNextBlock() would succeed
+ */
+export function canUndoNextBlock() {
+    return isActive() &&
+        timerState.lastTransition !== null &&
+        Date.now() - timerState.lastTransition.at <= UNDO_WINDOW_MS;
+}
+
+/**
+ * Undo the last Next tap
+ * The previous block is reopened and the time spent in the current block
+ * so far is added back to it, as if Next had never been tapped
+ * @returns {boolean} True if the previous block was reopened
+ */
+export function undoNextBlock() {
+    if (!canUndoNextBlock()) return false;
+
+    const { blockIndex, blockTimeMs, closedLap } = timerState.lastTransition;
+
+    timerState.blockTimesMs[blockIndex] = null;
+    if (closedLap) {
+        timerState.blockLapsMs[blockIndex].pop();
+    }
+
+    timerState.currentBlockIndex = blockIndex;
+    timerState.accumulatedMs += blockTimeMs;
+    timerState.lastTransition = null;
+    logEvent('undo', Date.now());
+
+    saveTimerState(timerState);
+
+    return true;
+}
+
+/**
+ * Record the current block's time and move to the next block
+ * @param {number} currentTime - Time of the current block in ms
+ * @param {number} at - When the block ended
+ * @param {boolean} undoable - Whether the move can be undone (a Next tap rather than a countdown ending)
+ * @returns {boolean} True if moved to next block, false if workout complete
+ */
+function completeBlock(currentTime, at, undoable = false) {
 
     // Save current block time
     timerState.blockTimesMs[timerState.currentBlockIndex] = currentTime;
 
+    // Close the final lap if laps were taken in this block
+    const laps = timerState.blockLapsMs[timerState.currentBlockIndex];
+    let closedLap = false;
+    if (laps.length > 0) {
+        const finalLap = currentTime - getLapOrigin();
+        if (finalLap > 0) {
+            laps.push(finalLap);
+            closedLap = true;
+        }
+    }
+
     // Notify callback
     if (onBlockCompleteCallback) {
         onBlockCompleteCallback(timerState.currentBlockIndex, currentTime);
@@ -217,19 +522,33 @@ export function nextBlock() {
             cancelAnimationFrame(animationFrameId);
             animationFrameId = null;
         }
+        releaseWakeLock();
+        logEvent('finish', at);
+
+        // The log is the record of the workout wherever it is complete
+        if (timerState.events) {
+            timerState.blockTimesMs = deriveBlockTimes(timerState.events, timerState.blocks.length);
+        }
 
         if (onWorkoutCompleteCallback) {
-            const totalTime = timerState.blockTimesMs.reduce((sum, t) => sum + (t || 0), 0);
-            onWorkoutCompleteCallback(timerState.blockTimesMs, totalTime);
+            // Rest is not part of the workout's time
+            const totalTime = getWorkTime(timerState.blocks, timerState.blockTimesMs);
+            onWorkoutCompleteCallback(timerState.blockTimesMs, totalTime, [...timerState.transitionTimesMs], getBlockLaps(), getIntervalResults());
         }
 
         return false;
     }
 
+    // Remember how to undo the move
+    timerState.lastTransition = undoable
+        ? { blockIndex: timerState.currentBlockIndex, blockTimeMs: currentTime, closedLap, at }
+        : null;
+    logEvent('next', at, undoable ? {} : { auto: true });
+
     // Move to next block
     timerState.currentBlockIndex++;
     timerState.accumulatedMs = 0;
-    timerState.startTimestamp = Date.now();
+    timerState.startTimestamp = at;
 
     // Save state
     saveStateDebounced();
@@ -237,6 +556,39 @@ export function nextBlock() {
     return true;
 }
 
+/**
+ * End the workout before its last block is finished
+ * Completed blocks keep their times; the current block is left without a
+ * time, laps, Roxzone lap or reps. Unlike stopTimer() the state stays readable
+ * so the completed blocks can be saved.
+ */
+export function endWorkoutEarly() {
+    if (!isActive()) return;
+
+    const index = timerState.currentBlockIndex;
+
+    timerState.isRunning = false;
+    timerState.isPaused = false;
+    timerState.lastTransition = null;
+
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+
+    releaseWakeLock();
+    logEvent('stop', Date.now());
+
+    timerState.blockTimesMs[index] = null;
+    timerState.transitionTimesMs[index] = null;
+    timerState.blockLapsMs[index] = [];
+    timerState.repTimesMs[index] = [];
+
+    if (timerState.events) {
+        timerState.blockTimesMs = deriveBlockTimes(timerState.events, timerState.blocks.length);
+    }
+}
+
 /**
  * Finish the workout (called on last block)
  */
@@ -292,6 +644,76 @@ export function getBlockTimes() {
     return [...timerState.blockTimesMs];
 }
 
+/**
+ * Get transition times
+ * @returns {Array} Array of transition times in ms (null where not marked)
+ */
+export function getTransitionTimes() {
+    return [...timerState.transitionTimesMs];
+}
+
+/**
+ * Get block laps
+ * @returns {Array<Array>} Lap times in ms for each block (empty where no laps were taken)
+ */
+export function getBlockLaps() {
+    return timerState.blockLapsMs.map(laps => [...laps]);
+}
+
+/**
+ * Get the reps counted in each block
+ * @returns {Array<Array>} Time into the block of each rep in ms (empty where none were counted)
+ */
+export function getRepTimes() {
+    return timerState.repTimesMs.map(reps => [...reps]);
+}
+
+/**
+ * Get per-round results of the interval blocks
+ * @returns {Array} For each block null, or one entry per round:
+ *   { round, workMs, restMs, doneMs, completed }
+ */
+export function getIntervalResults() {
+    return timerState.blocks.map((block, index) => {
+        if (!block.interval) return null;
+
+        const { workMs, restMs, rounds } = block.interval;
+        const blockTime = timerState.blockTimesMs[index] ?? getCurrentElapsed();
+
+        return Array.from({ length: rounds }, (_, round) => {
+            const roundStart = round * (workMs + restMs);
+            return {
+                round: round + 1,
+                workMs,
+                restMs: round < rounds - 1 ? restMs : 0,
+                doneMs: timerState.roundDoneMs[index]?.[round] ?? null,
+                // A skipped block only completes the rounds whose work was finished
+                completed: blockTime >= roundStart + workMs
+            };
+        });
+    });
+}
+
+/**
+ * Get the event log of the workout
+ * @returns {Array|null} Timer events, or null if the log is incomplete (state restored from an older version)
+ */
+export function getTimerEvents() {
+    return timerState.events ? [...timerState.events] : null;
+}
+
+/**
+ * Append an event to the log
+ * @param {string} type - Event type (see TIMER_EVENT_TYPES)
+ * @param {number} at - When it happened
+ * @param {Object} extra - Extra fields
+ */
+function logEvent(type, at, extra = {}) {
+    if (timerState.events) {
+        timerState.events.push(createTimerEvent(type, at, extra));
+    }
+}
+
 /**
  * Check if on last block
  * @returns {boolean} True if on last block
@@ -330,6 +752,10 @@ export function onWorkoutComplete(callback) {
 function tick() {
     if (!timerState.isRunning) return;
 
+    // Interval and rest countdown blocks end by themselves
+    advanceTimedBlocks();
+    if (!timerState.isRunning) return;
+
     const elapsed = getCurrentElapsed();
 
     if (onTickCallback) {
@@ -354,6 +780,12 @@ function resetTimerState() {
         blocks: [],
         currentBlockIndex: 0,
         blockTimesMs: [],
+        transitionTimesMs: [],
+        blockLapsMs: [],
+        roundDoneMs: [],
+        repTimesMs: [],
+        lastTransition: null,
+        events: [],
         isRunning: false,
         isPaused: false,
         startTimestamp: null,
@@ -379,6 +811,9 @@ export function setupVisibilityHandler() {
             // Save state when app goes to background
             await saveTimerState(timerState);
         } else if (!document.hidden && timerState.isRunning) {
+            // The browser drops the wake lock while hidden, so take it again
+            acquireWakeLock();
+
             // Resume tick loop when app comes back
             tick();
         }
@@ -58,6 +58,26 @@ export function formatLongTime(ms) {
     return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 }
 
+/**
+ * Parse a typed time into milliseconds
+ * Accepts SS, MM:SS or HH:MM:SS, each with optional fractional seconds
+ * @param {string} str - Time string (e.g. '04:32.50')
+ * @returns {number|null} Milliseconds, or null if the string is not a time
+ */
+export function parseTime(str) {
+    const match = String(str ?? '').trim().match(/^(?:(?:(\d+):)?(\d+):)?(\d+(?:\.\d+)?)$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, hours = '0', minutes = '0', seconds] = match;
+    if (match[2] !== undefined && parseFloat(seconds) >= 60) {
+        return null;
+    }
+
+    return Math.round(((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseFloat(seconds)) * 1000);
+}
+
 /**
  * Calculate delta between two times
  * @param {number} current - Current time in ms
@@ -223,8 +243,9 @@ export function createElement(tag, attrs = {}, ...children) {
  * @param {string} message - Message to show
  * @param {string} type - 'success' or 'error'
  * @param {number} duration - Duration in ms (default: 3000)
+ * @param {Object} action - Optional button { label, onClick }; tapping it closes the toast
  */
-export function showToast(message, type = 'success', duration = 3000) {
+export function showToast(message, type = 'success', duration = 3000, action = null) {
     // Remove existing toast
     const existing = document.querySelector('.toast');
     if (existing) {
@@ -232,6 +253,17 @@ export function showToast(message, type = 'success', duration = 3000) {
     }
 
     const toast = createElement('div', { className: `toast ${type}` }, message);
+
+    if (action) {
+        toast.appendChild(createElement('button', {
+            className: 'toast-action',
+            onClick: () => {
+                toast.remove();
+                action.onClick();
+            }
+        }, action.label));
+    }
+
     document.body.appendChild(toast);
 
     setTimeout(() => {
@@ -262,3 +294,52 @@ export function getRelativeTime(date) {
 
     return formatDate(date);
 }
+
+/**
+ * Trigger a browser download of in-memory content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type (default: 'application/json')
+ */
+export function downloadFile(filename, content, mimeType = 'application/json') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = createElement('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open the file picker and read the chosen file as text
+ * @param {string} accept - Accepted file types (e.g. '.json')
+ * @returns {Promise<{name: string, text: string}|null>} File contents or null if cancelled
+ */
+export function pickTextFile(accept = '') {
+    return new Promise((resolve, reject) => {
+        const input = createElement('input', { type: 'file', accept });
+
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+
+            try {
+                resolve({ name: file.name, text: await file.text() });
+            } catch (error) {
+                reject(error);
+            }
+        });
+
+        // Closing the dialog without a file fires cancel instead of change
+        input.addEventListener('cancel', () => resolve(null));
+
+        input.click();
+    });
+}
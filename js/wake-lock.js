@@ -0,0 +1,117 @@
+/**
+ * Screen Wake Lock
+ * Keeps the screen on while a workout is being timed, so the phone does not
+ * dim or lock mid-sim. Where the Screen Wake Lock API is missing the screen
+ * sleeps as usual.
+ */
+
+import { getWakeLockSettings, saveWakeLockSettings } from './db.js';
+
+let settings = null;
+
+// Current lock, or null when the screen may sleep
+let sentinel = null;
+
+// Request still waiting for the browser
+let pendingRequest = null;
+
+// Whether a workout wants the lock, so it can be taken again after the
+// browser dropped it (it does whenever the page is hidden)
+let wanted = false;
+
+/**
+ * Load the stored wake lock settings
+ * @returns {Promise<Object>} Wake lock settings
+ */
+export async function loadWakeLockSettings() {
+    settings = await getWakeLockSettings();
+    return settings;
+}
+
+/**
+ * Store new wake lock settings and apply them straight away
+ * @param {Object} newSettings - { enabled }
+ * @returns {Promise<void>}
+ */
+export async function updateWakeLockSettings(newSettings) {
+    settings = newSettings;
+    await saveWakeLockSettings(newSettings);
+
+    if (!settings.enabled) {
+        await dropLock();
+    } else if (wanted) {
+        await requestLock();
+    }
+}
+
+/**
+ * Check whether the browser can keep the screen awake
+ * @returns {boolean} True if the Screen Wake Lock API is available
+ */
+export function isWakeLockSupported() {
+    return 'wakeLock' in navigator;
+}
+
+/**
+ * Keep the screen awake until releaseWakeLock() is called
+ * Safe to call again, e.g. when the page becomes visible
+ * @returns {Promise<void>}
+ */
+export async function acquireWakeLock() {
+    wanted = true;
+    await requestLock();
+}
+
+/**
+ * Let the screen sleep again
+ * @returns {Promise<void>}
+ */
+export async function releaseWakeLock() {
+    wanted = false;
+    await dropLock();
+}
+
+/**
+ * Ask the browser for the lock if it is wanted and not already held
+ * @returns {Promise<void>}
+ */
+async function requestLock() {
+    if (!isWakeLockSupported() || !settings?.enabled) return;
+    if (sentinel || document.visibilityState !== 'visible') return;
+
+    if (!pendingRequest) {
+        pendingRequest = navigator.wakeLock.request('screen')
+            .then(lock => {
+                sentinel = lock;
+                lock.addEventListener('release', () => {
+                    if (sentinel === lock) sentinel = null;
+                });
+            })
+            .catch(error => {
+                // Refused, e.g. in battery saver mode; the screen sleeps as usual
+                console.warn('Screen wake lock unavailable:', error);
+            })
+            .finally(() => {
+                pendingRequest = null;
+            });
+    }
+
+    await pendingRequest;
+
+    // Released or turned off while the request was pending
+    if (!wanted || !settings.enabled) {
+        await dropLock();
+    }
+}
+
+/**
+ * Release the lock if one is held
+ * @returns {Promise<void>}
+ */
+async function dropLock() {
+    if (!sentinel) return;
+
+    const lock = sentinel;
+    sentinel = null;
+    await lock.release();
+}
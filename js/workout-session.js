@@ -0,0 +1,593 @@
+/**
+ * Workout Session Controller
+ * Runs a workout for the Full Sim and Custom screens: owns the timer
+ * lifecycle and callbacks, restores an unfinished workout after a reload,
+ * and saves the finished session with its PBs. Screens attach a view to
+ * show the workout and drive it through this module.
+ */
+
+import {
+    initTimer,
+    startTimer,
+    pauseTimer,
+    resumeTimer,
+    stopTimer,
+    restoreTimer,
+    undoNextBlock,
+    endWorkoutEarly,
+    nextBlock,
+    finishWorkout,
+    markTransition,
+    markLap,
+    markRoundDone,
+    canUndoNextBlock,
+    markRep,
+    undoRep,
+    onTick,
+    onBlockComplete,
+    onWorkoutComplete,
+    getCurrentBlockIndex,
+    getBlockTimes,
+    getTransitionTimes,
+    getBlockLaps,
+    getIntervalResults,
+    getRepTimes,
+    getTimerEvents,
+    isPaused,
+    clearStoredTimerState
+} from './timer.js';
+import {
+    saveWorkoutSession,
+    updatePersonalBest,
+    updateSimPB,
+    getAllPersonalBests,
+    getSimPB,
+    getActiveProfileId,
+    getTimerState,
+    getActiveWorkout,
+    saveActiveWorkout,
+    clearActiveWorkout
+} from './db.js';
+import { getCanonicalExerciseId } from './exercises.js';
+import { generateId } from './utils.js';
+import { playCue, playCountdown } from './audio.js';
+import { announceStart, announceBlockComplete, announceElapsed } from './speech.js';
+import { getWorkTime, getRestTime } from './rest.js';
+import { getRepTarget, isAutoAdvanceEnabled } from './rep-counter.js';
+import { getSessionProfileIds, getPBProfileId, getTotalPBId, getWorkingAthlete, TEAM_FORMATS } from './team.js';
+import { startRemoteControl, releaseRemoteControl, setRemotePlaying, showRemoteStatus } from './remote-control.js';
+
+// Timer readings the views show; actions go through the functions below
+export {
+    getCurrentElapsed,
+    getCurrentBlockIndex,
+    getBlockTimes,
+    getTransitionTimes,
+    getBlockLaps,
+    getCurrentIntervalPhase,
+    getCurrentRest,
+    isPaused,
+    isLastBlock
+} from './timer.js';
+
+// Workout being recorded, or just finished
+let session = null;
+
+// 'idle', 'active' (counting in or timing) or 'complete'
+let status = 'idle';
+
+// PBs from before the workout was saved, for the results
+let previousPBs = null;
+
+// PBs of every athlete at the start of the workout, for the new PB cue
+let blockPBs = {};
+
+// UI handlers of the screen showing the workout
+let view = {};
+
+/**
+ * Get the workout being recorded or just finished
+ * @returns {Object|null} Workout session
+ */
+export function getSession() {
+    return session;
+}
+
+/**
+ * Check whether a workout is being recorded
+ * @param {string} mode - Only count workouts of this mode ('sim' or 'custom')
+ * @returns {boolean} True if a workout is counting in or being timed
+ */
+export function isSessionActive(mode = null) {
+    return status === 'active' && (!mode || session.mode === mode);
+}
+
+/**
+ * Check whether a workout has just been finished and saved
+ * @param {string} mode - Only count workouts of this mode ('sim' or 'custom')
+ * @returns {boolean} True if the finished workout is still open
+ */
+export function isSessionComplete(mode = null) {
+    return status === 'complete' && (!mode || session.mode === mode);
+}
+
+/**
+ * Get the PBs the finished workout was compared against
+ * @returns {Object|null} Map of exerciseId to best time in ms
+ */
+export function getPreviousPBs() {
+    return previousPBs;
+}
+
+/**
+ * Count the blocks of a session that have a time
+ * Lower than the number of blocks for a workout saved as incomplete
+ * @param {Object} workout - Workout session
+ * @returns {number} Completed blocks
+ */
+export function getCompletedBlockCount(workout) {
+    return workout.blockTimesMs.filter(t => t !== null && t !== undefined).length;
+}
+
+/**
+ * Set the UI handlers of the screen showing the workout
+ * Screens attach again whenever they are mounted
+ * @param {Object} handlers - View handlers (all optional)
+ * @param {Function} handlers.onTick - Called with the current block's elapsed ms
+ * @param {Function} handlers.onBlockComplete - Called with the block index and time
+ * @param {Function} handlers.onCountdown - Called with 3, 2, 1 and then null when timing starts
+ * @param {Function} handlers.onComplete - Called with the previous PBs once the workout is saved
+ */
+export function attachView(handlers) {
+    view = handlers;
+}
+
+/**
+ * Start recording a workout
+ * Call countIn() once the active view is shown to start timing
+ * @param {Object} details - Workout details
+ * @param {string} details.mode - 'sim' or 'custom'
+ * @param {string} details.category - 'amateur' or 'pro'
+ * @param {Array} details.blocks - Blocks to run
+ * @param {string|null} details.templateId - Template the workout was started from
+ * @param {Object|null} details.ghost - Ghost to race
+ * @param {Object|null} details.team - Doubles or Relay team, see createTeam
+ * @param {Object} handlers - View handlers, see attachView
+ * @returns {Object} Workout session
+ */
+export function startSession(details, handlers) {
+    const { mode, category, blocks, templateId = null, ghost = null, team = null } = details;
+
+    session = {
+        id: generateId(),
+        profileId: getActiveProfileId(),
+        mode,
+        category,
+        templateId,
+        blocks,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        blockTimesMs: [],
+        transitionTimesMs: [],
+        blockLapsMs: [],
+        intervalResults: [],
+        repTimesMs: [],
+        timerEvents: null,
+        ghost,
+        team,
+        totalTimeMs: 0
+    };
+    status = 'active';
+    previousPBs = null;
+    attachView(handlers);
+
+    initTimer({ workoutId: session.id, mode, category, blocks });
+    registerTimerCallbacks();
+    startRemoteControl();
+
+    saveActiveWorkout(session).catch(error => {
+        console.error('Error saving active workout:', error);
+    });
+
+    return session;
+}
+
+/**
+ * Count in, then start the timer
+ * Does not start if the workout was discarded while counting in
+ * @returns {Promise<void>}
+ */
+export async function countIn() {
+    const { id, blocks } = session;
+
+    announceStart(blocks[0]);
+    const countdown = playCountdown(count => view.onCountdown?.(count));
+    blockPBs = await getAthletePBs();
+    await countdown;
+
+    if (!isSessionActive() || session.id !== id) return;
+    view.onCountdown?.(null);
+    startTimer();
+}
+
+/**
+ * Restore the workout that was being recorded when the app closed
+ * @returns {Promise<Object|null>} Workout session, or null if there is none to resume
+ */
+export async function restoreSession() {
+    const state = await getTimerState();
+    const draft = await getActiveWorkout();
+
+    if (!state || !state.workoutId || !(state.isRunning || state.isPaused)) {
+        await clearActiveWorkout();
+        return null;
+    }
+
+    // Timer states saved before sessions were stored alongside them
+    // only have what the timer itself needs
+    session = draft && draft.id === state.workoutId ? draft : {
+        id: state.workoutId,
+        profileId: getActiveProfileId(),
+        mode: state.mode,
+        category: state.category,
+        templateId: null,
+        blocks: state.blocks,
+        startedAt: new Date(state.workoutStartTimestamp || Date.now()).toISOString(),
+        finishedAt: null,
+        intervalResults: [],
+        timerEvents: null,
+        ghost: null,
+        team: null,
+        totalTimeMs: 0
+    };
+
+    session.blockTimesMs = [...state.blockTimesMs];
+    status = 'active';
+    previousPBs = null;
+    view = {};
+    blockPBs = await getAthletePBs();
+
+    // Callbacks first, since a running timer ticks as soon as it is restored
+    // (and may finish interval blocks that ran out while the app was closed)
+    registerTimerCallbacks();
+    await restoreTimer();
+
+    // Unless the last block ran out while the app was closed
+    if (isSessionActive()) {
+        startRemoteControl(!isPaused());
+    }
+
+    session.blockTimesMs = getBlockTimes();
+    session.transitionTimesMs = getTransitionTimes();
+    session.blockLapsMs = getBlockLaps();
+
+    return session;
+}
+
+/**
+ * Pause the workout
+ */
+export function pauseSession() {
+    pauseTimer();
+    playCue('pause');
+    setRemotePlaying(false);
+}
+
+/**
+ * Resume the paused workout
+ */
+export function resumeSession() {
+    resumeTimer();
+    playCue('resume');
+    setRemotePlaying(true);
+}
+
+/**
+ * Complete the current block and move on to the next
+ * @returns {boolean} True if the workout moved on
+ */
+export function nextSessionBlock() {
+    return nextBlock();
+}
+
+/**
+ * Complete the last block, finishing the workout
+ */
+export function finishSession() {
+    finishWorkout();
+}
+
+/**
+ * Mark the end of the Roxzone transition in the current block
+ * @returns {number|null} Transition time in ms, or null if not marked
+ */
+export function markSessionTransition() {
+    return markTransition();
+}
+
+/**
+ * Mark a lap of the current block
+ * @returns {number|null} Lap time in ms, or null if not marked
+ */
+export function markSessionLap() {
+    return markLap();
+}
+
+/**
+ * Mark the work of the current interval round as done
+ * @returns {number|null} Work time of the round in ms, or null if not marked
+ */
+export function markSessionRound() {
+    return markRoundDone();
+}
+
+/**
+ * Check whether the last Next tap can still be undone
+ * @returns {boolean} True inside the undo window
+ */
+export function canUndoLastBlock() {
+    return canUndoNextBlock();
+}
+
+/**
+ * Undo the last Next tap
+ * @returns {boolean} True if the previous block was reopened
+ */
+export function undoLastBlock() {
+    const blockIndex = getCurrentBlockIndex() - 1;
+    if (!undoNextBlock()) return false;
+
+    session.blockTimesMs[blockIndex] = null;
+    return true;
+}
+
+/**
+ * Get the rep count of the current block
+ * @returns {Object|null} { count, target }, or null if the block is not rep-based
+ */
+export function getRepStatus() {
+    const blockIndex = getCurrentBlockIndex();
+    const target = getRepTarget(session?.blocks[blockIndex]);
+    if (!target) return null;
+
+    return { count: getRepTimes()[blockIndex].length, target };
+}
+
+/**
+ * Get who is working in a Doubles or Relay workout
+ * @returns {Object|null} { label, switches (whether a lap hands over to the partner) }, or null when racing solo
+ */
+export function getPartnerStatus() {
+    const team = session?.team;
+    if (!team) return null;
+
+    const blockIndex = getCurrentBlockIndex();
+    const athlete = getWorkingAthlete(team, blockIndex, getBlockLaps()[blockIndex]?.length || 0);
+    const format = TEAM_FORMATS[team.format].label;
+
+    return {
+        label: `${format} · ${athlete === null ? 'Together' : team.names[athlete]}`,
+        switches: team.format === 'doubles' && athlete !== null
+    };
+}
+
+/**
+ * Count a rep, moving on to the next block at the target count if the
+ * rep counter is set to
+ * @returns {boolean} True if the rep was counted
+ */
+export function countRep() {
+    const repStatus = getRepStatus();
+    if (!repStatus || markRep() === null) return false;
+
+    if (repStatus.count + 1 >= repStatus.target && isAutoAdvanceEnabled()) {
+        nextBlock();
+    }
+
+    return true;
+}
+
+/**
+ * Take back the last rep counted in the current block
+ * @returns {boolean} True if a rep was taken back
+ */
+export function uncountRep() {
+    return undoRep() !== null;
+}
+
+/**
+ * Stop the workout early and save the blocks completed so far
+ * The session is marked incomplete: its completed blocks count towards
+ * station PBs, but its total never counts towards the Full Sim PB
+ * @returns {Promise<void>}
+ */
+export async function saveIncompleteSession() {
+    // The last block may have ended by itself while the stop dialog was open
+    if (!isSessionActive()) return;
+
+    endWorkoutEarly();
+
+    session.blockTimesMs = getBlockTimes();
+    session.transitionTimesMs = getTransitionTimes();
+    session.blockLapsMs = getBlockLaps();
+    session.intervalResults = getIntervalResults();
+    session.repTimesMs = getRepTimes();
+    session.timerEvents = getTimerEvents();
+    session.totalTimeMs = getWorkTime(session.blocks, session.blockTimesMs);
+    session.restTimeMs = getRestTime(session.blocks, session.blockTimesMs);
+    session.finishedAt = new Date().toISOString();
+    session.incomplete = true;
+
+    status = 'complete';
+    releaseRemoteControl();
+    await saveCompletedSession();
+
+    view.onComplete?.(previousPBs);
+}
+
+/**
+ * Throw away the workout being recorded
+ * Also used to discard a workout left over from before a reload
+ * @returns {Promise<void>}
+ */
+export async function discardSession() {
+    await stopTimer(true);
+    await clearActiveWorkout();
+    closeSession();
+}
+
+/**
+ * Let go of a finished workout once its results have been seen
+ */
+export function closeSession() {
+    session = null;
+    status = 'idle';
+    previousPBs = null;
+    view = {};
+    releaseRemoteControl();
+}
+
+/**
+ * Set the timer callbacks that record the workout and update the view
+ */
+function registerTimerCallbacks() {
+    onTick((elapsed) => {
+        view.onTick?.(elapsed);
+        announceElapsed(elapsed);
+
+        const blockIndex = getCurrentBlockIndex();
+        showRemoteStatus(session.blocks[blockIndex], blockIndex, session.blocks.length, elapsed);
+    });
+
+    onBlockComplete((blockIndex, timeMs) => {
+        const { blocks, category } = session;
+        session.blockTimesMs[blockIndex] = timeMs;
+
+        // Beating the block's PB gets its own cue
+        const exerciseId = getCanonicalExerciseId(blocks[blockIndex], category);
+        const pbTime = exerciseId ? getBlockPB(blockIndex, exerciseId) : null;
+        if (pbTime && timeMs < pbTime) {
+            playCue('pb');
+        } else if (blockIndex < blocks.length - 1) {
+            playCue('next');
+        }
+
+        announceBlockComplete({
+            timeMs,
+            pbTime,
+            nextBlock: blocks[blockIndex + 1] || null
+        });
+
+        view.onBlockComplete?.(blockIndex, timeMs);
+    });
+
+    onWorkoutComplete(async (blockTimes, totalTime, transitionTimes, blockLaps, intervalResults) => {
+        session.blockTimesMs = blockTimes;
+        session.transitionTimesMs = transitionTimes;
+        session.blockLapsMs = blockLaps;
+        session.intervalResults = intervalResults;
+        session.repTimesMs = getRepTimes();
+        session.timerEvents = getTimerEvents();
+        session.totalTimeMs = totalTime;
+        session.restTimeMs = getRestTime(session.blocks, blockTimes);
+        session.finishedAt = new Date().toISOString();
+        playCue('finish');
+
+        status = 'complete';
+        releaseRemoteControl();
+        await saveCompletedSession();
+
+        view.onComplete?.(previousPBs);
+    });
+}
+
+/**
+ * Load the PBs of every athlete the workout counts for
+ * @returns {Promise<Object>} Map of profile ID to that athlete's PB map
+ */
+async function getAthletePBs() {
+    const pbs = {};
+    for (const athleteId of getSessionProfileIds(session)) {
+        pbs[athleteId] = await getAllPersonalBests(session.category, athleteId);
+    }
+    return pbs;
+}
+
+/**
+ * Get the PB a block is raced against
+ * @param {number} blockIndex - Block index
+ * @param {string} exerciseId - Canonical exercise ID of the block
+ * @returns {number|null} PB of the athlete doing the block, or null without one
+ */
+function getBlockPB(blockIndex, exerciseId) {
+    const athleteId = session.team ? getPBProfileId(session.team, blockIndex) : session.profileId;
+    return (athleteId && blockPBs[athleteId]?.[exerciseId]) || null;
+}
+
+/**
+ * Save the finished workout and update PBs
+ * The previous PBs are fetched BEFORE updating them and stored with the
+ * session, so results can compare against them later
+ * @returns {Promise<void>}
+ */
+async function saveCompletedSession() {
+    const { category, profileId } = session;
+
+    previousPBs = await getAllPersonalBests(category, profileId);
+    if (session.mode === 'sim') {
+        previousPBs['full_sim_total'] = await getSimPB(category, profileId);
+    }
+    session.previousPBs = previousPBs;
+
+    // Each athlete of a team is compared against their own PBs
+    if (session.team) {
+        session.teamPreviousPBs = {};
+        for (const athleteId of session.team.profileIds) {
+            session.teamPreviousPBs[athleteId] = await getAllPersonalBests(category, athleteId);
+        }
+    }
+
+    await saveWorkoutSession(session);
+    await updateSessionPBs();
+
+    await clearStoredTimerState();
+    await clearActiveWorkout();
+}
+
+/**
+ * Update personal bests from the finished workout
+ * @returns {Promise<void>}
+ */
+async function updateSessionPBs() {
+    const { blocks, blockTimesMs, totalTimeMs, category, mode, team } = session;
+    const context = {
+        sessionId: session.id,
+        achievedAt: session.finishedAt,
+        profileId: session.profileId
+    };
+
+    // Update per-exercise PBs (in a team workout, of the athlete who did the block)
+    for (let i = 0; i < blocks.length; i++) {
+        const time = blockTimesMs[i];
+        const athleteId = team ? getPBProfileId(team, i) : session.profileId;
+
+        if (time && athleteId) {
+            const exerciseId = getCanonicalExerciseId(blocks[i], category);
+            if (exerciseId) {
+                await updatePersonalBest(category, exerciseId, time, { ...context, profileId: athleteId });
+            }
+        }
+    }
+
+    // Update full sim PB (never from a sim that was stopped early)
+    // A team total is every member's Doubles or Relay PB instead
+    if (mode === 'sim' && totalTimeMs > 0 && !session.incomplete) {
+        if (team) {
+            for (const athleteId of team.profileIds) {
+                await updatePersonalBest(category, getTotalPBId(session), totalTimeMs, { ...context, profileId: athleteId });
+            }
+        } else {
+            await updateSimPB(category, totalTimeMs, context);
+        }
+    }
+}
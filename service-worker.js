@@ -3,7 +3,7 @@
  * Handles caching for offline functionality
  */
 
-const CACHE_NAME = 'hyrox-tracker-v3';
+const CACHE_NAME = 'hyrox-tracker-v4';
 
 // Files to cache for offline use (relative paths for subdirectory deployment)
 const STATIC_ASSETS = [
@@ -15,17 +15,38 @@ const STATIC_ASSETS = [
     './js/router.js',
     './js/db.js',
     './js/timer.js',
+    './js/timer-log.js',
+    './js/workout-session.js',
     './js/exercises.js',
+    './js/intervals.js',
+    './js/rest.js',
+    './js/rep-counter.js',
+    './js/remote-control.js',
+    './js/team.js',
+    './js/audio.js',
+    './js/speech.js',
+    './js/wake-lock.js',
+    './js/ghost.js',
     './js/utils.js',
+    './js/backup.js',
+    './js/csv.js',
     './js/components/toggle.js',
     './js/components/modal.js',
     './js/components/workout-block.js',
     './js/components/stopwatch.js',
     './js/components/results-card.js',
+    './js/components/pb-timeline.js',
+    './js/components/manual-entry.js',
+    './js/components/ghost-picker.js',
+    './js/components/team-picker.js',
+    './js/components/session-timeline.js',
+    './js/components/rep-cadence.js',
+    './js/components/profile-switcher.js',
     './js/screens/dashboard.js',
     './js/screens/full-sim.js',
     './js/screens/custom.js',
     './js/screens/history.js',
+    './js/screens/settings.js',
     './icons/icon-192.png',
     './icons/icon-512.png',
     './icons/Hyox_App_logo.png'
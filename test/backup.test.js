@@ -0,0 +1,60 @@
+/**
+ * Backup Tests
+ * Validates backup files and upgrades records from older versions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_FORMAT, parseBackup } from '../js/backup.js';
+import { DB_VERSION } from '../js/db.js';
+
+/**
+ * Build the text of a backup file
+ * @param {Object} overrides - Fields to replace
+ * @returns {string} File contents
+ */
+function backupText(overrides = {}) {
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        schemaVersion: DB_VERSION,
+        exportedAt: '2024-02-01T00:00:00.000Z',
+        stores: {
+            workoutSessions: [{ id: 'session-1', mode: 'custom', category: 'amateur', blocks: [], blockTimesMs: [] }],
+            meta: [{ key: 'toggle_full-sim', value: 'pro' }]
+        },
+        ...overrides
+    });
+}
+
+test('reads a backup of the current version as it is', () => {
+    const backup = parseBackup(backupText());
+
+    assert.equal(backup.schemaVersion, DB_VERSION);
+    assert.deepEqual(backup.stores.workoutSessions.map(session => session.id), ['session-1']);
+    assert.deepEqual(backup.stores.meta, [{ key: 'toggle_full-sim', value: 'pro' }]);
+});
+
+test('rejects files that are not usable backups', () => {
+    assert.throws(() => parseBackup('{'), /not valid JSON/);
+    assert.throws(() => parseBackup(backupText({ format: 'other' })), /not a Hyrox Tracker backup/);
+    assert.throws(() => parseBackup(backupText({ schemaVersion: 0 })), /no valid schema version/);
+    assert.throws(() => parseBackup(backupText({ schemaVersion: DB_VERSION + 1 })), /newer version/);
+    assert.throws(() => parseBackup(backupText({ stores: { workoutSessions: {} } })), /malformed/);
+});
+
+test('upgrades the records of a backup made before profiles', () => {
+    const backup = parseBackup(backupText({
+        schemaVersion: 4,
+        stores: {
+            workoutSessions: [{ id: 'session-1', mode: 'custom', category: 'amateur', blocks: [], blockTimesMs: [] }],
+            personalBests: [{ id: 'amateur:ski_erg_1000m', category: 'amateur', exerciseId: 'ski_erg_1000m', bestTimeMs: 250000 }],
+            personalBestHistory: [{ id: 'history-1', pbId: 'amateur:ski_erg_1000m', category: 'amateur', exerciseId: 'ski_erg_1000m', timeMs: 250000 }],
+            meta: [{ key: 'toggle_full-sim', value: 'pro' }, { key: 'lastRoute', value: 'history' }]
+        }
+    }));
+
+    assert.deepEqual(backup.stores.workoutSessions.map(session => session.profileId), ['default']);
+    assert.deepEqual(backup.stores.personalBests.map(pb => [pb.id, pb.profileId]), [['default:amateur:ski_erg_1000m', 'default']]);
+    assert.deepEqual(backup.stores.personalBestHistory.map(entry => entry.pbId), ['default:amateur:ski_erg_1000m']);
+    assert.deepEqual(backup.stores.meta.map(record => record.key), ['toggle_default_full-sim', 'lastRoute']);
+});
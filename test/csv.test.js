@@ -0,0 +1,19 @@
+/**
+ * CSV Tests
+ * Escapes cells so spreadsheets read them as plain values
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCSV } from '../js/csv.js';
+
+test('quotes cells with commas, quotes and line breaks', () => {
+    assert.equal(toCSV(['a', 'b'], [['Sled, heavy', 'Say "go"'], [null, 'Two\nlines']]), 'a,b\r\n"Sled, heavy","Say ""go"""\r\n,"Two\nlines"');
+});
+
+test('keeps text from being run as a formula, but not negative numbers', () => {
+    assert.equal(
+        toCSV(['label'], [['=HYPERLINK("x")'], ['+1'], ['-1'], ['@SUM(A1)'], [-250], ['Run 1']]),
+        `label\r\n"'=HYPERLINK(""x"")"\r\n'+1\r\n'-1\r\n'@SUM(A1)\r\n-250\r\nRun 1`
+    );
+});
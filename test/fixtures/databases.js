@@ -0,0 +1,193 @@
+/**
+ * Fixture Databases
+ * Builds the database as each older app version left it: the schema of
+ * that version and a few records in the shape that version wrote them
+ */
+
+const DB_NAME = 'HyroxTrackerDB';
+
+// Versions a fixture can be built for (every version before the current one)
+export const FIXTURE_VERSIONS = [1, 2, 3, 4, 5, 6];
+
+// Sessions every fixture holds, oldest first
+const SESSIONS = [
+    {
+        id: 'session-1',
+        mode: 'custom',
+        category: 'amateur',
+        blocks: [
+            { id: 'ski_erg_1000m', label: 'Ski Erg', type: 'exercise' },
+            { id: 'run_custom', label: 'Run – 1000m', distance: 1000, type: 'run' },
+            { id: 'custom', label: 'Plank', type: 'custom' }
+        ],
+        blockTimesMs: [260000, 300000, 60000],
+        totalTimeMs: 620000,
+        startedAt: '2024-01-01T09:00:00.000Z',
+        finishedAt: '2024-01-01T09:10:20.000Z'
+    },
+    {
+        id: 'session-2',
+        mode: 'custom',
+        category: 'amateur',
+        blocks: [
+            { id: 'ski_erg_1000m', label: 'Ski Erg', type: 'exercise' },
+            { id: 'run_custom', label: 'Run – 800m', distance: 800, type: 'run' }
+        ],
+        blockTimesMs: [250000, 200000],
+        totalTimeMs: 450000,
+        startedAt: '2024-01-08T09:00:00.000Z',
+        finishedAt: '2024-01-08T09:07:30.000Z'
+    }
+];
+
+const TEMPLATE = { id: 'template-1', name: 'Engine', category: 'amateur', blocks: SESSIONS[1].blocks };
+
+const TRASHED_SESSION = { ...SESSIONS[0], id: 'session-0', deletedAt: '2024-01-09T09:00:00.000Z' };
+
+/**
+ * Get the key of a personal best as a version stored it
+ * @param {number} version - Schema version
+ * @param {string} exerciseId - Exercise ID
+ * @returns {string} Key
+ */
+function getFixturePBKey(version, exerciseId) {
+    return version >= 5 ? `default:amateur:${exerciseId}` : `amateur:${exerciseId}`;
+}
+
+/**
+ * Give a record the default profile from v5 on
+ * @param {number} version - Schema version
+ * @param {Object} record - Record
+ * @returns {Object} Record as the version stored it
+ */
+function withProfile(version, record) {
+    return version >= 5 ? { ...record, profileId: 'default' } : record;
+}
+
+/**
+ * Create the stores and indexes of a schema version
+ * @param {IDBDatabase} database - Database being created
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} version - Schema version
+ */
+function createSchema(database, transaction, version) {
+    const sessionStore = database.createObjectStore('workoutSessions', { keyPath: 'id' });
+    sessionStore.createIndex('startedAt', 'startedAt', { unique: false });
+    sessionStore.createIndex('finishedAt', 'finishedAt', { unique: false });
+    sessionStore.createIndex('mode', 'mode', { unique: false });
+    sessionStore.createIndex('category', 'category', { unique: false });
+
+    const templateStore = database.createObjectStore('workoutTemplates', { keyPath: 'id' });
+    templateStore.createIndex('name', 'name', { unique: false });
+    templateStore.createIndex('category', 'category', { unique: false });
+
+    const pbStore = database.createObjectStore('personalBests', { keyPath: 'id' });
+    pbStore.createIndex('category', 'category', { unique: false });
+    pbStore.createIndex('exerciseId', 'exerciseId', { unique: false });
+
+    database.createObjectStore('meta', { keyPath: 'key' });
+
+    if (version >= 2) {
+        const historyStore = database.createObjectStore('personalBestHistory', { keyPath: 'id' });
+        historyStore.createIndex('pbId', 'pbId', { unique: false });
+        historyStore.createIndex('category', 'category', { unique: false });
+        historyStore.createIndex('sessionId', 'sessionId', { unique: false });
+    }
+
+    if (version >= 3) {
+        sessionStore.createIndex('templateId', 'templateId', { unique: false });
+    }
+
+    if (version >= 4) {
+        const trashStore = database.createObjectStore('deletedSessions', { keyPath: 'id' });
+        trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+    }
+
+    if (version >= 5) {
+        database.createObjectStore('profiles', { keyPath: 'id' });
+        for (const storeName of ['workoutSessions', 'workoutTemplates', 'personalBests', 'personalBestHistory', 'deletedSessions']) {
+            transaction.objectStore(storeName).createIndex('profileId', 'profileId', { unique: false });
+        }
+    }
+
+    if (version >= 6) {
+        sessionStore.createIndex('profileStartedAt', ['profileId', 'startedAt'], { unique: false });
+        sessionStore.createIndex('profileModeCategory', ['profileId', 'mode', 'category', 'startedAt'], { unique: false });
+    }
+}
+
+/**
+ * Write the records a version would have stored
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} version - Schema version
+ */
+function writeRecords(transaction, version) {
+    for (const session of SESSIONS) {
+        transaction.objectStore('workoutSessions').put(withProfile(version, session));
+    }
+
+    // Sessions started from a template link to it from v3
+    if (version >= 3) {
+        transaction.objectStore('workoutSessions').put(withProfile(version, { ...SESSIONS[1], templateId: TEMPLATE.id }));
+    }
+
+    transaction.objectStore('workoutTemplates').put(withProfile(version, TEMPLATE));
+
+    transaction.objectStore('personalBests').put(withProfile(version, {
+        id: getFixturePBKey(version, 'ski_erg_1000m'),
+        category: 'amateur',
+        exerciseId: 'ski_erg_1000m',
+        bestTimeMs: 250000,
+        achievedAt: SESSIONS[1].finishedAt
+    }));
+
+    transaction.objectStore('meta').put({ key: 'toggle_full-sim', value: 'pro' });
+
+    if (version >= 2) {
+        transaction.objectStore('personalBestHistory').put(withProfile(version, {
+            id: 'history-1',
+            pbId: getFixturePBKey(version, 'ski_erg_1000m'),
+            category: 'amateur',
+            exerciseId: 'ski_erg_1000m',
+            previousTimeMs: null,
+            timeMs: 250000,
+            sessionId: 'session-2',
+            achievedAt: SESSIONS[1].finishedAt
+        }));
+    }
+
+    if (version >= 4) {
+        transaction.objectStore('deletedSessions').put(withProfile(version, TRASHED_SESSION));
+    }
+
+    if (version >= 5) {
+        // Toggle settings moved to the profile at v5
+        transaction.objectStore('meta').delete('toggle_full-sim');
+        transaction.objectStore('meta').put({ key: 'toggle_default_full-sim', value: 'pro' });
+        transaction.objectStore('profiles').put({ id: 'default', name: 'Athlete 1', createdAt: '2024-01-01T00:00:00.000Z' });
+    }
+}
+
+/**
+ * Create a fixture database as a version of the app left it
+ * @param {IDBFactory} factory - IndexedDB factory to create it in
+ * @param {number} version - Schema version
+ * @returns {Promise<void>} Resolves once the database is written and closed
+ */
+export function createFixtureDatabase(factory, version) {
+    return new Promise((resolve, reject) => {
+        const request = factory.open(DB_NAME, version);
+
+        request.onupgradeneeded = (event) => {
+            createSchema(event.target.result, event.target.transaction, version);
+            writeRecords(event.target.transaction, version);
+        };
+
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,22 @@
+/**
+ * Test Helpers
+ * Shared setup for tests that need the database
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+
+/**
+ * Open an empty database with a fresh copy of db.js
+ * db.js keeps the open database in module state, so each test imports its
+ * own copy (named by a query string) against its own IndexedDB
+ * @param {string} name - Unique name for the module copy
+ * @returns {Promise<Object>} The db.js module, with the database open
+ */
+export async function openTestDB(name) {
+    globalThis.indexedDB = new IDBFactory();
+
+    const db = await import(`../js/db.js?${name}`);
+    await db.initDB();
+    return db;
+}
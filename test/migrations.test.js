@@ -0,0 +1,136 @@
+/**
+ * Schema Migration Tests
+ * Creates a new database and upgrades fixture databases from every older version
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURE_VERSIONS, createFixtureDatabase } from './fixtures/databases.js';
+
+// Indexes every store should have at the current version
+const EXPECTED_INDEXES = {
+    workoutSessions: [
+        'category', 'finishedAt', 'mode', 'profileId', 'profileModeCategory',
+        'profileStartedAt', 'startedAt', 'teamProfileIds', 'templateId'
+    ],
+    workoutTemplates: ['category', 'name', 'profileId'],
+    personalBests: ['category', 'exerciseId', 'profileId'],
+    personalBestHistory: ['category', 'pbId', 'profileId', 'sessionId'],
+    deletedSessions: ['deletedAt', 'profileId'],
+    profiles: [],
+    meta: []
+};
+
+// Stores whose records belong to a profile
+const PROFILE_STORES = ['workoutSessions', 'workoutTemplates', 'personalBests', 'personalBestHistory', 'deletedSessions'];
+
+/**
+ * Open a database with a fresh copy of db.js
+ * Each test gets its own IndexedDB and module, as db.js keeps the open
+ * database and active profile in module state
+ * @param {string} name - Unique name for the module copy
+ * @param {number|null} fixtureVersion - Version of the fixture to start from, or null for none
+ * @returns {Promise<Object>} The db.js module, with the database open
+ */
+async function openDatabase(name, fixtureVersion = null) {
+    globalThis.indexedDB = new IDBFactory();
+    if (fixtureVersion !== null) {
+        await createFixtureDatabase(globalThis.indexedDB, fixtureVersion);
+    }
+
+    const db = await import(`../js/db.js?${name}`);
+    await db.initDB();
+    return db;
+}
+
+/**
+ * Assert the stores and indexes of the current schema
+ * @param {IDBDatabase} database - Open database
+ */
+function assertCurrentSchema(database) {
+    assert.deepEqual([...database.objectStoreNames].sort(), Object.keys(EXPECTED_INDEXES).sort());
+    const transaction = database.transaction(Object.keys(EXPECTED_INDEXES), 'readonly');
+    for (const [storeName, indexes] of Object.entries(EXPECTED_INDEXES)) {
+        assert.deepEqual([...transaction.objectStore(storeName).indexNames].sort(), indexes, storeName);
+    }
+}
+
+test('creates the current schema in a new database', async () => {
+    const db = await openDatabase('new');
+    const database = await db.initDB();
+
+    assert.equal(database.version, db.DB_VERSION);
+    assertCurrentSchema(database);
+
+    const schemaVersion = await db.getSchemaVersion();
+    assert.equal(schemaVersion.version, db.DB_VERSION);
+    assert.equal(schemaVersion.upgradedFrom, 0);
+});
+
+for (const version of FIXTURE_VERSIONS) {
+    test(`upgrades a v${version} database`, async () => {
+        const db = await openDatabase(`fixture-${version}`, version);
+        const database = await db.initDB();
+
+        assert.equal(database.version, db.DB_VERSION);
+        assertCurrentSchema(database);
+
+        // Every record belongs to the default profile
+        for (const storeName of PROFILE_STORES) {
+            for (const record of await db.getAll(storeName)) {
+                assert.equal(record.profileId, db.DEFAULT_PROFILE_ID, `${storeName} ${record.id}`);
+            }
+        }
+
+        assert.deepEqual((await db.getAllProfiles()).map(profile => profile.id), [db.DEFAULT_PROFILE_ID]);
+        assert.equal((await db.getAll('workoutSessions')).length, 2);
+        assert.equal((await db.getAll('workoutTemplates')).length, 1);
+        assert.equal((await db.getWorkoutSessionsByTemplate('template-1')).length, version >= 3 ? 1 : 0);
+        assert.deepEqual(await db.getTeamWorkoutSessions(db.DEFAULT_PROFILE_ID), []);
+
+        // PBs are keyed by profile
+        assert.deepEqual((await db.getAll('personalBests')).map(pb => pb.id), ['default:amateur:ski_erg_1000m']);
+        assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 250000 });
+
+        // Toggle settings belong to the profile
+        assert.equal(await db.getToggleSetting('full-sim'), 'pro');
+        assert.equal(await db.getMeta('toggle_full-sim'), null);
+
+        // The trash (added at v4) keeps what was in it
+        assert.equal((await db.getTrashedSessions()).length, version >= 4 ? 1 : 0);
+
+        const schemaVersion = await db.getSchemaVersion();
+        assert.equal(schemaVersion.version, db.DB_VERSION);
+        assert.equal(schemaVersion.upgradedFrom, version);
+    });
+}
+
+test('seeds the PB history of a v1 database from its sessions', async () => {
+    const db = await openDatabase('seed', 1);
+
+    const skiErg = await db.getPersonalBestHistory('amateur', 'ski_erg_1000m');
+    assert.deepEqual(
+        skiErg.map(entry => [entry.sessionId, entry.previousTimeMs, entry.timeMs]),
+        [['session-1', null, 260000], ['session-2', 260000, 250000]]
+    );
+
+    // Only the 1000m custom run counts, and custom exercises never do
+    const run = await db.getPersonalBestHistory('amateur', 'run_custom');
+    assert.deepEqual(run.map(entry => [entry.sessionId, entry.timeMs]), [['session-1', 300000]]);
+    assert.equal((await db.getAll('personalBestHistory')).length, 3);
+
+    for (const entry of await db.getAll('personalBestHistory')) {
+        assert.equal(entry.pbId, `default:amateur:${entry.exerciseId}`);
+    }
+});
+
+test('keeps the PB history of a database that already has one', async () => {
+    for (const version of FIXTURE_VERSIONS.filter(v => v >= 2)) {
+        const db = await openDatabase(`history-${version}`, version);
+        const history = await db.getAll('personalBestHistory');
+
+        assert.deepEqual(history.map(entry => [entry.id, entry.pbId]), [['history-1', 'default:amateur:ski_erg_1000m']], `v${version}`);
+    }
+});
@@ -0,0 +1,169 @@
+/**
+ * Personal Best Tests
+ * Rebuilds PBs and their history from stored sessions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCanonicalExerciseId } from '../js/exercises.js';
+import { DEFAULT_PROFILE_ID } from '../js/db.js';
+import { openTestDB } from './helpers.js';
+
+/**
+ * Build a session of the default athlete with one Ski Erg block
+ * @param {string} id - Session ID
+ * @param {string} day - Date it was done (YYYY-MM-DD)
+ * @param {number} timeMs - Ski Erg time
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Workout session
+ */
+function skiErgSession(id, day, timeMs, overrides = {}) {
+    return {
+        id,
+        profileId: DEFAULT_PROFILE_ID,
+        mode: 'custom',
+        category: 'amateur',
+        blocks: [{ id: 'ski_erg_1000m', label: 'Ski Erg', distance: '1000m', type: 'exercise' }],
+        blockTimesMs: [timeMs],
+        totalTimeMs: timeMs,
+        startedAt: `${day}T09:00:00.000Z`,
+        finishedAt: `${day}T09:30:00.000Z`,
+        ...overrides
+    };
+}
+
+test('replays sessions in date order into PBs and their history', async () => {
+    const db = await openTestDB('replay');
+
+    // Saved out of order: the rebuild sorts by date
+    await db.saveWorkoutSession(skiErgSession('third', '2024-01-15', 255000));
+    await db.saveWorkoutSession(skiErgSession('first', '2024-01-01', 260000));
+    await db.saveWorkoutSession(skiErgSession('second', '2024-01-08', 250000));
+
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 250000 });
+
+    const history = await db.getPersonalBestHistory('amateur', 'ski_erg_1000m');
+    assert.deepEqual(
+        history.map(entry => [entry.sessionId, entry.previousTimeMs, entry.timeMs]),
+        [['first', null, 260000], ['second', 260000, 250000]]
+    );
+});
+
+test('counts sim totals, and only blocks with a canonical exercise', async () => {
+    const db = await openTestDB('sim-total');
+
+    await db.saveWorkoutSession(skiErgSession('sim', '2024-01-01', 250000, {
+        mode: 'sim',
+        blocks: [
+            { id: 'ski_erg_1000m', label: 'Ski Erg', distance: '1000m', type: 'exercise' },
+            { id: 'custom', label: 'Plank', type: 'custom' },
+            { id: 'run_custom', label: 'Run – 800m', distance: 800, type: 'run' }
+        ],
+        blockTimesMs: [250000, 60000, 200000],
+        totalTimeMs: 510000
+    }));
+
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 250000, full_sim_total: 510000 });
+    assert.deepEqual(await db.getAllPersonalBests('pro'), {});
+});
+
+test('removes PBs, and their history, that no session supports any more', async () => {
+    const db = await openTestDB('removed');
+
+    await db.saveWorkoutSession(skiErgSession('first', '2024-01-01', 260000));
+    await db.saveWorkoutSession(skiErgSession('second', '2024-01-08', 250000));
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    await db.deleteWorkoutSession('second');
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 260000 });
+    assert.deepEqual(
+        (await db.getPersonalBestHistory('amateur', 'ski_erg_1000m')).map(entry => entry.sessionId),
+        ['first']
+    );
+});
+
+test('appends a history entry for each new PB', async () => {
+    const db = await openTestDB('update');
+
+    assert.equal(await db.updatePersonalBest('amateur', 'ski_erg_1000m', 260000, { sessionId: 'first', achievedAt: '2024-01-01T09:30:00.000Z' }), true);
+    assert.equal(await db.updatePersonalBest('amateur', 'ski_erg_1000m', 270000, { sessionId: 'slower', achievedAt: '2024-01-02T09:30:00.000Z' }), false);
+    assert.equal(await db.updatePersonalBest('amateur', 'ski_erg_1000m', 250000, { sessionId: 'second', achievedAt: '2024-01-08T09:30:00.000Z' }), true);
+
+    const history = await db.getPersonalBestHistory('amateur', 'ski_erg_1000m');
+    assert.deepEqual(
+        history.map(entry => [entry.sessionId, entry.previousTimeMs, entry.timeMs]),
+        [['first', null, 260000], ['second', 260000, 250000]]
+    );
+});
+
+test('follows a split that was edited after the session', async () => {
+    const db = await openTestDB('edited');
+
+    await db.saveWorkoutSession(skiErgSession('first', '2024-01-01', 260000));
+    await db.saveWorkoutSession(skiErgSession('second', '2024-01-08', 250000));
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    // The second split was mistimed: it was slower than the first
+    await db.saveWorkoutSession(skiErgSession('second', '2024-01-08', 265000));
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 260000 });
+    assert.deepEqual(
+        (await db.getPersonalBestHistory('amateur', 'ski_erg_1000m')).map(entry => entry.sessionId),
+        ['first']
+    );
+});
+
+test('leaves out manual entries kept out of PBs', async () => {
+    const db = await openTestDB('manual');
+
+    await db.saveWorkoutSession(skiErgSession('timed', '2024-01-01', 260000));
+    await db.saveWorkoutSession(skiErgSession('logged', '2024-01-08', 240000, { manual: true, excludeFromPBs: true }));
+    await db.saveWorkoutSession(skiErgSession('counted', '2024-01-15', 250000, { manual: true, excludeFromPBs: false }));
+
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 250000 });
+    assert.deepEqual(
+        (await db.getPersonalBestHistory('amateur', 'ski_erg_1000m')).map(entry => entry.sessionId),
+        ['timed', 'counted']
+    );
+});
+
+test('keeps the PBs of each athlete apart', async () => {
+    const db = await openTestDB('profiles');
+
+    await db.saveWorkoutSession(skiErgSession('mine', '2024-01-01', 260000));
+    await db.saveWorkoutSession(skiErgSession('theirs', '2024-01-08', 240000, { profileId: 'other' }));
+
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId, 'other');
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 260000 });
+    assert.deepEqual(await db.getAllPersonalBests('amateur', 'other'), { ski_erg_1000m: 240000 });
+});
+
+test('counts the stations of a sim stopped early, but not its total', async () => {
+    const db = await openTestDB('incomplete');
+
+    await db.saveWorkoutSession(skiErgSession('stopped', '2024-01-01', 250000, {
+        mode: 'sim',
+        blocks: [
+            { id: 'ski_erg_1000m', label: 'Ski Erg', distance: '1000m', type: 'exercise' },
+            { id: 'sled_push_152_50', label: 'Sled Push', type: 'exercise' }
+        ],
+        blockTimesMs: [250000, null],
+        totalTimeMs: 250000,
+        incomplete: true
+    }));
+
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId);
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur'), { ski_erg_1000m: 250000 });
+});
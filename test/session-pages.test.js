@@ -0,0 +1,130 @@
+/**
+ * Session Query Tests
+ * Pages through sessions with a cursor and reads date ranges
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PROFILE_ID } from '../js/db.js';
+import { openTestDB } from './helpers.js';
+
+/**
+ * Build a workout session
+ * @param {string} id - Session ID
+ * @param {string} startedAt - ISO start date
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Workout session
+ */
+function session(id, startedAt, overrides = {}) {
+    return {
+        id,
+        profileId: DEFAULT_PROFILE_ID,
+        mode: 'custom',
+        category: 'amateur',
+        blocks: [],
+        blockTimesMs: [],
+        totalTimeMs: 0,
+        startedAt,
+        finishedAt: startedAt,
+        ...overrides
+    };
+}
+
+/**
+ * Read every page of a query
+ * @param {Object} db - db.js module
+ * @param {Object} options - Query options, see getWorkoutSessionsPage
+ * @returns {Promise<Array>} Session IDs of each page
+ */
+async function readAllPages(db, options) {
+    const pages = [];
+    let cursor = null;
+
+    do {
+        const page = await db.getWorkoutSessionsPage({ ...options, cursor });
+        pages.push(page.sessions.map(s => s.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return pages;
+}
+
+test('pages through sessions newest first with no gaps or repeats', async () => {
+    const db = await openTestDB('pages');
+
+    const sessions = Array.from({ length: 45 }, (_, i) => session(
+        `s${String(i).padStart(2, '0')}`,
+        new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString()
+    ));
+    await db.bulkPut({ workoutSessions: sessions });
+
+    const pages = await readAllPages(db, {});
+
+    assert.deepEqual(pages.map(page => page.length), [20, 20, 5]);
+    assert.deepEqual(pages.flat(), sessions.map(s => s.id).reverse());
+});
+
+test('does not offer a next page when the last page is exactly full', async () => {
+    const db = await openTestDB('exact');
+
+    await db.bulkPut({
+        workoutSessions: [
+            session('a', '2024-01-01T09:00:00.000Z'),
+            session('b', '2024-01-02T09:00:00.000Z')
+        ]
+    });
+
+    const page = await db.getWorkoutSessionsPage({ limit: 2 });
+    assert.deepEqual(page.sessions.map(s => s.id), ['b', 'a']);
+    assert.equal(page.nextCursor, null);
+});
+
+test('splits sessions started at the same time across pages by id', async () => {
+    const db = await openTestDB('ties');
+
+    const startedAt = '2024-01-01T09:00:00.000Z';
+    await db.bulkPut({
+        workoutSessions: ['a', 'b', 'c', 'd', 'e'].map(id => session(id, startedAt))
+    });
+
+    const pages = await readAllPages(db, { limit: 2 });
+
+    assert.deepEqual(pages, [['e', 'd'], ['c', 'b'], ['a']]);
+});
+
+test('filters by mode and category, and by athlete', async () => {
+    const db = await openTestDB('filters');
+
+    await db.bulkPut({
+        workoutSessions: [
+            session('sim-amateur', '2024-01-01T09:00:00.000Z', { mode: 'sim' }),
+            session('sim-pro', '2024-01-02T09:00:00.000Z', { mode: 'sim', category: 'pro' }),
+            session('custom', '2024-01-03T09:00:00.000Z'),
+            session('other-athlete', '2024-01-04T09:00:00.000Z', { mode: 'sim', profileId: 'other' })
+        ]
+    });
+
+    assert.deepEqual(await readAllPages(db, { mode: 'sim', category: 'amateur', limit: 1 }), [['sim-amateur']]);
+    assert.deepEqual(await readAllPages(db, { mode: 'sim' }), [['sim-pro', 'sim-amateur']]);
+    assert.deepEqual(await readAllPages(db, { category: 'pro' }), [['sim-pro']]);
+    assert.deepEqual(
+        await readAllPages(db, { profileId: null, limit: 3 }),
+        [['other-athlete', 'custom', 'sim-pro'], ['sim-amateur']]
+    );
+});
+
+test('reads the sessions of a date range, bounds included', async () => {
+    const db = await openTestDB('range');
+
+    await db.bulkPut({
+        workoutSessions: [
+            session('before', '2024-01-07T23:59:59.999Z'),
+            session('start', '2024-01-08T00:00:00.000Z'),
+            session('end', '2024-01-14T23:59:59.999Z'),
+            session('other-athlete', '2024-01-10T09:00:00.000Z', { profileId: 'other' })
+        ]
+    });
+
+    const sessions = await db.getWorkoutSessionsInRange(new Date('2024-01-08T00:00:00.000Z'), new Date('2024-01-14T23:59:59.999Z'));
+    assert.deepEqual(sessions.map(s => s.id), ['end', 'start']);
+});
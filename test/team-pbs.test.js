@@ -0,0 +1,73 @@
+/**
+ * Team PB Tests
+ * Rebuilds PBs from Doubles and Relay sessions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCanonicalExerciseId } from '../js/exercises.js';
+import { DEFAULT_PROFILE_ID } from '../js/db.js';
+import { openTestDB } from './helpers.js';
+
+const BLOCKS = [
+    { id: 'run1_1000m', label: 'Run 1', distance: '1000m', type: 'run' },
+    { id: 'ski_erg_1000m', label: 'Ski Erg', distance: '1000m', type: 'exercise' }
+];
+
+/**
+ * Build a team sim recorded by the default athlete
+ * @param {string} id - Session ID
+ * @param {Object} team - Session team
+ * @returns {Object} Workout session
+ */
+function teamSim(id, team) {
+    return {
+        id,
+        profileId: DEFAULT_PROFILE_ID,
+        mode: 'sim',
+        category: 'amateur',
+        blocks: BLOCKS,
+        blockTimesMs: [300000, 250000],
+        totalTimeMs: 550000,
+        startedAt: '2024-01-01T09:00:00.000Z',
+        finishedAt: '2024-01-01T09:09:10.000Z',
+        team
+    };
+}
+
+test('credits a Doubles total, but no shared station, to the athletes of the team', async () => {
+    const db = await openTestDB('doubles');
+
+    // Recorded by the default athlete for two others
+    await db.saveWorkoutSession(teamSim('doubles-1', {
+        format: 'doubles',
+        profileIds: ['bob', 'cat'],
+        names: ['Bob', 'Cat'],
+        blockAthletes: [null, 0]
+    }));
+
+    for (const profileId of [DEFAULT_PROFILE_ID, 'bob', 'cat']) {
+        await db.rebuildPersonalBests('amateur', getCanonicalExerciseId, profileId);
+    }
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur', DEFAULT_PROFILE_ID), {});
+    assert.deepEqual(await db.getAllPersonalBests('amateur', 'bob'), { doubles_total: 550000 });
+    assert.deepEqual(await db.getAllPersonalBests('amateur', 'cat'), { doubles_total: 550000 });
+});
+
+test('credits relay blocks to the athlete who did them', async () => {
+    const db = await openTestDB('relay');
+
+    await db.saveWorkoutSession(teamSim('relay-1', {
+        format: 'relay',
+        profileIds: [DEFAULT_PROFILE_ID, 'bob'],
+        names: ['Athlete 1', 'Bob'],
+        blockAthletes: [0, 1]
+    }));
+
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId, DEFAULT_PROFILE_ID);
+    await db.rebuildPersonalBests('amateur', getCanonicalExerciseId, 'bob');
+
+    assert.deepEqual(await db.getAllPersonalBests('amateur', DEFAULT_PROFILE_ID), { run1_1000m: 300000, relay_total: 550000 });
+    assert.deepEqual(await db.getAllPersonalBests('amateur', 'bob'), { ski_erg_1000m: 250000, relay_total: 550000 });
+});
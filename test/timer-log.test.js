@@ -0,0 +1,60 @@
+/**
+ * Timer Event Log Tests
+ * Derives block times, paused time and the timeline from a log
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTimerEvent, deriveBlockTimes, getPausedTime, getTimeline } from '../js/timer-log.js';
+
+// Log of a three-block workout, in ms since the start
+const LOG = [
+    createTimerEvent('start', 0),
+    createTimerEvent('next', 60000),
+    createTimerEvent('pause', 90000),
+    createTimerEvent('resume', 100000),
+    createTimerEvent('next', 130000),
+    createTimerEvent('finish', 160000)
+];
+
+const BLOCKS = [{ label: 'Run 1' }, { label: 'Ski Erg' }, { label: 'Run 2' }];
+
+test('derives block times, leaving paused time out', () => {
+    assert.deepEqual(deriveBlockTimes(LOG, 3), [60000, 60000, 30000]);
+    assert.equal(getPausedTime(LOG), 10000);
+});
+
+test('leaves blocks not reached yet empty', () => {
+    assert.deepEqual(deriveBlockTimes(LOG.slice(0, 3), 3), [60000, null, null]);
+    assert.deepEqual(deriveBlockTimes([], 2), [null, null]);
+});
+
+test('gives the time after an undone Next back to the reopened block', () => {
+    const events = [
+        createTimerEvent('start', 0),
+        createTimerEvent('next', 60000),
+        createTimerEvent('undo', 65000),
+        createTimerEvent('next', 70000),
+        createTimerEvent('finish', 100000)
+    ];
+
+    assert.deepEqual(deriveBlockTimes(events, 2), [70000, 30000]);
+});
+
+test('builds a timeline with offsets, blocks and paused time', () => {
+    const events = [...LOG.slice(0, 4), createTimerEvent('next', 130000, { auto: true }), LOG[5]];
+    const timeline = getTimeline(events, BLOCKS);
+
+    assert.deepEqual(
+        timeline.map(entry => [entry.label, entry.offsetMs, entry.blockLabel, entry.pausedMs]),
+        [
+            ['Start', 0, 'Run 1', null],
+            ['Next', 60000, 'Ski Erg', null],
+            ['Pause', 90000, 'Ski Erg', null],
+            ['Resume', 100000, 'Ski Erg', 10000],
+            ['Interval ended', 130000, 'Run 2', null],
+            ['Finish', 160000, 'Run 2', null]
+        ]
+    );
+    assert.deepEqual(getTimeline([], BLOCKS), []);
+});
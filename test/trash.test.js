@@ -0,0 +1,70 @@
+/**
+ * Trash Tests
+ * Moves sessions to the trash and back, and purges expired ones
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PROFILE_ID } from '../js/db.js';
+import { openTestDB } from './helpers.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Build a workout session of the default athlete
+ * @param {string} id - Session ID
+ * @returns {Object} Workout session
+ */
+function session(id) {
+    return {
+        id,
+        profileId: DEFAULT_PROFILE_ID,
+        mode: 'custom',
+        category: 'amateur',
+        blocks: [{ id: 'ski_erg_1000m', label: 'Ski Erg', distance: '1000m', type: 'exercise' }],
+        blockTimesMs: [250000],
+        totalTimeMs: 250000,
+        startedAt: '2024-01-01T09:00:00.000Z',
+        finishedAt: '2024-01-01T09:30:00.000Z'
+    };
+}
+
+test('moves a session to the trash and restores it unchanged', async () => {
+    const db = await openTestDB('restore');
+    await db.saveWorkoutSession(session('one'));
+
+    const trashed = await db.trashWorkoutSession('one');
+    assert.ok(trashed.deletedAt);
+    assert.equal(await db.getWorkoutSession('one'), undefined);
+    assert.deepEqual((await db.getTrashedSessions()).map(s => s.id), ['one']);
+
+    const restored = await db.restoreWorkoutSession('one');
+    assert.deepEqual(restored, session('one'));
+    assert.deepEqual(await db.getWorkoutSession('one'), session('one'));
+    assert.deepEqual(await db.getTrashedSessions(), []);
+});
+
+test('does nothing when the session is not there', async () => {
+    const db = await openTestDB('missing');
+
+    assert.equal(await db.trashWorkoutSession('missing'), undefined);
+    assert.equal(await db.restoreWorkoutSession('missing'), undefined);
+});
+
+test('purges only sessions deleted more than 30 days ago', async () => {
+    const db = await openTestDB('purge');
+    const now = new Date('2024-03-01T12:00:00.000Z');
+    const deletedAgo = (ms) => new Date(now.getTime() - ms).toISOString();
+
+    await db.bulkPut({
+        deletedSessions: [
+            { ...session('expired'), deletedAt: deletedAgo(db.TRASH_RETENTION_DAYS * DAY_MS + 1) },
+            { ...session('at-cutoff'), deletedAt: deletedAgo(db.TRASH_RETENTION_DAYS * DAY_MS) },
+            { ...session('recent'), deletedAt: deletedAgo(DAY_MS) }
+        ]
+    });
+
+    assert.equal(db.TRASH_RETENTION_DAYS, 30);
+    assert.equal(await db.purgeExpiredTrash(now), 1);
+    assert.deepEqual((await db.getTrashedSessions()).map(s => s.id), ['recent', 'at-cutoff']);
+});
@@ -0,0 +1,23 @@
+/**
+ * Utility Tests
+ * Pure helpers shared by the screens
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTime } from '../js/utils.js';
+
+test('parses typed times into milliseconds', () => {
+    assert.equal(parseTime('45'), 45000);
+    assert.equal(parseTime('4:32'), 272000);
+    assert.equal(parseTime('04:32.50'), 272500);
+    assert.equal(parseTime(' 1:02:03 '), 3723000);
+});
+
+test('rejects text that is not a time', () => {
+    assert.equal(parseTime(''), null);
+    assert.equal(parseTime('abc'), null);
+    assert.equal(parseTime('4:75'), null);
+    assert.equal(parseTime('1:2:3:4'), null);
+    assert.equal(parseTime(null), null);
+});